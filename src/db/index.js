@@ -1,4 +1,6 @@
 import Database from "better-sqlite3";
+import { v4 as uuidv4 } from "uuid";
+import { createHash } from "crypto";
 import { mkdirSync } from "fs";
 import { dirname } from "path";
 import { fileURLToPath } from "url";
@@ -71,6 +73,14 @@ db.exec(`
     created_at     TEXT NOT NULL
   );
 
+  CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id         TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+    token_hash TEXT UNIQUE NOT NULL,
+    used_at    TEXT,
+    created_at TEXT NOT NULL
+  );
+
   CREATE TABLE IF NOT EXISTS habits_config (
     id                  TEXT PRIMARY KEY,
     user_id             TEXT UNIQUE NOT NULL REFERENCES users(id) ON DELETE CASCADE,
@@ -84,6 +94,20 @@ db.exec(`
     updated_at          TEXT NOT NULL
   );
 
+  CREATE TABLE IF NOT EXISTS habits_config_history (
+    id                  TEXT PRIMARY KEY,
+    user_id             TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    effective_date      TEXT NOT NULL,
+    daily_steps         INTEGER NOT NULL,
+    hydration_glasses   INTEGER NOT NULL,
+    sleep_hours_min     INTEGER NOT NULL,
+    sleep_hours_max     INTEGER NOT NULL,
+    movement_preference TEXT NOT NULL,
+    vegetables_per_day  INTEGER NOT NULL,
+    created_at          TEXT NOT NULL,
+    UNIQUE(user_id, effective_date)
+  );
+
   CREATE TABLE IF NOT EXISTS teams (
     id          TEXT PRIMARY KEY,
     name        TEXT NOT NULL,
@@ -126,6 +150,27 @@ db.exec(`
     UNIQUE(user_id, log_date)
   );
 
+  CREATE TABLE IF NOT EXISTS step_readings (
+    id         TEXT PRIMARY KEY,
+    user_id    TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    log_date   TEXT NOT NULL,
+    source     TEXT NOT NULL,
+    steps      INTEGER NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    UNIQUE(user_id, log_date, source)
+  );
+
+  CREATE TABLE IF NOT EXISTS sleep_sessions (
+    id         TEXT PRIMARY KEY,
+    user_id    TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    start_at   TEXT NOT NULL,
+    end_at     TEXT NOT NULL,
+    wake_date  TEXT NOT NULL,
+    is_nap     INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL
+  );
+
   CREATE TABLE IF NOT EXISTS team_challenges (
     id             TEXT PRIMARY KEY,
     team_id        TEXT NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
@@ -148,6 +193,43 @@ db.exec(`
     created_at   TEXT NOT NULL
   );
 
+  CREATE TABLE IF NOT EXISTS challenge_former_member_results (
+    id           TEXT PRIMARY KEY,
+    challenge_id TEXT NOT NULL REFERENCES team_challenges(id) ON DELETE CASCADE,
+    value        REAL NOT NULL,
+    created_at   TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS badges (
+    id          TEXT PRIMARY KEY,
+    user_id     TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    badge_type  TEXT NOT NULL,
+    badge_name  TEXT NOT NULL,
+    awarded_at  TEXT NOT NULL,
+    UNIQUE(user_id, badge_type)
+  );
+
+  CREATE TABLE IF NOT EXISTS streak_days (
+    id                   TEXT PRIMARY KEY,
+    user_id              TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    log_date             TEXT NOT NULL,
+    categories_completed INTEGER,
+    current_streak       INTEGER NOT NULL,
+    longest_streak       INTEGER NOT NULL,
+    streak_shields       INTEGER NOT NULL,
+    evaluated_at         TEXT NOT NULL,
+    UNIQUE(user_id, log_date)
+  );
+
+  CREATE TABLE IF NOT EXISTS notification_log (
+    id          TEXT PRIMARY KEY,
+    user_id     TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    kind        TEXT NOT NULL,
+    dedupe_key  TEXT NOT NULL,
+    sent_at     TEXT NOT NULL,
+    UNIQUE(user_id, kind, dedupe_key)
+  );
+
   CREATE TABLE IF NOT EXISTS notifications_config (
     id                       TEXT PRIMARY KEY,
     user_id                  TEXT UNIQUE NOT NULL REFERENCES users(id) ON DELETE CASCADE,
@@ -160,6 +242,68 @@ db.exec(`
     created_at               TEXT NOT NULL,
     updated_at               TEXT NOT NULL
   );
+
+  CREATE TABLE IF NOT EXISTS data_exports (
+    id         TEXT PRIMARY KEY,
+    user_id    TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    ip_address TEXT,
+    user_agent TEXT,
+    size_bytes INTEGER NOT NULL,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS rate_limit_hits (
+    id         TEXT PRIMARY KEY,
+    action     TEXT NOT NULL,
+    key_type   TEXT NOT NULL,
+    key        TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS login_failures (
+    email           TEXT PRIMARY KEY,
+    failed_attempts INTEGER NOT NULL DEFAULT 0,
+    lockout_count   INTEGER NOT NULL DEFAULT 0,
+    locked_until    TEXT,
+    last_failed_at  TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS login_lockout_events (
+    id              TEXT PRIMARY KEY,
+    email           TEXT NOT NULL,
+    user_id         TEXT REFERENCES users(id) ON DELETE SET NULL,
+    ip_address      TEXT,
+    failed_attempts INTEGER NOT NULL,
+    lockout_seconds INTEGER NOT NULL,
+    locked_until    TEXT NOT NULL,
+    created_at      TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS totp_recovery_codes (
+    id         TEXT PRIMARY KEY,
+    user_id    TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash  TEXT NOT NULL,
+    used_at    TEXT,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS magic_links (
+    id         TEXT PRIMARY KEY,
+    user_id    TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash TEXT UNIQUE NOT NULL,
+    expires_at TEXT NOT NULL,
+    used       INTEGER DEFAULT 0,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS login_challenges (
+    id         TEXT PRIMARY KEY,
+    user_id    TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash TEXT UNIQUE NOT NULL,
+    attempts   INTEGER NOT NULL DEFAULT 0,
+    expires_at TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
 `);
 
 // Migration: add onboarding_step to existing databases
@@ -251,6 +395,13 @@ try {
   // Column already exists — safe to ignore
 }
 
+// Migration: record when the streak was last evaluated (lazily or by the nightly job)
+try {
+  db.exec("ALTER TABLE users ADD COLUMN streak_evaluated_at TEXT");
+} catch {
+  // Column already exists — safe to ignore
+}
+
 // Migration: add food habit tracking columns to daily_logs (US-016)
 try {
   db.exec("ALTER TABLE daily_logs ADD COLUMN food_vegetables INTEGER DEFAULT 0");
@@ -283,4 +434,148 @@ try {
   // Column already exists — safe to ignore
 }
 
+// Migration: add mascot evolution stage to users (US-022)
+try {
+  db.exec("ALTER TABLE users ADD COLUMN mascot_stage INTEGER DEFAULT 1");
+} catch {
+  // Column already exists — safe to ignore
+}
+
+// Migration: add competitive/cooperative mode to team_challenges
+try {
+  db.exec(
+    "ALTER TABLE team_challenges ADD COLUMN mode TEXT NOT NULL DEFAULT 'competitive' CHECK(mode IN ('competitive', 'cooperative'))"
+  );
+} catch {
+  // Column already exists — safe to ignore
+}
+
+// Migration: record the device and last-seen IP of each session
+try {
+  db.exec("ALTER TABLE sessions ADD COLUMN user_agent TEXT");
+} catch {
+  // Column already exists — safe to ignore
+}
+try {
+  db.exec("ALTER TABLE sessions ADD COLUMN ip_address TEXT");
+} catch {
+  // Column already exists — safe to ignore
+}
+
+// Migration: store session tokens hashed, with a separate access token expiry.
+// Existing plaintext tokens are hashed in place and stay valid as access
+// tokens until their session expires (they have no refresh token).
+let hashLegacySessionTokens = false;
+try {
+  db.exec("ALTER TABLE sessions RENAME COLUMN token TO token_hash");
+  hashLegacySessionTokens = true;
+} catch {
+  // Column already renamed — safe to ignore
+}
+try {
+  db.exec("ALTER TABLE sessions ADD COLUMN access_expires_at TEXT");
+} catch {
+  // Column already exists — safe to ignore
+}
+if (hashLegacySessionTokens) {
+  const legacySessions = db.prepare("SELECT id, token_hash FROM sessions").all();
+  const hashToken = db.prepare(
+    "UPDATE sessions SET token_hash = ?, access_expires_at = expires_at WHERE id = ?"
+  );
+  db.transaction(() => {
+    for (const session of legacySessions) {
+      hashToken.run(
+        createHash("sha256").update(session.token_hash).digest("hex"),
+        session.id
+      );
+    }
+  })();
+}
+
+// Migration: TOTP two-factor authentication on users
+try {
+  db.exec("ALTER TABLE users ADD COLUMN totp_secret TEXT");
+} catch {
+  // Column already exists — safe to ignore
+}
+try {
+  db.exec("ALTER TABLE users ADD COLUMN totp_pending_secret TEXT");
+} catch {
+  // Column already exists — safe to ignore
+}
+try {
+  db.exec("ALTER TABLE users ADD COLUMN totp_enabled_at TEXT");
+} catch {
+  // Column already exists — safe to ignore
+}
+try {
+  db.exec("ALTER TABLE users ADD COLUMN totp_last_used_step INTEGER");
+} catch {
+  // Column already exists — safe to ignore
+}
+
+// Migration: email change confirmations reuse email_verifications; new_email
+// is set for tokens that confirm a change of address
+try {
+  db.exec("ALTER TABLE email_verifications ADD COLUMN new_email TEXT");
+} catch {
+  // Column already exists — safe to ignore
+}
+
+// Migration: pending account deletion (grace period) on users
+try {
+  db.exec("ALTER TABLE users ADD COLUMN deletion_requested_at TEXT");
+} catch {
+  // Column already exists — safe to ignore
+}
+try {
+  db.exec("ALTER TABLE users ADD COLUMN deletion_scheduled_for TEXT");
+} catch {
+  // Column already exists — safe to ignore
+}
+
+// Migration: step source merge settings on habits_config
+try {
+  db.exec(
+    "ALTER TABLE habits_config ADD COLUMN step_merge_policy TEXT NOT NULL DEFAULT 'max' CHECK(step_merge_policy IN ('max', 'priority', 'sum'))"
+  );
+} catch {
+  // Column already exists — safe to ignore
+}
+try {
+  db.exec("ALTER TABLE habits_config ADD COLUMN step_source_priority TEXT");
+} catch {
+  // Column already exists — safe to ignore
+}
+
+// Migration: copy the legacy steps_manual/steps_google_fit columns into step_readings
+if (!db.prepare("SELECT 1 FROM step_readings LIMIT 1").get()) {
+  const legacyLogs = db
+    .prepare(
+      `SELECT user_id, log_date, steps_manual, steps_google_fit, created_at, updated_at
+       FROM daily_logs WHERE steps_manual IS NOT NULL OR steps_google_fit IS NOT NULL`
+    )
+    .all();
+  const insertReading = db.prepare(
+    `INSERT OR IGNORE INTO step_readings (id, user_id, log_date, source, steps, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`
+  );
+  db.transaction(() => {
+    for (const log of legacyLogs) {
+      for (const [source, steps] of [["manual", log.steps_manual], ["google_fit", log.steps_google_fit]]) {
+        if (steps == null) continue;
+        insertReading.run(uuidv4(), log.user_id, log.log_date, source, steps, log.created_at, log.updated_at);
+      }
+    }
+  })();
+}
+
+// Migration: mark competitive challenges whose winners have been awarded the
+// first_challenge_won badge
+try {
+  db.exec("ALTER TABLE team_challenges ADD COLUMN winners_awarded_at TEXT");
+} catch {
+  // Column already exists — safe to ignore
+}
+
 export default db;
@@ -7,6 +7,7 @@ import dashboardRouter from "./routes/dashboard.js";
 import usersRouter from "./routes/users.js";
 import habitsRouter from "./routes/habits.js";
 import teamsRouter from "./routes/teams.js";
+import { startScheduler } from "./services/scheduler.js";
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -50,6 +51,7 @@ app.listen(PORT, () => {
   if (process.env.FORCE_HTTPS === "true") {
     console.log("[Server] HTTPS enforcement: ENABLED");
   }
+  startScheduler();
 });
 
 export default app;
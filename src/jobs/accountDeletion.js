@@ -0,0 +1,36 @@
+/**
+ * Account Deletion Job
+ *
+ * Permanently deletes accounts whose grace period (users.deletion_scheduled_for)
+ * has passed. See utils/accountDeletion.js.
+ */
+
+import db from "../db/index.js";
+import { purgeUser } from "../utils/accountDeletion.js";
+
+/**
+ * Scheduler job: purges every account that is due for deletion. Each account
+ * is purged in its own transaction, so one failure doesn't block the rest.
+ */
+export async function runAccountDeletionJob() {
+  const due = db
+    .prepare(
+      `SELECT id FROM users
+       WHERE deletion_scheduled_for IS NOT NULL AND deletion_scheduled_for <= ?`
+    )
+    .all(new Date().toISOString());
+
+  if (due.length === 0) return;
+
+  let deleted = 0;
+  for (const user of due) {
+    try {
+      purgeUser(user.id);
+      deleted++;
+    } catch (err) {
+      console.error("[AccountDeletion] Failed to delete user", user.id, err);
+    }
+  }
+
+  console.log(`[AccountDeletion] Deleted ${deleted} account(s).`);
+}
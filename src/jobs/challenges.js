@@ -0,0 +1,57 @@
+/**
+ * Challenge Winners Job
+ *
+ * Awards the "first_challenge_won" badge once per finished competitive
+ * challenge, instead of re-ranking every finished challenge on each habit
+ * update. A challenge is settled once its end_date has passed in every
+ * timezone; team_challenges.winners_awarded_at marks it as done.
+ */
+
+import db from "../db/index.js";
+import { awardChallengeWinners } from "../utils/badges.js";
+
+/**
+ * Returns unsettled competitive challenges that have finished everywhere. No
+ * timezone is more than a day behind UTC, so end_date must be before
+ * yesterday's UTC date.
+ */
+function getChallengesDueForAwards() {
+  return db
+    .prepare(
+      `SELECT * FROM team_challenges
+       WHERE mode = 'competitive' AND winners_awarded_at IS NULL
+         AND end_date < date('now', '-1 day')`
+    )
+    .all();
+}
+
+const settleChallenge = db.transaction((challenge) => {
+  const awarded = awardChallengeWinners(challenge);
+  db.prepare("UPDATE team_challenges SET winners_awarded_at = ? WHERE id = ?").run(
+    new Date().toISOString(),
+    challenge.id
+  );
+  return awarded;
+});
+
+/**
+ * Scheduler job: awards the winners of every newly finished competitive
+ * challenge. Each challenge is settled in its own transaction.
+ */
+export async function runChallengeAwardJob() {
+  const challenges = getChallengesDueForAwards();
+  if (challenges.length === 0) return;
+
+  let awarded = 0;
+  for (const challenge of challenges) {
+    try {
+      awarded += settleChallenge(challenge);
+    } catch (err) {
+      console.error("[Challenges] Failed to award winners of challenge", challenge.id, err);
+    }
+  }
+
+  console.log(
+    `[Challenges] Settled ${challenges.length} challenge(s), awarded ${awarded} badge(s).`
+  );
+}
@@ -0,0 +1,74 @@
+import {
+  createChallenge,
+  createDailyLog,
+  createTeam,
+  createUser,
+  daysAgo,
+} from "../test/helpers.js";
+import { describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import db from "../db/index.js";
+import { getUserBadges } from "../utils/badges.js";
+import { runChallengeAwardJob } from "./challenges.js";
+
+const getWinnersAwardedAt = (challengeId) =>
+  db.prepare("SELECT winners_awarded_at FROM team_challenges WHERE id = ?").get(challengeId)
+    .winners_awarded_at;
+
+/**
+ * Runs the job without its progress log line.
+ */
+async function runJob() {
+  const log = mock.method(console, "log", () => {});
+  try {
+    await runChallengeAwardJob();
+  } finally {
+    log.mock.restore();
+  }
+}
+
+/**
+ * Creates a competitive challenge that ended on endDate, won by the returned user.
+ */
+function createFinishedChallenge(endDate) {
+  const winner = createUser();
+  const challenge = createChallenge(createTeam(winner, [createUser()]), {
+    start_date: daysAgo(10),
+    end_date: endDate,
+  });
+  createDailyLog(winner.id, daysAgo(10), { steps: 9000 });
+  return { challenge, winner };
+}
+
+describe("runChallengeAwardJob", () => {
+  it("awards the winners of challenges that have finished everywhere", async () => {
+    const { challenge, winner } = createFinishedChallenge(daysAgo(2));
+
+    await runJob();
+
+    assert.ok(getWinnersAwardedAt(challenge.id));
+    assert.deepEqual(
+      getUserBadges(winner.id).earned.map((b) => b.badgeType),
+      ["first_challenge_won"]
+    );
+  });
+
+  it("waits until the last day is over in every timezone", async () => {
+    const { challenge, winner } = createFinishedChallenge(daysAgo(1));
+
+    await runJob();
+
+    assert.equal(getWinnersAwardedAt(challenge.id), null);
+    assert.deepEqual(getUserBadges(winner.id).earned, []);
+  });
+
+  it("settles each challenge only once", async () => {
+    const { challenge } = createFinishedChallenge(daysAgo(2));
+    await runJob();
+    const settledAt = getWinnersAwardedAt(challenge.id);
+
+    await runJob();
+
+    assert.equal(getWinnersAwardedAt(challenge.id), settledAt);
+  });
+});
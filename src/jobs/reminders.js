@@ -0,0 +1,170 @@
+/**
+ * Reminder Jobs
+ *
+ * Run on every scheduler tick and decide, per user, whether a notification is
+ * due in that user's local time:
+ *   - Daily reminder: within an hour after notifications_config.reminder_time
+ *     (the hour may run past midnight; the reminder still counts for the day
+ *     it started on)
+ *   - Streak at risk: after 20:00 local when the user has an active streak but
+ *     fewer than 3 categories completed today
+ *   - Team reminder: once users.team_reminder_at (set by onboarding step 4 "skip")
+ *     has passed and the user still has no team
+ *
+ * Each send is claimed in notification_log first (UNIQUE per user, kind and
+ * dedupe key), so a notification goes out at most once even across restarts.
+ * The claim is released if the send fails, so the next tick retries it.
+ * Checks that need extra queries run only once a notification is known to be
+ * unclaimed, and the team reminder is filtered entirely in SQL.
+ */
+
+import { v4 as uuidv4 } from "uuid";
+import db from "../db/index.js";
+import {
+  addDays,
+  getTodayForTimezone,
+  getLocalTimeForTimezone,
+  timeToMinutes,
+} from "../utils/date.js";
+import { countCompletedCategories, STREAK_THRESHOLD } from "../utils/streak.js";
+import {
+  sendDailyReminderEmail,
+  sendStreakAtRiskEmail,
+  sendTeamReminderEmail,
+} from "../services/email.js";
+
+const DAILY_REMINDER_WINDOW_MINUTES = 60;
+const STREAK_RISK_TIME = "20:00";
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Returns true if the notification has already been claimed.
+ */
+function isClaimed(userId, kind, dedupeKey) {
+  const row = db
+    .prepare("SELECT 1 FROM notification_log WHERE user_id = ? AND kind = ? AND dedupe_key = ?")
+    .get(userId, kind, dedupeKey);
+  return Boolean(row);
+}
+
+/**
+ * Claims a notification in notification_log, then sends it. Does nothing if it
+ * was already claimed (sent before, possibly by a previous process). If the
+ * send throws, the claim is deleted before rethrowing.
+ */
+async function sendOnce(userId, kind, dedupeKey, send) {
+  const id = uuidv4();
+  const result = db
+    .prepare(
+      `INSERT OR IGNORE INTO notification_log (id, user_id, kind, dedupe_key, sent_at)
+       VALUES (?, ?, ?, ?, ?)`
+    )
+    .run(id, userId, kind, dedupeKey, new Date().toISOString());
+  if (result.changes === 0) return;
+
+  try {
+    await send();
+  } catch (err) {
+    db.prepare("DELETE FROM notification_log WHERE id = ?").run(id);
+    throw err;
+  }
+}
+
+/**
+ * Returns onboarded, verified users (not pending deletion) who want email,
+ * joined with their notification preferences (column defaults apply when no
+ * notifications_config row exists yet). team_reminder_due is 1 when the team
+ * reminder time has passed, the user still has no team and the reminder
+ * hasn't been sent.
+ */
+function getNotifiableUsers() {
+  return db
+    .prepare(
+      `SELECT u.id, u.email, u.name, u.timezone, u.current_streak, u.team_reminder_at,
+              COALESCE(nc.daily_reminder_enabled, 1)    AS daily_reminder_enabled,
+              COALESCE(nc.reminder_time, '08:00')       AS reminder_time,
+              (COALESCE(nc.team_updates_enabled, 1) = 1
+                 AND u.team_reminder_at <= ?
+                 AND NOT EXISTS (SELECT 1 FROM team_members tm WHERE tm.user_id = u.id)
+                 AND NOT EXISTS (
+                   SELECT 1 FROM notification_log nl
+                   WHERE nl.user_id = u.id AND nl.kind = 'team_reminder'
+                     AND nl.dedupe_key = u.team_reminder_at
+                 ))                                     AS team_reminder_due
+       FROM users u
+       LEFT JOIN notifications_config nc ON nc.user_id = u.id
+       WHERE u.email_verified = 1 AND u.onboarding_step >= 4
+         AND u.deletion_scheduled_for IS NULL
+         AND COALESCE(nc.email_enabled, 1) = 1`
+    )
+    .all(new Date().toISOString());
+}
+
+async function sendDailyReminder(user, today, localTime) {
+  if (!user.daily_reminder_enabled) return;
+
+  const minutesSince =
+    (timeToMinutes(localTime) - timeToMinutes(user.reminder_time) + MINUTES_PER_DAY) %
+    MINUTES_PER_DAY;
+  if (minutesSince >= DAILY_REMINDER_WINDOW_MINUTES) return;
+
+  // A window that started before midnight belongs to the previous day
+  const reminderDate = localTime < user.reminder_time ? addDays(today, -1) : today;
+
+  await sendOnce(user.id, "daily_reminder", reminderDate, () =>
+    sendDailyReminderEmail(user.email, {
+      name: user.name,
+      categoriesCompleted: countCompletedCategories(user.id, reminderDate),
+    })
+  );
+}
+
+async function sendStreakAtRiskAlert(user, today, localTime) {
+  if (!user.daily_reminder_enabled || user.current_streak <= 0) return;
+  if (localTime < STREAK_RISK_TIME) return;
+  if (isClaimed(user.id, "streak_at_risk", today)) return;
+
+  const categoriesCompleted = countCompletedCategories(user.id, today);
+  if (categoriesCompleted >= STREAK_THRESHOLD) return;
+
+  await sendOnce(user.id, "streak_at_risk", today, () =>
+    sendStreakAtRiskEmail(user.email, {
+      name: user.name,
+      currentStreak: user.current_streak,
+      categoriesCompleted,
+    })
+  );
+}
+
+async function sendTeamReminder(user) {
+  if (!user.team_reminder_due) return;
+
+  await sendOnce(user.id, "team_reminder", user.team_reminder_at, () =>
+    sendTeamReminderEmail(user.email, { name: user.name })
+  );
+}
+
+/**
+ * Scheduler job: sends every reminder that is currently due.
+ * Email failures are logged and do not stop the remaining users.
+ */
+export async function runReminderJobs() {
+  for (const user of getNotifiableUsers()) {
+    const today = getTodayForTimezone(user.timezone);
+    const localTime = getLocalTimeForTimezone(user.timezone);
+
+    for (const send of [sendDailyReminder, sendStreakAtRiskAlert]) {
+      try {
+        await send(user, today, localTime);
+      } catch (err) {
+        console.error(`[Reminders] ${send.name} failed for user`, user.id, err.message);
+      }
+    }
+
+    try {
+      await sendTeamReminder(user);
+    } catch (err) {
+      console.error("[Reminders] sendTeamReminder failed for user", user.id, err.message);
+    }
+  }
+}
@@ -0,0 +1,136 @@
+import { createTeam, createUser } from "../test/helpers.js";
+import { describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { v4 as uuidv4 } from "uuid";
+import db from "../db/index.js";
+import { getLocalTimeForTimezone, getTodayForTimezone } from "../utils/date.js";
+import { runReminderJobs } from "./reminders.js";
+
+/**
+ * Runs the reminder jobs once and returns how often the given reminder was
+ * attempted for the user. Email delivery always fails in tests (see env.js),
+ * so every attempt shows up as a logged error.
+ */
+async function countAttempts(jobName, userId) {
+  const errorLog = mock.method(console, "error", () => {});
+  try {
+    await runReminderJobs();
+  } finally {
+    errorLog.mock.restore();
+  }
+  return errorLog.mock.calls.filter(
+    ({ arguments: [message, id] }) => message.includes(jobName) && id === userId
+  ).length;
+}
+
+/**
+ * Like countAttempts, but with the clock set to the given time.
+ */
+async function countAttemptsAt(isoTime, jobName, userId) {
+  mock.timers.enable({ apis: ["Date"], now: new Date(isoTime) });
+  try {
+    return await countAttempts(jobName, userId);
+  } finally {
+    mock.timers.reset();
+  }
+}
+
+/**
+ * Marks a notification as already sent.
+ */
+function claimNotification(userId, kind, dedupeKey) {
+  db.prepare(
+    `INSERT INTO notification_log (id, user_id, kind, dedupe_key, sent_at)
+     VALUES (?, ?, ?, ?, ?)`
+  ).run(uuidv4(), userId, kind, dedupeKey, new Date().toISOString());
+}
+
+/**
+ * Saves the user's notifications_config row.
+ */
+function setNotificationPreferences(userId, preferences) {
+  const now = new Date().toISOString();
+  const row = { id: uuidv4(), user_id: userId, created_at: now, updated_at: now, ...preferences };
+  const columns = Object.keys(row);
+  db.prepare(
+    `INSERT INTO notifications_config (${columns.join(", ")})
+     VALUES (${columns.map(() => "?").join(", ")})`
+  ).run(...Object.values(row));
+}
+
+describe("runReminderJobs", () => {
+  it("retries a daily reminder whose email could not be sent", async () => {
+    const user = createUser();
+    setNotificationPreferences(user.id, { reminder_time: getLocalTimeForTimezone("UTC") });
+
+    assert.equal(await countAttempts("sendDailyReminder", user.id), 1);
+    assert.equal(await countAttempts("sendDailyReminder", user.id), 1);
+  });
+
+  it("does not resend a daily reminder that was already sent today", async () => {
+    const user = createUser();
+    setNotificationPreferences(user.id, { reminder_time: getLocalTimeForTimezone("UTC") });
+    claimNotification(user.id, "daily_reminder", getTodayForTimezone("UTC"));
+
+    assert.equal(await countAttempts("sendDailyReminder", user.id), 0);
+  });
+
+  it("keeps the reminder window open past midnight", async () => {
+    const user = createUser();
+    setNotificationPreferences(user.id, { reminder_time: "23:30" });
+
+    assert.equal(await countAttemptsAt("2026-03-02T00:10:00Z", "sendDailyReminder", user.id), 1);
+  });
+
+  it("counts a reminder sent before midnight for the day it was sent", async () => {
+    const user = createUser();
+    setNotificationPreferences(user.id, { reminder_time: "23:30" });
+    claimNotification(user.id, "daily_reminder", "2026-03-01");
+
+    assert.equal(await countAttemptsAt("2026-03-02T00:10:00Z", "sendDailyReminder", user.id), 0);
+  });
+
+  it("alerts users whose streak is at risk once per evening", async () => {
+    const user = createUser({ current_streak: 4 });
+
+    assert.equal(
+      await countAttemptsAt("2026-03-01T20:30:00Z", "sendStreakAtRiskAlert", user.id),
+      1
+    );
+
+    claimNotification(user.id, "streak_at_risk", "2026-03-01");
+
+    assert.equal(
+      await countAttemptsAt("2026-03-01T20:31:00Z", "sendStreakAtRiskAlert", user.id),
+      0
+    );
+  });
+
+  it("respects disabled daily reminders", async () => {
+    const user = createUser();
+    setNotificationPreferences(user.id, {
+      reminder_time: getLocalTimeForTimezone("UTC"),
+      daily_reminder_enabled: 0,
+    });
+
+    assert.equal(await countAttempts("sendDailyReminder", user.id), 0);
+  });
+
+  it("reminds users who skipped joining a team until they join one", async () => {
+    const remindAt = new Date(Date.now() - 60 * 1000).toISOString();
+    const loner = createUser({ team_reminder_at: remindAt });
+    const member = createUser({ team_reminder_at: remindAt });
+    createTeam(createUser(), [member]);
+
+    assert.equal(await countAttempts("sendTeamReminder", loner.id), 1);
+    assert.equal(await countAttempts("sendTeamReminder", member.id), 0);
+  });
+
+  it("sends each team reminder only once", async () => {
+    const remindAt = new Date(Date.now() - 60 * 1000).toISOString();
+    const user = createUser({ team_reminder_at: remindAt });
+    claimNotification(user.id, "team_reminder", remindAt);
+
+    assert.equal(await countAttempts("sendTeamReminder", user.id), 0);
+  });
+});
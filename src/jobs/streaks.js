@@ -0,0 +1,69 @@
+/**
+ * Nightly Streak Evaluation Job
+ *
+ * Evaluates streaks for every user whose local date has moved past their
+ * streak_last_evaluated_date, so streaks (and team leaderboards) stay current
+ * for users who don't open the app. Runs on every scheduler tick; users are
+ * picked up shortly after their own local midnight.
+ *
+ * The lazy evaluateStreakIfNeeded calls in the habits and dashboard routes stay
+ * in place as a fallback (e.g. when the scheduler is disabled).
+ */
+
+import db from "../db/index.js";
+import { getTodayForTimezone } from "../utils/date.js";
+import { evaluateStreakIfNeeded } from "../utils/streak.js";
+
+const CHUNK_SIZE = 200;
+
+/**
+ * Returns users whose streak is due for evaluating, i.e. whose
+ * streak_last_evaluated_date is before their local today. SQLite has no IANA
+ * timezone support, so local today is worked out once per distinct timezone in
+ * JS and passed in as a JSON map; the comparison itself happens in SQL.
+ */
+function getUsersDueForEvaluation() {
+  const localToday = {};
+  for (const { timezone } of db.prepare("SELECT DISTINCT timezone FROM users").all()) {
+    localToday[timezone ?? ""] = getTodayForTimezone(timezone);
+  }
+
+  return db
+    .prepare(
+      `SELECT u.id, u.timezone FROM users u
+       JOIN json_each(?) today ON today.key = COALESCE(u.timezone, '')
+       WHERE u.streak_last_evaluated_date IS NULL
+          OR u.streak_last_evaluated_date < today.value`
+    )
+    .all(JSON.stringify(localToday));
+}
+
+const evaluateChunk = db.transaction((users) => {
+  let evaluated = 0;
+  for (const user of users) {
+    if (evaluateStreakIfNeeded(user.id, user.timezone)) evaluated++;
+  }
+  return evaluated;
+});
+
+/**
+ * Scheduler job: evaluates due streaks in chunks of CHUNK_SIZE users, each chunk
+ * in its own transaction. Yields to the event loop between chunks so requests
+ * keep being served during large runs.
+ */
+export async function runStreakEvaluationJob() {
+  const users = getUsersDueForEvaluation();
+  if (users.length === 0) return;
+
+  let evaluated = 0;
+  for (let i = 0; i < users.length; i += CHUNK_SIZE) {
+    try {
+      evaluated += evaluateChunk(users.slice(i, i + CHUNK_SIZE));
+    } catch (err) {
+      console.error("[Streaks] Failed to evaluate chunk starting at", i, err);
+    }
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+
+  console.log(`[Streaks] Evaluated streaks for ${evaluated} user(s).`);
+}
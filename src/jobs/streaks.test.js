@@ -0,0 +1,76 @@
+import { createUser, daysAgo } from "../test/helpers.js";
+import { describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import db from "../db/index.js";
+import { runStreakEvaluationJob } from "./streaks.js";
+
+const getEvaluation = (userId) =>
+  db
+    .prepare("SELECT streak_last_evaluated_date, streak_evaluated_at FROM users WHERE id = ?")
+    .get(userId);
+
+/**
+ * Runs the job without its progress log line.
+ */
+async function runJob() {
+  const log = mock.method(console, "log", () => {});
+  try {
+    await runStreakEvaluationJob();
+  } finally {
+    log.mock.restore();
+  }
+}
+
+describe("runStreakEvaluationJob", () => {
+  it("evaluates users whose local day has moved on", async () => {
+    const user = createUser({ streak_last_evaluated_date: daysAgo(1) });
+
+    await runJob();
+
+    assert.equal(getEvaluation(user.id).streak_last_evaluated_date, daysAgo(0));
+  });
+
+  it("leaves users who were already evaluated today alone", async () => {
+    const user = createUser({
+      streak_last_evaluated_date: daysAgo(0),
+      streak_evaluated_at: "2020-01-01T00:00:00.000Z",
+    });
+
+    await runJob();
+
+    assert.deepEqual(getEvaluation(user.id), {
+      streak_last_evaluated_date: daysAgo(0),
+      streak_evaluated_at: "2020-01-01T00:00:00.000Z",
+    });
+  });
+
+  it("waits for local midnight in timezones behind UTC", async () => {
+    // Etc/GMT+12 is UTC-12, which is still on the previous date for half the UTC day
+    const localToday = new Date(Date.now() - 12 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const user = createUser({ timezone: "Etc/GMT+12", streak_last_evaluated_date: localToday });
+
+    await runJob();
+
+    assert.equal(getEvaluation(user.id).streak_last_evaluated_date, localToday);
+  });
+
+  it("only picks up the users who are due in a mix of timezones", async () => {
+    const aheadToday = new Date(Date.now() + 14 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const behindToday = new Date(Date.now() - 12 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const ahead = createUser({ timezone: "Etc/GMT-14", streak_last_evaluated_date: behindToday });
+    const behind = createUser({ timezone: "Etc/GMT+12", streak_last_evaluated_date: behindToday });
+
+    await runJob();
+
+    assert.equal(getEvaluation(ahead.id).streak_last_evaluated_date, aheadToday);
+    assert.equal(getEvaluation(behind.id).streak_last_evaluated_date, behindToday);
+  });
+
+  it("evaluates users without a timezone against UTC", async () => {
+    const user = createUser({ timezone: null, streak_last_evaluated_date: daysAgo(1) });
+
+    await runJob();
+
+    assert.equal(getEvaluation(user.id).streak_last_evaluated_date, daysAgo(0));
+  });
+});
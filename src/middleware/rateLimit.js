@@ -0,0 +1,53 @@
+import { consumeRateLimit, getLoginLockoutSeconds } from "../utils/rateLimit.js";
+
+/**
+ * Middleware factory: applies the request limits configured for `action` in
+ * utils/rateLimit.js, keyed on the client IP and on the logged-in user's email
+ * (or req.body.email on unauthenticated routes).
+ *
+ * Place it after the route's validation chain so the email has already been
+ * normalised.
+ *
+ * Returns:
+ *   429 - Too many requests (with a Retry-After header)
+ */
+export function rateLimit(action) {
+  return (req, res, next) => {
+    const email =
+      req.user?.email ?? (typeof req.body?.email === "string" ? req.body.email : null);
+    const retryAfter = consumeRateLimit(action, { ip: req.ip, email });
+
+    if (retryAfter > 0) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        error: "Too many requests. Please try again later.",
+        retryAfterSeconds: retryAfter,
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Middleware: refuses password re-checks on authenticated routes while the
+ * user's email is under a login lockout. Routes record wrong passwords with
+ * recordLoginFailure, so they count toward the same lockout as
+ * POST /api/auth/login.
+ *
+ * Returns:
+ *   429 - Too many failed password attempts (with a Retry-After header)
+ */
+export function rejectLockedOut(req, res, next) {
+  const lockoutSeconds = getLoginLockoutSeconds(req.user.email);
+
+  if (lockoutSeconds > 0) {
+    res.set("Retry-After", String(lockoutSeconds));
+    return res.status(429).json({
+      error: "Too many failed password attempts. Please try again later.",
+      retryAfterSeconds: lockoutSeconds,
+    });
+  }
+
+  next();
+}
@@ -1,17 +1,17 @@
 import db from "../db/index.js";
-
-const THIRTY_DAYS_MS = 30 * 24 * 60 * 60 * 1000;
+import { getSessionByAccessToken } from "../utils/sessions.js";
 
 /**
- * Middleware: requires a valid session token in the Authorization header.
+ * Middleware: requires a valid access token in the Authorization header.
  *
  * Expects: Authorization: Bearer <token>
  *
  * On success: sets req.user (full user row) and req.sessionId, then calls next().
- * Extends the session's expiry by 30 days from now (sliding inactivity window).
+ * Records when and from which IP address the session was last used. Access
+ * tokens are short-lived; clients renew them with POST /api/auth/refresh.
  *
  * Returns:
- *   401 - Missing, invalid, or expired session token
+ *   401 - Missing, invalid, or expired access token
  */
 export function requireAuth(req, res, next) {
   const authHeader = req.headers.authorization;
@@ -21,11 +21,7 @@ export function requireAuth(req, res, next) {
       .json({ error: "Authentication required. Please log in." });
   }
 
-  const token = authHeader.slice(7);
-
-  const session = db
-    .prepare("SELECT * FROM sessions WHERE token = ?")
-    .get(token);
+  const session = getSessionByAccessToken(authHeader.slice(7));
 
   if (!session) {
     return res
@@ -41,12 +37,15 @@ export function requireAuth(req, res, next) {
       .json({ error: "Session expired. Please log in again." });
   }
 
-  // Slide the expiry window: reset to 30 days from now
-  const now = new Date().toISOString();
-  const newExpiresAt = new Date(Date.now() + THIRTY_DAYS_MS).toISOString();
+  if (new Date(session.access_expires_at) < new Date()) {
+    return res
+      .status(401)
+      .json({ error: "Access token expired. Please refresh your session." });
+  }
+
   db.prepare(
-    "UPDATE sessions SET last_active_at = ?, expires_at = ? WHERE id = ?"
-  ).run(now, newExpiresAt, session.id);
+    "UPDATE sessions SET last_active_at = ?, ip_address = ? WHERE id = ?"
+  ).run(new Date().toISOString(), req.ip ?? session.ip_address, session.id);
 
   // Attach full user to request
   const user = db
@@ -3,11 +3,43 @@ import { body, validationResult } from "express-validator";
 import bcrypt from "bcryptjs";
 import { v4 as uuidv4 } from "uuid";
 import db from "../db/index.js";
-import { sendVerificationEmail, sendPasswordResetEmail } from "../services/email.js";
+import {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendMagicLinkEmail,
+  sendPasswordChangedEmail,
+} from "../services/email.js";
 import { enforceHttps } from "../middleware/httpsRedirect.js";
 import { requireAuth } from "../middleware/requireAuth.js";
-
-const THIRTY_DAYS_MS = 30 * 24 * 60 * 60 * 1000;
+import { rateLimit, rejectLockedOut } from "../middleware/rateLimit.js";
+import { cancelAccountDeletion, purgeUser } from "../utils/accountDeletion.js";
+import { buildOtpauthUri } from "../utils/totp.js";
+import {
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  confirmTwoFactorSetup,
+  disableTwoFactor,
+  verifySecondFactor,
+  createLoginChallenge,
+  getLoginChallenge,
+  recordLoginChallengeFailure,
+  deleteLoginChallenge,
+} from "../utils/twoFactor.js";
+import {
+  getLoginLockoutSeconds,
+  recordLoginFailure,
+  clearLoginFailures,
+} from "../utils/rateLimit.js";
+import {
+  hashToken,
+  createSession,
+  getSessionByAccessToken,
+  refreshSession,
+  listSessions,
+  formatSession,
+  revokeSession,
+  revokeAllSessions,
+} from "../utils/sessions.js";
 
 const router = Router();
 
@@ -113,13 +145,17 @@ router.post("/register", registerValidation, async (req, res) => {
  * GET /api/auth/verify-email?token=...
  *
  * Verifies a user's email address using the token from the verification email.
+ * Tokens issued by POST /api/users/me/email confirm a change of address
+ * instead: the account's email is switched to the new (now verified) address,
+ * unless another account has registered it in the meantime.
  *
  * Query params:
  *   token - The unique verification token
  *
  * Responses:
- *   200 - Email verified successfully
+ *   200 - Email verified (or changed) successfully
  *   400 - Missing, invalid, expired, or already-used token
+ *   409 - The new address has since been registered by another account
  *   500 - Internal server error
  */
 router.get("/verify-email", (req, res) => {
@@ -151,6 +187,32 @@ router.get("/verify-email", (req, res) => {
       });
     }
 
+    if (verification.new_email) {
+      // Mark token used and switch to the new address in a single transaction.
+      // The UNIQUE constraint on users.email is the authoritative check that
+      // nobody else has taken the address; a violation rolls both updates back.
+      try {
+        db.transaction(() => {
+          db.prepare("UPDATE email_verifications SET used = 1 WHERE id = ?").run(
+            verification.id
+          );
+          db.prepare(
+            "UPDATE users SET email = ?, email_verified = 1 WHERE id = ?"
+          ).run(verification.new_email, verification.user_id);
+        })();
+      } catch (err) {
+        if (err.code !== "SQLITE_CONSTRAINT_UNIQUE") throw err;
+        return res.status(409).json({
+          error: "An account with this email address already exists.",
+        });
+      }
+
+      return res.json({
+        message: "Your email address has been changed.",
+        email: verification.new_email,
+      });
+    }
+
     // Mark token used and user verified in a single transaction
     db.transaction(() => {
       db.prepare("UPDATE email_verifications SET used = 1 WHERE id = ?").run(
@@ -185,6 +247,7 @@ router.get("/verify-email", (req, res) => {
  * Responses:
  *   200 - Verification email sent (or no-op for unknown/already-verified addresses)
  *   400 - Validation error or email already verified
+ *   429 - Too many requests for this IP or email
  *   500 - Internal server error
  */
 router.post(
@@ -196,6 +259,7 @@ router.post(
       .withMessage("A valid email address is required.")
       .normalizeEmail(),
   ],
+  rateLimit("resend-verification"),
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -228,9 +292,10 @@ router.post(
           .json({ error: "This email address is already verified." });
       }
 
-      // Invalidate any existing unused tokens for this user
+      // Invalidate any existing unused tokens for this user (pending email
+      // changes are left alone)
       db.prepare(
-        "UPDATE email_verifications SET used = 1 WHERE user_id = ? AND used = 0"
+        "UPDATE email_verifications SET used = 1 WHERE user_id = ? AND used = 0 AND new_email IS NULL"
       ).run(user.id);
 
       // Create a fresh token (expires in 24 hours)
@@ -279,6 +344,7 @@ router.post(
  * Responses:
  *   200 - Reset email sent (or no-op for unknown addresses)
  *   400 - Validation error
+ *   429 - Too many requests for this IP or email
  *   500 - Internal server error
  */
 router.post(
@@ -290,6 +356,7 @@ router.post(
       .withMessage("A valid email address is required.")
       .normalizeEmail(),
   ],
+  rateLimit("forgot-password"),
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -353,7 +420,9 @@ router.post(
 /**
  * POST /api/auth/reset-password
  *
- * Resets the user's password using a valid reset token.
+ * Resets the user's password using a valid reset token. All of the user's
+ * sessions are revoked, except the one making the request (if it is signed in
+ * as the same user).
  *
  * Request body:
  *   { token: string, password: string }
@@ -413,8 +482,15 @@ router.post(
       // Hash the new password
       const passwordHash = await bcrypt.hash(password, 12);
 
-      // Update password and mark token used in a single transaction
-      db.transaction(() => {
+      // Keep the session making the request (if it belongs to this user);
+      // every other session is revoked along with the old password
+      const authHeader = req.headers.authorization;
+      const currentSession = authHeader?.startsWith("Bearer ")
+        ? getSessionByAccessToken(authHeader.slice(7))
+        : undefined;
+
+      // Update password, mark token used and revoke sessions in a single transaction
+      const revokedSessions = db.transaction(() => {
         db.prepare("UPDATE users SET password_hash = ? WHERE id = ?").run(
           passwordHash,
           reset.user_id
@@ -422,11 +498,16 @@ router.post(
         db.prepare("UPDATE password_resets SET used = 1 WHERE id = ?").run(
           reset.id
         );
+        return revokeAllSessions(reset.user_id, {
+          exceptSessionId:
+            currentSession?.user_id === reset.user_id ? currentSession.id : null,
+        });
       })();
 
       return res.json({
         message:
           "Password reset successfully. You can now log in with your new password.",
+        revokedSessions,
       });
     } catch (err) {
       console.error("[Reset Password] Unexpected error:", err);
@@ -437,6 +518,141 @@ router.post(
   }
 );
 
+/**
+ * POST /api/auth/change-password
+ *
+ * Changes the password of the logged-in user. Requires the current password.
+ * Every other session is revoked, outstanding reset links are invalidated and
+ * a security notice is emailed to the user.
+ *
+ * Requires: Authorization: Bearer <token>
+ *
+ * Request body:
+ *   { currentPassword: string, newPassword: string }
+ *
+ * Responses:
+ *   200 - Password changed; returns revokedSessions
+ *   400 - Validation error or new password same as the current one
+ *   401 - Not authenticated or incorrect current password
+ *   429 - Too many requests or too many failed password attempts (with Retry-After)
+ *   500 - Internal server error
+ */
+router.post(
+  "/change-password",
+  requireAuth,
+  [
+    body("currentPassword")
+      .isString()
+      .notEmpty()
+      .withMessage("Current password is required."),
+    body("newPassword")
+      .isString()
+      .withMessage("Password must be a string.")
+      .matches(PASSWORD_REGEX)
+      .withMessage(
+        "Password must be at least 8 characters long, contain at least one uppercase letter, and at least one number."
+      ),
+  ],
+  rateLimit("password-confirm"),
+  rejectLockedOut,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    try {
+      const passwordMatch = await bcrypt.compare(currentPassword, req.user.password_hash);
+      if (!passwordMatch) {
+        recordLoginFailure(req.user.email, { userId: req.user.id, ipAddress: req.ip ?? null });
+        return res.status(401).json({ error: "Incorrect password." });
+      }
+
+      if (await bcrypt.compare(newPassword, req.user.password_hash)) {
+        return res.status(400).json({
+          error: "New password must be different from your current password.",
+        });
+      }
+
+      const passwordHash = await bcrypt.hash(newPassword, 12);
+
+      // Update password, invalidate reset links and revoke other sessions in a
+      // single transaction
+      const revokedSessions = db.transaction(() => {
+        db.prepare("UPDATE users SET password_hash = ? WHERE id = ?").run(
+          passwordHash,
+          req.user.id
+        );
+        db.prepare(
+          "UPDATE password_resets SET used = 1 WHERE user_id = ? AND used = 0"
+        ).run(req.user.id);
+        return revokeAllSessions(req.user.id, { exceptSessionId: req.sessionId });
+      })();
+
+      sendPasswordChangedEmail(req.user.email, { name: req.user.name }).catch((err) =>
+        console.error("[Email] Failed to send password changed email:", err.message)
+      );
+
+      return res.json({
+        message: "Password changed successfully. You have been signed out on your other devices.",
+        revokedSessions,
+      });
+    } catch (err) {
+      console.error("[Change Password] Unexpected error:", err);
+      return res
+        .status(500)
+        .json({ error: "An unexpected error occurred. Please try again." });
+    }
+  }
+);
+
+/**
+ * Finishes a successful login: clears failed-login history, cancels a pending
+ * account deletion and starts a session. Sends the login response.
+ */
+function completeLogin(req, res, user, extra = {}) {
+  clearLoginFailures(user.email);
+
+  let accountDeletionCancelled = false;
+  if (user.deletion_scheduled_for) {
+    cancelAccountDeletion(user.id);
+    accountDeletionCancelled = true;
+  }
+
+  const { token, expiresAt, refreshToken, refreshExpiresAt } = createSession(user.id, req);
+
+  return res.json({
+    message: accountDeletionCancelled
+      ? "Login successful. Your account deletion has been cancelled."
+      : "Login successful.",
+    token,
+    expiresAt,
+    refreshToken,
+    refreshExpiresAt,
+    accountDeletionCancelled,
+    ...extra,
+  });
+}
+
+/**
+ * Responds to a login for an account with two-factor authentication: instead
+ * of a session, issues a challenge to complete at POST /api/auth/login/2fa.
+ */
+function sendLoginChallenge(res, user) {
+  const { challengeToken, expiresAt } = createLoginChallenge(user.id);
+  return res.json({
+    message: "Two-factor authentication required.",
+    twoFactorRequired: true,
+    challengeToken,
+    challengeExpiresAt: expiresAt,
+  });
+}
+
 const loginValidation = [
   body("email")
     .trim()
@@ -452,19 +668,32 @@ const loginValidation = [
 /**
  * POST /api/auth/login
  *
- * Authenticates a user and issues a session token.
+ * Authenticates a user and starts a session. Logging in during an account's
+ * deletion grace period cancels the deletion; accounts past it are deleted and
+ * treated as not found.
+ *
+ * Requests are rate limited per IP, and repeated failed logins lock the email
+ * out with exponential backoff (see utils/rateLimit.js).
+ *
+ * If the account has two-factor authentication enabled, no session is created
+ * yet: the response carries a short-lived challengeToken to complete the login
+ * with at POST /api/auth/login/2fa.
  *
  * Request body:
  *   { email: string, password: string }
  *
  * Responses:
- *   200 - Login successful; returns session token
+ *   200 - { message, token, expiresAt, refreshToken, refreshExpiresAt, accountDeletionCancelled }
+ *         token is a short-lived access token; refreshToken renews it via
+ *         POST /api/auth/refresh
+ *   200 - { message, twoFactorRequired: true, challengeToken, challengeExpiresAt }
  *   400 - Validation error
  *   401 - Invalid credentials
  *   403 - Email not verified
+ *   429 - Too many requests or too many failed logins (with Retry-After)
  *   500 - Internal server error
  */
-router.post("/login", loginValidation, async (req, res) => {
+router.post("/login", loginValidation, rateLimit("login"), async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({
@@ -476,6 +705,15 @@ router.post("/login", loginValidation, async (req, res) => {
   const { email, password } = req.body;
 
   try {
+    const lockoutSeconds = getLoginLockoutSeconds(email);
+    if (lockoutSeconds > 0) {
+      res.set("Retry-After", String(lockoutSeconds));
+      return res.status(429).json({
+        error: "Too many failed login attempts. Please try again later.",
+        retryAfterSeconds: lockoutSeconds,
+      });
+    }
+
     const user = db
       .prepare("SELECT * FROM users WHERE email = ?")
       .get(email);
@@ -485,6 +723,23 @@ router.post("/login", loginValidation, async (req, res) => {
     const passwordMatch = await bcrypt.compare(password, passwordToCheck);
 
     if (!user || !passwordMatch) {
+      const lockedForSeconds = recordLoginFailure(email, {
+        userId: user?.id ?? null,
+        ipAddress: req.ip ?? null,
+      });
+      if (lockedForSeconds > 0) {
+        console.warn(`[Login] Locked out ${email} for ${lockedForSeconds}s after repeated failures.`);
+      }
+      return res
+        .status(401)
+        .json({ error: "Invalid email or password." });
+    }
+
+    if (
+      user.deletion_scheduled_for &&
+      new Date(user.deletion_scheduled_for) <= new Date()
+    ) {
+      purgeUser(user.id);
       return res
         .status(401)
         .json({ error: "Invalid email or password." });
@@ -497,23 +752,334 @@ router.post("/login", loginValidation, async (req, res) => {
       });
     }
 
-    // Create a new session (30-day sliding expiry)
-    const sessionToken = uuidv4();
-    const now = new Date().toISOString();
-    const expiresAt = new Date(Date.now() + THIRTY_DAYS_MS).toISOString();
+    if (user.totp_secret) {
+      return sendLoginChallenge(res, user);
+    }
 
-    db.prepare(
-      `INSERT INTO sessions (id, user_id, token, expires_at, last_active_at, created_at)
-       VALUES (?, ?, ?, ?, ?, ?)`
-    ).run(uuidv4(), user.id, sessionToken, expiresAt, now, now);
+    return completeLogin(req, res, user);
+  } catch (err) {
+    console.error("[Login] Unexpected error:", err);
+    return res
+      .status(500)
+      .json({ error: "An unexpected error occurred. Please try again." });
+  }
+});
 
-    return res.json({
-      message: "Login successful.",
-      token: sessionToken,
-      expiresAt,
+const secondFactorValidation = [
+  body("code").optional().isString().withMessage("Code must be a string."),
+  body("recoveryCode").optional().isString().withMessage("Recovery code must be a string."),
+  body().custom((value) => {
+    if (!value?.code && !value?.recoveryCode) {
+      throw new Error("Either code or recoveryCode is required.");
+    }
+    return true;
+  }),
+];
+
+/**
+ * POST /api/auth/login/2fa
+ *
+ * Completes a login for an account with two-factor authentication, using the
+ * challengeToken from POST /api/auth/login and either a code from the
+ * authenticator app or one of the account's recovery codes. A challenge
+ * expires after 5 minutes or 5 wrong codes; wrong codes also count towards the
+ * email's failed-login lockout.
+ *
+ * Request body:
+ *   { challengeToken: string, code?: string, recoveryCode?: string }
+ *
+ * Responses:
+ *   200 - Same as a successful POST /api/auth/login, plus
+ *         recoveryCodesRemaining when a recovery code was used
+ *   400 - Validation error
+ *   401 - Invalid or expired challenge, or wrong code
+ *   429 - Too many requests or too many failed logins (with Retry-After)
+ *   500 - Internal server error
+ */
+router.post(
+  "/login/2fa",
+  [
+    body("challengeToken").isString().notEmpty().withMessage("Challenge token is required."),
+    ...secondFactorValidation,
+  ],
+  rateLimit("login-2fa"),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    try {
+      const challenge = getLoginChallenge(req.body.challengeToken);
+      const user =
+        challenge && db.prepare("SELECT * FROM users WHERE id = ?").get(challenge.user_id);
+
+      if (!user) {
+        return res
+          .status(401)
+          .json({ error: "Login challenge is invalid or has expired. Please log in again." });
+      }
+
+      const lockoutSeconds = getLoginLockoutSeconds(user.email);
+      if (lockoutSeconds > 0) {
+        deleteLoginChallenge(challenge.id);
+        res.set("Retry-After", String(lockoutSeconds));
+        return res.status(429).json({
+          error: "Too many failed login attempts. Please try again later.",
+          retryAfterSeconds: lockoutSeconds,
+        });
+      }
+
+      const method = verifySecondFactor(user, req.body);
+      if (!method) {
+        const attemptsRemaining = recordLoginChallengeFailure(challenge);
+        recordLoginFailure(user.email, { userId: user.id, ipAddress: req.ip ?? null });
+        return res.status(401).json({
+          error:
+            attemptsRemaining > 0
+              ? "Invalid verification code."
+              : "Invalid verification code. Please log in again.",
+          attemptsRemaining,
+        });
+      }
+
+      deleteLoginChallenge(challenge.id);
+
+      return completeLogin(
+        req,
+        res,
+        user,
+        method === "recovery_code"
+          ? { recoveryCodesRemaining: getTwoFactorStatus(user).recoveryCodesRemaining }
+          : {}
+      );
+    } catch (err) {
+      console.error("[Login 2FA] Unexpected error:", err);
+      return res
+        .status(500)
+        .json({ error: "An unexpected error occurred. Please try again." });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/magic-link
+ *
+ * Emails a single-use login link that expires in 15 minutes, as an
+ * alternative to logging in with a password. Requesting a new link
+ * invalidates earlier ones. Uses a generic response to prevent email
+ * enumeration.
+ *
+ * Request body:
+ *   { email: string }
+ *
+ * Responses:
+ *   200 - Login link sent (or no-op for unknown addresses)
+ *   400 - Validation error
+ *   429 - Too many requests for this IP or email
+ *   500 - Internal server error
+ */
+router.post(
+  "/magic-link",
+  [
+    body("email")
+      .trim()
+      .isEmail()
+      .withMessage("A valid email address is required.")
+      .normalizeEmail(),
+  ],
+  rateLimit("magic-link"),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    const { email } = req.body;
+
+    // Generic response regardless of whether the email exists
+    const GENERIC_RESPONSE = {
+      message: "If an account with this email exists, a login link has been sent.",
+    };
+
+    try {
+      const user = db
+        .prepare("SELECT id FROM users WHERE email = ?")
+        .get(email);
+
+      if (!user) {
+        return res.json(GENERIC_RESPONSE);
+      }
+
+      // Invalidate any existing unused links for this user
+      db.prepare(
+        "UPDATE magic_links SET used = 1 WHERE user_id = ? AND used = 0"
+      ).run(user.id);
+
+      // Create a fresh link (expires in 15 minutes); only its hash is stored
+      const loginToken = uuidv4();
+      const now = new Date().toISOString();
+      const expiresAt = new Date(Date.now() + 15 * 60 * 1000).toISOString();
+
+      db.prepare(
+        `INSERT INTO magic_links (id, user_id, token_hash, expires_at, created_at)
+         VALUES (?, ?, ?, ?, ?)`
+      ).run(uuidv4(), user.id, hashToken(loginToken), expiresAt, now);
+
+      // Send email non-blocking
+      sendMagicLinkEmail(email, loginToken).catch((err) => {
+        console.error("[Email] Failed to send login link to", email, err.message);
+      });
+
+      return res.json(GENERIC_RESPONSE);
+    } catch (err) {
+      console.error("[Magic Link] Unexpected error:", err);
+      return res
+        .status(500)
+        .json({ error: "An unexpected error occurred. Please try again." });
+    }
+  }
+);
+
+/**
+ * GET /api/auth/magic-link/verify?token=...
+ *
+ * Logs in with the token from a magic-link email. The link can only be used
+ * once. Since it proves the user controls the address, it also verifies the
+ * email of an unverified account. Accounts with two-factor authentication get
+ * a login challenge instead of a session, as with POST /api/auth/login.
+ *
+ * Query params:
+ *   token - The magic-link token
+ *
+ * Responses:
+ *   200 - Same as POST /api/auth/login
+ *   400 - Missing, invalid, expired, or already-used token
+ *   500 - Internal server error
+ */
+router.get("/magic-link/verify", (req, res) => {
+  const { token } = req.query;
+
+  if (typeof token !== "string" || !token) {
+    return res.status(400).json({ error: "Login token is required." });
+  }
+
+  try {
+    const link = db
+      .prepare("SELECT * FROM magic_links WHERE token_hash = ?")
+      .get(hashToken(token));
+
+    if (!link) {
+      return res.status(400).json({ error: "Invalid login link." });
+    }
+
+    if (link.used) {
+      return res
+        .status(400)
+        .json({ error: "This login link has already been used." });
+    }
+
+    if (new Date(link.expires_at) < new Date()) {
+      return res.status(400).json({
+        error: "This login link has expired. Please request a new one.",
+      });
+    }
+
+    const user = db.prepare("SELECT * FROM users WHERE id = ?").get(link.user_id);
+
+    if (
+      user.deletion_scheduled_for &&
+      new Date(user.deletion_scheduled_for) <= new Date()
+    ) {
+      purgeUser(user.id);
+      return res.status(400).json({ error: "Invalid login link." });
+    }
+
+    // Mark the link used and the email verified in a single transaction
+    db.transaction(() => {
+      db.prepare("UPDATE magic_links SET used = 1 WHERE id = ?").run(link.id);
+      if (!user.email_verified) {
+        db.prepare("UPDATE users SET email_verified = 1 WHERE id = ?").run(user.id);
+        db.prepare(
+          "UPDATE email_verifications SET used = 1 WHERE user_id = ? AND used = 0 AND new_email IS NULL"
+        ).run(user.id);
+      }
+    })();
+
+    if (user.totp_secret) {
+      return sendLoginChallenge(res, user);
+    }
+
+    return completeLogin(req, res, user);
+  } catch (err) {
+    console.error("[Magic Link Verify] Unexpected error:", err);
+    return res
+      .status(500)
+      .json({ error: "An unexpected error occurred. Please try again." });
+  }
+});
+
+const refreshValidation = [
+  body("refreshToken").isString().notEmpty().withMessage("Refresh token is required."),
+];
+
+/**
+ * POST /api/auth/refresh
+ *
+ * Exchanges a refresh token for a new access token and refresh token, and
+ * extends the session. Refresh tokens are single-use: presenting one that has
+ * already been used revokes the session, signing out whoever holds its
+ * current tokens.
+ *
+ * Request body:
+ *   { refreshToken: string }
+ *
+ * Responses:
+ *   200 - { token, expiresAt, refreshToken, refreshExpiresAt }
+ *   400 - Validation error
+ *   401 - Invalid, expired, or reused refresh token
+ *   500 - Internal server error
+ */
+router.post("/refresh", refreshValidation, (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: "Validation failed",
+      details: errors.array().map((e) => ({ field: e.path, message: e.msg })),
     });
+  }
+
+  try {
+    const result = refreshSession(req.body.refreshToken, req.ip ?? null);
+
+    if (result.status === "reused") {
+      console.warn(
+        `[Refresh] Refresh token reuse detected for user ${result.userId}; session revoked.`
+      );
+      return res
+        .status(401)
+        .json({ error: "Refresh token has already been used. Please log in again." });
+    }
+    if (result.status === "expired") {
+      return res
+        .status(401)
+        .json({ error: "Session expired. Please log in again." });
+    }
+    if (result.status !== "refreshed") {
+      return res
+        .status(401)
+        .json({ error: "Invalid refresh token. Please log in again." });
+    }
+
+    return res.json(result.tokens);
   } catch (err) {
-    console.error("[Login] Unexpected error:", err);
+    console.error("[Refresh] Unexpected error:", err);
     return res
       .status(500)
       .json({ error: "An unexpected error occurred. Please try again." });
@@ -544,4 +1110,263 @@ router.post("/logout", requireAuth, (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/logout-all
+ *
+ * Logs out everywhere: revokes every session for the user, including the
+ * current one.
+ *
+ * Requires: Authorization: Bearer <token>
+ *
+ * Responses:
+ *   200 - { message, revokedSessions }
+ *   401 - Not authenticated
+ *   500 - Internal server error
+ */
+router.post("/logout-all", requireAuth, (req, res) => {
+  try {
+    const revokedSessions = revokeAllSessions(req.user.id);
+    return res.json({ message: "Logged out of all devices.", revokedSessions });
+  } catch (err) {
+    console.error("[LogoutAll] Unexpected error:", err);
+    return res
+      .status(500)
+      .json({ error: "An unexpected error occurred. Please try again." });
+  }
+});
+
+/**
+ * GET /api/auth/sessions
+ *
+ * Lists the user's active sessions (signed-in devices), most recently active
+ * first. The session making the request is flagged with current: true.
+ *
+ * Requires: Authorization: Bearer <token>
+ *
+ * Responses:
+ *   200 - { sessions: [{ id, device, userAgent, ipAddress, createdAt, lastActiveAt, expiresAt, current }] }
+ *   401 - Not authenticated
+ *   500 - Internal server error
+ */
+router.get("/sessions", requireAuth, (req, res) => {
+  try {
+    const sessions = listSessions(req.user.id).map((session) =>
+      formatSession(session, req.sessionId)
+    );
+    return res.json({ sessions });
+  } catch (err) {
+    console.error("[Sessions] Unexpected error:", err);
+    return res
+      .status(500)
+      .json({ error: "An unexpected error occurred. Please try again." });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:sessionId
+ *
+ * Revokes one of the user's sessions. Revoking the current session is the
+ * same as logging out.
+ *
+ * Requires: Authorization: Bearer <token>
+ *
+ * Responses:
+ *   200 - Session revoked
+ *   401 - Not authenticated
+ *   404 - Session not found
+ *   500 - Internal server error
+ */
+router.delete("/sessions/:sessionId", requireAuth, (req, res) => {
+  try {
+    if (!revokeSession(req.user.id, req.params.sessionId)) {
+      return res.status(404).json({ error: "Session not found." });
+    }
+    return res.json({
+      message: "Session revoked.",
+      current: req.params.sessionId === req.sessionId,
+    });
+  } catch (err) {
+    console.error("[RevokeSession] Unexpected error:", err);
+    return res
+      .status(500)
+      .json({ error: "An unexpected error occurred. Please try again." });
+  }
+});
+
+/**
+ * GET /api/auth/2fa
+ *
+ * Returns the user's two-factor authentication status.
+ *
+ * Requires: Authorization: Bearer <token>
+ *
+ * Responses:
+ *   200 - { enabled, enabledAt, recoveryCodesRemaining }
+ *   401 - Not authenticated
+ */
+router.get("/2fa", requireAuth, (req, res) => {
+  return res.json(getTwoFactorStatus(req.user));
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ *
+ * Starts two-factor enrolment. Returns a new secret and an otpauth:// URI for
+ * the authenticator app (typically shown as a QR code). 2FA is not enabled
+ * until the secret is confirmed with POST /api/auth/2fa/confirm; calling setup
+ * again replaces the unconfirmed secret.
+ *
+ * Requires: Authorization: Bearer <token>
+ *
+ * Responses:
+ *   200 - { secret, otpauthUri }
+ *   401 - Not authenticated
+ *   409 - Two-factor authentication is already enabled
+ *   500 - Internal server error
+ */
+router.post("/2fa/setup", requireAuth, (req, res) => {
+  if (req.user.totp_secret) {
+    return res
+      .status(409)
+      .json({ error: "Two-factor authentication is already enabled." });
+  }
+
+  try {
+    const secret = startTwoFactorSetup(req.user.id);
+    return res.json({ secret, otpauthUri: buildOtpauthUri(secret, req.user.email) });
+  } catch (err) {
+    console.error("[2FA Setup] Unexpected error:", err);
+    return res
+      .status(500)
+      .json({ error: "An unexpected error occurred. Please try again." });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/confirm
+ *
+ * Enables two-factor authentication once the user enters a valid code for the
+ * secret from setup. Returns one-time recovery codes, which are shown only
+ * this once.
+ *
+ * Requires: Authorization: Bearer <token>
+ *
+ * Request body:
+ *   { code: string }
+ *
+ * Responses:
+ *   200 - { message, recoveryCodes: string[] }
+ *   400 - Validation error, no setup in progress, or invalid code
+ *   401 - Not authenticated
+ *   409 - Two-factor authentication is already enabled
+ *   500 - Internal server error
+ */
+router.post(
+  "/2fa/confirm",
+  requireAuth,
+  [body("code").isString().notEmpty().withMessage("Code is required.")],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    if (req.user.totp_secret) {
+      return res
+        .status(409)
+        .json({ error: "Two-factor authentication is already enabled." });
+    }
+    if (!req.user.totp_pending_secret) {
+      return res
+        .status(400)
+        .json({ error: "Start two-factor setup before confirming it." });
+    }
+
+    try {
+      const recoveryCodes = confirmTwoFactorSetup(req.user, req.body.code);
+      if (!recoveryCodes) {
+        return res.status(400).json({ error: "Invalid verification code." });
+      }
+
+      return res.json({
+        message:
+          "Two-factor authentication enabled. Store these recovery codes somewhere safe; each can be used once if you lose access to your authenticator app.",
+        recoveryCodes,
+      });
+    } catch (err) {
+      console.error("[2FA Confirm] Unexpected error:", err);
+      return res
+        .status(500)
+        .json({ error: "An unexpected error occurred. Please try again." });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/2fa/disable
+ *
+ * Turns off two-factor authentication. Requires the current password and a
+ * code from the authenticator app (or a recovery code).
+ *
+ * Requires: Authorization: Bearer <token>
+ *
+ * Request body:
+ *   { password: string, code?: string, recoveryCode?: string }
+ *
+ * Responses:
+ *   200 - Two-factor authentication disabled
+ *   400 - Validation error or 2FA not enabled
+ *   401 - Not authenticated, incorrect password or invalid code
+ *   429 - Too many requests or too many failed password attempts (with Retry-After)
+ *   500 - Internal server error
+ */
+router.post(
+  "/2fa/disable",
+  requireAuth,
+  [
+    body("password").isString().notEmpty().withMessage("Password is required."),
+    ...secondFactorValidation,
+  ],
+  rateLimit("password-confirm"),
+  rejectLockedOut,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    if (!req.user.totp_secret) {
+      return res
+        .status(400)
+        .json({ error: "Two-factor authentication is not enabled." });
+    }
+
+    try {
+      const passwordMatch = await bcrypt.compare(req.body.password, req.user.password_hash);
+      if (!passwordMatch) {
+        recordLoginFailure(req.user.email, { userId: req.user.id, ipAddress: req.ip ?? null });
+        return res.status(401).json({ error: "Incorrect password." });
+      }
+
+      if (!verifySecondFactor(req.user, req.body)) {
+        return res.status(401).json({ error: "Invalid verification code." });
+      }
+
+      disableTwoFactor(req.user.id);
+      return res.json({ message: "Two-factor authentication disabled." });
+    } catch (err) {
+      console.error("[2FA Disable] Unexpected error:", err);
+      return res
+        .status(500)
+        .json({ error: "An unexpected error occurred. Please try again." });
+    }
+  }
+);
+
 export default router;
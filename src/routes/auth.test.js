@@ -0,0 +1,422 @@
+import { TEST_PASSWORD, createUser, loginAs, startTestServer } from "../test/helpers.js";
+import { after, before, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { v4 as uuidv4 } from "uuid";
+import db from "../db/index.js";
+import { LOGIN_MAX_FAILURES } from "../utils/rateLimit.js";
+import { hashToken } from "../utils/sessions.js";
+import { generateHotp, getTotpStep } from "../utils/totp.js";
+import { confirmTwoFactorSetup, startTwoFactorSetup } from "../utils/twoFactor.js";
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+/**
+ * Stores a magic link for the user and returns its token.
+ */
+function createMagicLink(userId, { expiresInMs = 15 * 60 * 1000 } = {}) {
+  const token = uuidv4();
+  db.prepare(
+    `INSERT INTO magic_links (id, user_id, token_hash, expires_at, created_at)
+     VALUES (?, ?, ?, ?, ?)`
+  ).run(
+    uuidv4(),
+    userId,
+    hashToken(token),
+    new Date(Date.now() + expiresInMs).toISOString(),
+    new Date().toISOString()
+  );
+  return token;
+}
+
+describe("sessions", () => {
+  it("lists the user's sessions and flags the current one", async () => {
+    const user = createUser();
+    const current = loginAs(user);
+    const other = loginAs(user);
+    loginAs(createUser());
+
+    const res = await server.request("GET", "/api/auth/sessions", { token: current.token });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.sessions.map((s) => [s.id, s.current]).sort(),
+      [
+        [current.id, true],
+        [other.id, false],
+      ].sort()
+    );
+    assert.ok(res.body.sessions.every((s) => !("token" in s)));
+  });
+
+  it("revokes another session", async () => {
+    const user = createUser();
+    const current = loginAs(user);
+    const other = loginAs(user);
+
+    const res = await server.request("DELETE", `/api/auth/sessions/${other.id}`, {
+      token: current.token,
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.current, false);
+    const sessionsFor = ({ token }) => server.request("GET", "/api/auth/sessions", { token });
+    assert.equal((await sessionsFor(other)).status, 401);
+    assert.equal((await sessionsFor(current)).status, 200);
+  });
+
+  it("does not revoke other users' sessions", async () => {
+    const { token } = loginAs(createUser());
+    const stranger = loginAs(createUser());
+
+    const res = await server.request("DELETE", `/api/auth/sessions/${stranger.id}`, { token });
+
+    assert.equal(res.status, 404);
+  });
+
+  it("logs out everywhere", async () => {
+    const user = createUser();
+    const current = loginAs(user);
+    const other = loginAs(user);
+
+    const res = await server.request("POST", "/api/auth/logout-all", { token: current.token });
+
+    assert.equal(res.body.revokedSessions, 2);
+    for (const { token } of [current, other]) {
+      assert.equal((await server.request("GET", "/api/auth/sessions", { token })).status, 401);
+    }
+  });
+});
+
+describe("POST /api/auth/refresh", () => {
+  it("exchanges a refresh token for a new token pair", async () => {
+    const session = loginAs(createUser());
+
+    const res = await server.request("POST", "/api/auth/refresh", {
+      body: { refreshToken: session.refreshToken },
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(
+      (await server.request("GET", "/api/auth/sessions", { token: res.body.token })).status,
+      200
+    );
+    assert.equal(
+      (await server.request("GET", "/api/auth/sessions", { token: session.token })).status,
+      401
+    );
+  });
+
+  it("signs the session out when a refresh token is reused", async () => {
+    const session = loginAs(createUser());
+    const { body: tokens } = await server.request("POST", "/api/auth/refresh", {
+      body: { refreshToken: session.refreshToken },
+    });
+
+    const warn = mock.method(console, "warn", () => {});
+    const res = await server.request("POST", "/api/auth/refresh", {
+      body: { refreshToken: session.refreshToken },
+    });
+    warn.mock.restore();
+
+    assert.equal(res.status, 401);
+    assert.equal(warn.mock.callCount(), 1);
+    assert.equal(
+      (await server.request("GET", "/api/auth/sessions", { token: tokens.token })).status,
+      401
+    );
+  });
+});
+
+describe("POST /api/auth/reset-password", () => {
+  it("revokes every session except the one making the request", async () => {
+    const user = createUser();
+    const current = loginAs(user);
+    const other = loginAs(user);
+    const token = uuidv4();
+    db.prepare(
+      `INSERT INTO password_resets (id, user_id, token, expires_at, created_at)
+       VALUES (?, ?, ?, ?, ?)`
+    ).run(
+      uuidv4(),
+      user.id,
+      token,
+      new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      new Date().toISOString()
+    );
+
+    const res = await server.request("POST", "/api/auth/reset-password", {
+      token: current.token,
+      body: { token, password: "NewPassw0rd" },
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.revokedSessions, 1);
+    assert.equal(
+      (await server.request("GET", "/api/auth/sessions", { token: other.token })).status,
+      401
+    );
+  });
+});
+
+describe("POST /api/auth/login", () => {
+  it("locks the email out after repeated failed logins", async () => {
+    const user = createUser();
+    const login = (password) =>
+      server.request("POST", "/api/auth/login", { body: { email: user.email, password } });
+
+    const warn = mock.method(console, "warn", () => {});
+    for (let i = 0; i < LOGIN_MAX_FAILURES; i++) {
+      assert.equal((await login("wrong-password")).status, 401);
+    }
+    warn.mock.restore();
+
+    const res = await login(TEST_PASSWORD);
+
+    assert.equal(res.status, 429);
+    assert.ok(res.body.retryAfterSeconds > 0);
+  });
+});
+
+describe("POST /api/auth/login/2fa", () => {
+  /**
+   * Enables 2FA for a new user and starts a login, returning the challenge
+   * token, the TOTP secret and the user's recovery codes.
+   */
+  async function startTwoFactorLogin() {
+    const user = createUser();
+    const secret = startTwoFactorSetup(user.id);
+    const recoveryCodes = confirmTwoFactorSetup(
+      db.prepare("SELECT * FROM users WHERE id = ?").get(user.id),
+      generateHotp(secret, getTotpStep(new Date()))
+    );
+
+    const res = await server.request("POST", "/api/auth/login", {
+      body: { email: user.email, password: TEST_PASSWORD },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.twoFactorRequired, true);
+    assert.equal(res.body.token, undefined);
+
+    return { challengeToken: res.body.challengeToken, secret, recoveryCodes };
+  }
+
+  it("completes the login with a recovery code", async () => {
+    const { challengeToken, recoveryCodes } = await startTwoFactorLogin();
+
+    const res = await server.request("POST", "/api/auth/login/2fa", {
+      body: { challengeToken, recoveryCode: recoveryCodes[0] },
+    });
+
+    assert.equal(res.status, 200);
+    assert.ok(res.body.token);
+    assert.equal(res.body.recoveryCodesRemaining, recoveryCodes.length - 1);
+  });
+
+  it("rejects wrong codes and counts down the remaining attempts", async () => {
+    const { challengeToken, secret } = await startTwoFactorLogin();
+    // A code from ten minutes ago is outside the accepted window
+    const staleCode = generateHotp(secret, getTotpStep(new Date()) - 20);
+
+    const res = await server.request("POST", "/api/auth/login/2fa", {
+      body: { challengeToken, code: staleCode },
+    });
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.attemptsRemaining, 4);
+  });
+});
+
+describe("GET /api/auth/magic-link/verify", () => {
+  it("logs in once per link", async () => {
+    const user = createUser();
+    const token = createMagicLink(user.id);
+
+    const first = await server.request("GET", `/api/auth/magic-link/verify?token=${token}`);
+    assert.equal(first.status, 200);
+    assert.ok(first.body.token);
+    assert.ok(first.body.refreshToken);
+
+    const second = await server.request("GET", `/api/auth/magic-link/verify?token=${token}`);
+    assert.equal(second.status, 400);
+    assert.equal(second.body.error, "This login link has already been used.");
+  });
+
+  it("rejects expired links", async () => {
+    const user = createUser();
+    const token = createMagicLink(user.id, { expiresInMs: -1000 });
+
+    const res = await server.request("GET", `/api/auth/magic-link/verify?token=${token}`);
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /expired/);
+  });
+
+  it("invalidates earlier links when a new one is requested", async () => {
+    const user = createUser();
+    const token = createMagicLink(user.id);
+
+    const requested = await server.request("POST", "/api/auth/magic-link", {
+      body: { email: user.email },
+    });
+    assert.equal(requested.status, 200);
+
+    const res = await server.request("GET", `/api/auth/magic-link/verify?token=${token}`);
+    assert.equal(res.status, 400);
+  });
+
+  it("verifies the email of an unverified account", async () => {
+    const user = createUser({ email_verified: 0 });
+    const token = createMagicLink(user.id);
+
+    await server.request("GET", `/api/auth/magic-link/verify?token=${token}`);
+
+    const { email_verified } = db
+      .prepare("SELECT email_verified FROM users WHERE id = ?")
+      .get(user.id);
+    assert.equal(email_verified, 1);
+  });
+});
+
+describe("email change", () => {
+  /**
+   * Requests a change to newEmail and returns the confirmation token.
+   */
+  async function requestEmailChange(user, newEmail) {
+    const { token } = loginAs(user);
+    const res = await server.request("POST", "/api/users/me/email", {
+      token,
+      body: { newEmail, password: TEST_PASSWORD },
+    });
+    assert.equal(res.status, 202);
+
+    return db
+      .prepare("SELECT token FROM email_verifications WHERE user_id = ? AND new_email = ?")
+      .get(user.id, newEmail).token;
+  }
+
+  const getEmail = (userId) =>
+    db.prepare("SELECT email FROM users WHERE id = ?").get(userId).email;
+
+  it("requires the current password", async () => {
+    const user = createUser();
+    const { token } = loginAs(user);
+
+    const res = await server.request("POST", "/api/users/me/email", {
+      token,
+      body: { newEmail: "wrong-password@example.com", password: "not-the-password" },
+    });
+    assert.equal(res.status, 401);
+  });
+
+  it("only changes the address once the new one is confirmed", async () => {
+    const user = createUser();
+    const token = await requestEmailChange(user, "confirmed@example.com");
+    assert.equal(getEmail(user.id), user.email);
+
+    const res = await server.request("GET", `/api/auth/verify-email?token=${token}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.email, "confirmed@example.com");
+    assert.equal(getEmail(user.id), "confirmed@example.com");
+
+    const reused = await server.request("GET", `/api/auth/verify-email?token=${token}`);
+    assert.equal(reused.status, 400);
+  });
+
+  it("invalidates earlier pending changes", async () => {
+    const user = createUser();
+    const first = await requestEmailChange(user, "first-choice@example.com");
+    await requestEmailChange(user, "second-choice@example.com");
+
+    const res = await server.request("GET", `/api/auth/verify-email?token=${first}`);
+    assert.equal(res.status, 400);
+    assert.equal(getEmail(user.id), user.email);
+  });
+
+  it("returns 409 if the address was registered before confirmation", async () => {
+    const user = createUser();
+    const token = await requestEmailChange(user, "contested@example.com");
+    createUser({ email: "contested@example.com" });
+
+    const res = await server.request("GET", `/api/auth/verify-email?token=${token}`);
+    assert.equal(res.status, 409);
+    assert.equal(getEmail(user.id), user.email);
+
+    const { used } = db
+      .prepare("SELECT used FROM email_verifications WHERE token = ?")
+      .get(token);
+    assert.equal(used, 0);
+  });
+});
+
+describe("POST /api/auth/change-password", () => {
+  it("requires the current password", async () => {
+    const { token } = loginAs(createUser());
+
+    const res = await server.request("POST", "/api/auth/change-password", {
+      token,
+      body: { currentPassword: "not-the-password", newPassword: "NewPassw0rd" },
+    });
+
+    assert.equal(res.status, 401);
+  });
+
+  it("rejects reusing the current password", async () => {
+    const { token } = loginAs(createUser());
+
+    const res = await server.request("POST", "/api/auth/change-password", {
+      token,
+      body: { currentPassword: TEST_PASSWORD, newPassword: TEST_PASSWORD },
+    });
+
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /different/);
+  });
+
+  it("changes the password and signs out every other session", async () => {
+    const user = createUser();
+    const current = loginAs(user);
+    const other = loginAs(user);
+
+    const res = await server.request("POST", "/api/auth/change-password", {
+      token: current.token,
+      body: { currentPassword: TEST_PASSWORD, newPassword: "NewPassw0rd" },
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.revokedSessions, 1);
+    assert.equal(
+      (await server.request("GET", "/api/auth/sessions", { token: other.token })).status,
+      401
+    );
+
+    const login = await server.request("POST", "/api/auth/login", {
+      body: { email: user.email, password: "NewPassw0rd" },
+    });
+    assert.equal(login.status, 200);
+  });
+
+  it("counts wrong current passwords toward the login lockout", async () => {
+    const { token } = loginAs(createUser());
+    const changePassword = (currentPassword) =>
+      server.request("POST", "/api/auth/change-password", {
+        token,
+        body: { currentPassword, newPassword: "NewPassw0rd" },
+      });
+
+    for (let i = 0; i < LOGIN_MAX_FAILURES; i++) {
+      assert.equal((await changePassword("wrong-password")).status, 401);
+    }
+
+    const res = await changePassword(TEST_PASSWORD);
+
+    assert.equal(res.status, 429);
+    assert.ok(res.body.retryAfterSeconds > 0);
+  });
+});
@@ -7,6 +7,7 @@ import { MOVEMENT_EXERCISES, buildFoodHabitsResponse } from "./habits.js";
 import { getTodayForTimezone } from "../utils/date.js";
 import { getXpForNextLevel, DAILY_XP_CAP } from "../utils/xp.js";
 import { evaluateStreakIfNeeded, countCompletedCategories } from "../utils/streak.js";
+import { getSleepEvaluation } from "../utils/sleep.js";
 
 const router = Router();
 
@@ -28,7 +29,7 @@ router.get("/", (req, res) => {
 
   const user = db
     .prepare(
-      "SELECT name, mascot_id, mascot_name, current_streak, longest_streak, streak_shields, xp_total, level, team_reminder_at, timezone FROM users WHERE id = ?"
+      "SELECT name, mascot_id, mascot_name, mascot_stage, current_streak, longest_streak, streak_shields, xp_total, level, team_reminder_at, timezone FROM users WHERE id = ?"
     )
     .get(req.user.id);
 
@@ -70,7 +71,7 @@ router.get("/", (req, res) => {
     userId: req.user.id,
     name: user.name,
     mascot: user.mascot_id
-      ? { id: user.mascot_id, name: user.mascot_name, mood: mascotMood }
+      ? { id: user.mascot_id, name: user.mascot_name, stage: user.mascot_stage ?? 1, mood: mascotMood }
       : null,
     streak: {
       current: user.current_streak,
@@ -103,7 +104,7 @@ router.get("/", (req, res) => {
         sleepStart: habitLog?.sleep_start ?? null,
         sleepEnd: habitLog?.sleep_end ?? null,
         hours: habitLog?.sleep_hours ?? null,
-        goalMet: habitLog?.sleep_hours != null && habitLog.sleep_hours >= 7,
+        ...getSleepEvaluation(req.user.id, today, habitLog?.sleep_hours ?? null, habitGoals),
       },
       foodHabits: buildFoodHabitsResponse(habitLog),
       progress: habitLog
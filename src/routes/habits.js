@@ -1,11 +1,41 @@
-import { Router } from "express";
-import { body, param, validationResult } from "express-validator";
+import express, { Router } from "express";
+import { body, param, query, validationResult } from "express-validator";
 import { v4 as uuidv4 } from "uuid";
 import db from "../db/index.js";
 import { requireAuth } from "../middleware/requireAuth.js";
-import { getTodayForTimezone } from "../utils/date.js";
+import { getTodayForTimezone, addDays } from "../utils/date.js";
 import { capDailyXp, getLevelForXp } from "../utils/xp.js";
-import { evaluateStreakIfNeeded } from "../utils/streak.js";
+import { evaluateStreakIfNeeded, reevaluateStreakFrom } from "../utils/streak.js";
+import { checkAndApplyEvolution } from "../utils/mascot.js";
+import { evaluateBadges } from "../utils/badges.js";
+import { isSleepGoalMet, getSleepEvaluation } from "../utils/sleep.js";
+import {
+  STEP_SOURCES,
+  MERGE_POLICIES,
+  isStepSource,
+  getStepMergeSettings,
+  getStepReadings,
+  recordStepReading,
+  mergeStepReadings,
+} from "../utils/stepSources.js";
+import { MAX_IMPORT_ROWS, parseImportCsv, normaliseImportRows } from "../utils/healthImport.js";
+import {
+  MAX_SESSION_HOURS,
+  getWakeDate,
+  getSleepSessions,
+  findOverlappingSession,
+  summariseSleepSessions,
+  formatSleepSession,
+} from "../utils/sleepSessions.js";
+import {
+  GOAL_FIELDS,
+  GOAL_BOUNDS,
+  MOVEMENT_PREFERENCES,
+  getCurrentGoals,
+  getGoalsForDate,
+  updateGoals,
+} from "../utils/goals.js";
+import { SUGGESTIBLE_GOALS, buildGoalSuggestions } from "../utils/goalSuggestions.js";
 
 const router = Router();
 
@@ -22,7 +52,6 @@ const CATEGORY_COLUMN_MAP = {
 };
 
 // US-012: step-specific constants
-const MAX_MANUAL_STEPS = 50000;
 const STEP_BONUS_INCREMENT = 500;
 const STEP_BONUS_XP = 5;
 const TWO_HOURS_MS = 2 * 60 * 60 * 1000;
@@ -34,18 +63,25 @@ const MOVEMENT_XP = 15;
 const HYDRATION_GLASS_XP = 5;
 const HYDRATION_GOAL_BONUS_XP = 20;
 
+// Past days that can still be edited (today - BACKFILL_DAYS .. today)
+const BACKFILL_DAYS = 2;
+const MAX_HISTORY_RANGE_DAYS = 366;
+const DEFAULT_HISTORY_DAYS = 30;
+
 // US-015: sleep XP constants
 const SLEEP_LOG_XP = 5;
 const SLEEP_GOAL_BONUS_XP = 15;
-const SLEEP_GOAL_HOURS = 7;
 
 /**
  * Applies XP to a user within an existing transaction.
- * Updates xp_total and recalculates level. Returns level-up info.
+ * Updates xp_total and recalculates level. On level-up, applies any mascot
+ * evolution (and its badges). Returns level-up and evolution info.
  * Must be called inside a db.transaction() block.
  */
 function applyXpToUser(userId, xpDelta) {
-  if (xpDelta <= 0) return { previousLevel: null, newLevel: null, leveledUp: false };
+  if (xpDelta <= 0) {
+    return { previousLevel: null, newLevel: null, leveledUp: false, evolution: null };
+  }
 
   const user = db
     .prepare("SELECT xp_total, level FROM users WHERE id = ?")
@@ -61,7 +97,12 @@ function applyXpToUser(userId, xpDelta) {
     userId
   );
 
-  return { previousLevel, newLevel, leveledUp: newLevel > previousLevel };
+  const leveledUp = newLevel > previousLevel;
+  const evolution = leveledUp
+    ? checkAndApplyEvolution(userId, previousLevel, newLevel)
+    : null;
+
+  return { previousLevel, newLevel, leveledUp, evolution };
 }
 
 // US-016: food habit constants
@@ -145,6 +186,20 @@ router.get("/today", (req, res) => {
   });
 });
 
+/**
+ * Validation shared by PATCH /today/:category and PATCH /:date/:category.
+ */
+const categoryUpdateValidation = [
+  param("category")
+    .isIn(VALID_CATEGORIES)
+    .withMessage(`Category must be one of: ${VALID_CATEGORIES.join(", ")}.`),
+  body("value")
+    .if(param("category").not().equals("sleep"))
+    .if(param("category").not().equals("food"))
+    .exists()
+    .withMessage("Value is required."),
+];
+
 /**
  * PATCH /api/habits/today/:category
  *
@@ -154,26 +209,831 @@ router.get("/today", (req, res) => {
  * Categories: steps, hydration, sleep, movement, vegetables
  *
  * For "steps":
- *   - Body: { value: number, source?: "manual" | "google_fit" } (default source: "manual")
+ *   - Body: { value: number, source?: string } (default source: "manual"; any
+ *     registered step source, see GET /api/habits/steps/sources)
  *   - Manual entries capped at 50,000.
- *   - Effective steps = max(manual, google_fit).
+ *   - Effective steps = the day's per-source readings merged with the user's
+ *     merge policy (max by default).
  *   - Completing step goal awards XP immediately (20 XP for 5k goal, 40 XP for 10k goal).
  *   - Bonus: +5 XP when manual steps increase by >=500 with 2-hour cooldown.
  *
  * For other categories:
  *   - Body: { value: number | boolean }
  */
+router.patch("/today/:category", categoryUpdateValidation, (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: "Validation failed",
+      details: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+    });
+  }
+
+  const today = getTodayForTimezone(req.user.timezone);
+  const now = new Date().toISOString();
+
+  const { status, body } = updateHabitCategory(req, today, now);
+  if (status >= 400) {
+    return res.status(status).json(body);
+  }
+
+  return res.json({ ...body, newBadges: evaluateBadges(req.user.id) });
+});
+
+/**
+ * GET /api/habits/goals
+ *
+ * Returns the user's current habit goals and the bounds each goal can be set within.
+ *
+ * Responses:
+ *   200 - Current goals and bounds
+ *   404 - Goals not set up yet (onboarding step 3 not completed)
+ */
+router.get("/goals", (req, res) => {
+  const goals = getCurrentGoals(req.user.id);
+
+  if (!goals) {
+    return res.status(404).json({
+      error: "Goals not set up yet. Please complete onboarding step 3 first.",
+    });
+  }
+
+  return res.json({ goals, bounds: GOAL_BOUNDS, movementPreferences: MOVEMENT_PREFERENCES });
+});
+
+/**
+ * PATCH /api/habits/goals
+ *
+ * Updates any of the user's habit goals within GOAL_BOUNDS. The change applies
+ * from today (in the user's timezone) and is recorded in habits_config_history,
+ * so earlier days keep being judged against the goals that applied then.
+ *
+ * Request body (all optional):
+ *   { daily_steps, hydration_glasses, sleep_hours_min, sleep_hours_max,
+ *     vegetables_per_day: integer, movement_preference: string }
+ *
+ * Responses:
+ *   200 - Goals updated
+ *   400 - Validation error, no fields, or sleep_hours_min above sleep_hours_max
+ *   404 - Goals not set up yet
+ */
+const goalsUpdateValidation = [
+  ...Object.entries(GOAL_BOUNDS).map(([field, { min, max }]) =>
+    body(field)
+      .optional()
+      .isInt({ min, max })
+      .withMessage(`${field} must be a whole number between ${min} and ${max}.`)
+      .toInt()
+  ),
+  body("movement_preference")
+    .optional()
+    .isIn(MOVEMENT_PREFERENCES)
+    .withMessage(`Movement preference must be one of: ${MOVEMENT_PREFERENCES.join(", ")}.`),
+];
+
+router.patch("/goals", goalsUpdateValidation, (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: "Validation failed",
+      details: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+    });
+  }
+
+  const current = db
+    .prepare("SELECT * FROM habits_config WHERE user_id = ?")
+    .get(req.user.id);
+
+  if (!current) {
+    return res.status(404).json({
+      error: "Goals not set up yet. Please complete onboarding step 3 first.",
+    });
+  }
+
+  const updates = {};
+  for (const field of GOAL_FIELDS) {
+    if (req.body[field] !== undefined) updates[field] = req.body[field];
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({ error: "No valid fields to update." });
+  }
+
+  const goals = { ...current, ...updates };
+  if (goals.sleep_hours_min > goals.sleep_hours_max) {
+    return res.status(400).json({
+      error: "sleep_hours_min cannot be greater than sleep_hours_max.",
+    });
+  }
+
+  const { effectiveFrom, goals: updated } = updateGoals(
+    req.user.id,
+    req.user.timezone,
+    updates
+  );
+
+  return res.json({
+    message: "Goals updated successfully.",
+    effectiveFrom,
+    goals: updated,
+  });
+});
+
+/**
+ * GET /api/habits/goals/suggestions
+ * Suggests raising goals the user keeps beating and easing goals they keep
+ * missing, based on the last 14 complete days of logs.
+ *
+ * Responses:
+ *   200 { from, to, suggestions: [{ goal, direction, currentValue, suggestedValue, reason, stats }] }
+ *   404 Goals not set up yet
+ */
+router.get("/goals/suggestions", (req, res) => {
+  const result = buildGoalSuggestions(req.user.id, req.user.timezone);
+
+  if (!result) {
+    return res.status(404).json({
+      error: "Goals not set up yet. Please complete onboarding step 3 first.",
+    });
+  }
+
+  return res.json(result);
+});
+
+/**
+ * POST /api/habits/goals/suggestions/:goal/accept
+ * Applies the current suggestion for one goal. The suggestion is recomputed
+ * server-side, so the client cannot choose the new value.
+ *
+ * Responses:
+ *   200 { message, suggestion, effectiveFrom, goals }
+ *   400 Unknown goal
+ *   404 Goals not set up yet / no suggestion for this goal
+ */
+router.post(
+  "/goals/suggestions/:goal/accept",
+  [
+    param("goal")
+      .isIn(Object.keys(SUGGESTIBLE_GOALS))
+      .withMessage(`Goal must be one of: ${Object.keys(SUGGESTIBLE_GOALS).join(", ")}.`),
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    const result = buildGoalSuggestions(req.user.id, req.user.timezone);
+    if (!result) {
+      return res.status(404).json({
+        error: "Goals not set up yet. Please complete onboarding step 3 first.",
+      });
+    }
+
+    const suggestion = result.suggestions.find((s) => s.goal === req.params.goal);
+    if (!suggestion) {
+      return res.status(404).json({ error: "There is no suggestion for this goal right now." });
+    }
+
+    const { effectiveFrom, goals } = updateGoals(req.user.id, req.user.timezone, {
+      [suggestion.goal]: suggestion.suggestedValue,
+    });
+
+    return res.json({
+      message: "Goal updated successfully.",
+      suggestion,
+      effectiveFrom,
+      goals,
+    });
+  }
+);
+
+/**
+ * Formats a daily_logs row for the history and backfill endpoints.
+ */
+function formatHistoryLog(log) {
+  return {
+    date: log.log_date,
+    steps: log.steps,
+    stepsManual: log.steps_manual,
+    stepsGoogleFit: log.steps_google_fit,
+    hydration: log.hydration_glasses,
+    sleep: log.sleep_hours,
+    sleepStart: log.sleep_start ?? null,
+    sleepEnd: log.sleep_end ?? null,
+    movement: log.movement_done === 1,
+    vegetables: log.vegetables_count,
+    foodHabits: buildFoodHabitsResponse(log),
+    mood: log.mood,
+    notes: log.notes,
+    xpEarned: log.xp_earned,
+  };
+}
+
+/**
+ * Returns the slice of a daily_logs row (or null) relevant to one category.
+ */
+function getCategoryValue(log, category) {
+  switch (category) {
+    case "steps":
+      return {
+        steps: log?.steps ?? null,
+        stepsManual: log?.steps_manual ?? null,
+        stepsGoogleFit: log?.steps_google_fit ?? null,
+      };
+    case "hydration":
+      return { hydration: log?.hydration_glasses ?? null };
+    case "sleep":
+      return {
+        sleep: log?.sleep_hours ?? null,
+        sleepStart: log?.sleep_start ?? null,
+        sleepEnd: log?.sleep_end ?? null,
+      };
+    case "movement":
+      return { movement: log?.movement_done === 1 };
+    case "vegetables":
+      return { vegetables: log?.vegetables_count ?? null };
+    case "food":
+      return { foodHabits: buildFoodHabitsResponse(log) };
+    default:
+      return null;
+  }
+}
+
+/**
+ * GET /api/habits/steps/sources
+ *
+ * Lists the registered step sources and the user's merge settings.
+ *
+ * Responses:
+ *   200 { sources: [{ id, label, maxDailySteps }], mergePolicies, mergePolicy, priority }
+ */
+router.get("/steps/sources", (req, res) => {
+  const { mergePolicy, priority } = getStepMergeSettings(req.user.id);
+
+  return res.json({
+    sources: Object.entries(STEP_SOURCES).map(([id, s]) => ({
+      id,
+      label: s.label,
+      maxDailySteps: s.maxDailySteps ?? null,
+    })),
+    mergePolicies: MERGE_POLICIES,
+    mergePolicy,
+    priority,
+  });
+});
+
+/**
+ * PATCH /api/habits/steps/sources
+ *
+ * Updates how per-source step readings are merged into the daily step count.
+ * Applies to step updates from now on; existing days keep their merged value.
+ *
+ * Body: { mergePolicy?: "max" | "priority" | "sum", priority?: string[] }
+ *   priority lists source ids, most trusted first; unlisted sources follow in
+ *   registry order.
+ *
+ * Responses:
+ *   200 { message, mergePolicy, priority }
+ *   400 Validation error
+ *   404 Goals not set up yet
+ */
 router.patch(
-  "/today/:category",
+  "/steps/sources",
+  [
+    body("mergePolicy")
+      .optional()
+      .isIn(MERGE_POLICIES)
+      .withMessage(`mergePolicy must be one of: ${MERGE_POLICIES.join(", ")}.`),
+    body("priority")
+      .optional()
+      .isArray()
+      .withMessage("priority must be an array of step source ids.")
+      .custom((priority) => priority.every(isStepSource) && new Set(priority).size === priority.length)
+      .withMessage(
+        `priority must list each step source at most once, from: ${Object.keys(STEP_SOURCES).join(", ")}.`
+      ),
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    const { mergePolicy, priority } = req.body;
+    if (mergePolicy === undefined && priority === undefined) {
+      return res.status(400).json({ error: "No valid fields to update." });
+    }
+
+    const config = db
+      .prepare("SELECT id FROM habits_config WHERE user_id = ?")
+      .get(req.user.id);
+
+    if (!config) {
+      return res.status(404).json({
+        error: "Goals not set up yet. Please complete onboarding step 3 first.",
+      });
+    }
+
+    const updates = {};
+    if (mergePolicy !== undefined) updates.step_merge_policy = mergePolicy;
+    if (priority !== undefined) updates.step_source_priority = JSON.stringify(priority);
+
+    const setClause = Object.keys(updates)
+      .map((k) => `${k} = ?`)
+      .join(", ");
+    db.prepare(
+      `UPDATE habits_config SET ${setClause}, updated_at = ? WHERE id = ?`
+    ).run(...Object.values(updates), new Date().toISOString(), config.id);
+
+    return res.json({
+      message: "Step source settings updated successfully.",
+      ...getStepMergeSettings(req.user.id),
+    });
+  }
+);
+
+/**
+ * POST /api/habits/import
+ *
+ * Imports a batch of daily step and sleep totals from a wearable export.
+ *
+ * JSON body: { source, readings: [{ date: "YYYY-MM-DD", steps?, sleepHours? }] }
+ * CSV body (Content-Type: text/csv): header row with date, steps and/or
+ *   sleep_hours; the step source is given as ?source=
+ *
+ * Steps are stored as that source's reading for the day and merged with the
+ * user's other sources, so re-importing the same data never double-counts.
+ * Imported sleep hours replace the day's value unless the day is logged as
+ * sleep sessions. Goal XP is only awarded for days within the backfill window.
+ *
+ * Responses:
+ *   200 { message, source, summary: { inserted, updated, skipped }, xpAwarded,
+ *         levelUp, evolution, newBadges, days: [{ date, status, reason? }] }
+ *   400 Unknown source, unreadable CSV, or no/too many readings
+ */
+router.post(
+  "/import",
+  express.text({ type: ["text/csv", "text/plain"], limit: "1mb" }),
+  (req, res) => {
+    const isCsv = typeof req.body === "string";
+    const source = (isCsv ? undefined : req.body?.source) ?? req.query.source;
+
+    if (!isStepSource(source)) {
+      return res.status(400).json({
+        error: `source must be one of: ${Object.keys(STEP_SOURCES).join(", ")}.`,
+      });
+    }
+
+    let rows;
+    if (isCsv) {
+      try {
+        rows = parseImportCsv(req.body);
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+    } else {
+      rows = req.body?.readings;
+      if (!Array.isArray(rows)) {
+        return res.status(400).json({ error: "readings must be an array of daily readings." });
+      }
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({ error: "No readings to import." });
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        error: `An import can contain at most ${MAX_IMPORT_ROWS} readings.`,
+      });
+    }
+
+    const { readings, rejected } = normaliseImportRows(rows, {
+      maxSteps: STEP_SOURCES[source].maxDailySteps,
+    });
+
+    const today = getTodayForTimezone(req.user.timezone);
+    const backfillFrom = addDays(today, -BACKFILL_DAYS);
+    const mergeSettings = getStepMergeSettings(req.user.id);
+    const now = new Date().toISOString();
+
+    const days = rejected.map(({ row, date, reason }) => ({ row, date, status: "skipped", reason }));
+    let earliestChanged = null;
+    let xpAwarded = 0;
+
+    const levelInfo = db.transaction(() => {
+      for (const reading of readings) {
+        if (reading.date > today) {
+          days.push({
+            date: reading.date,
+            status: "skipped",
+            reason: "Cannot log habits for a future date.",
+          });
+          continue;
+        }
+
+        const result = importHealthDay(req.user.id, reading, source, mergeSettings, {
+          awardXp: reading.date >= backfillFrom,
+          now,
+        });
+
+        const day = { date: reading.date, status: result.status };
+        if (result.reason) day.reason = result.reason;
+        days.push(day);
+        xpAwarded += result.xpDelta;
+        if (result.status !== "skipped" && (!earliestChanged || reading.date < earliestChanged)) {
+          earliestChanged = reading.date;
+        }
+      }
+
+      const applied = applyXpToUser(req.user.id, xpAwarded);
+      if (earliestChanged && earliestChanged < today) {
+        reevaluateStreakFrom(req.user.id, req.user.timezone, earliestChanged);
+      }
+      return applied;
+    })();
+
+    const newBadges = evaluateBadges(req.user.id);
+    const count = (status) => days.filter((d) => d.status === status).length;
+
+    return res.json({
+      message: "Import complete.",
+      source,
+      summary: {
+        inserted: count("inserted"),
+        updated: count("updated"),
+        skipped: count("skipped"),
+      },
+      xpAwarded,
+      levelUp: levelInfo.leveledUp
+        ? { previousLevel: levelInfo.previousLevel, newLevel: levelInfo.newLevel }
+        : null,
+      evolution: levelInfo.evolution,
+      newBadges,
+      days,
+    });
+  }
+);
+
+/**
+ * Applies one imported day to daily_logs. Must be called inside a transaction.
+ * Step goal and sleep goal XP are only awarded when awardXp is set, capped
+ * against that day's xp_earned; the caller applies the returned xpDelta.
+ *
+ * @returns {{ status: "inserted"|"updated"|"skipped", reason?: string, xpDelta: number }}
+ */
+function importHealthDay(userId, reading, source, mergeSettings, { awardXp, now }) {
+  const existing = db
+    .prepare("SELECT * FROM daily_logs WHERE user_id = ? AND log_date = ?")
+    .get(userId, reading.date);
+  const goals = getGoalsForDate(userId, reading.date);
+
+  const fields = {};
+  let rawXpDelta = 0;
+  let reason;
+
+  if (reading.steps !== undefined) {
+    const readings = getStepReadings(userId, reading.date);
+    if (readings[source] !== reading.steps) {
+      readings[source] = reading.steps;
+      recordStepReading(userId, reading.date, source, reading.steps, now);
+
+      const { legacyColumn } = STEP_SOURCES[source];
+      if (legacyColumn) fields[legacyColumn] = reading.steps;
+
+      fields.steps = mergeStepReadings(readings, mergeSettings);
+      const stepGoal = goals?.daily_steps ?? 10000;
+      if (awardXp && fields.steps >= stepGoal && !existing?.steps_goal_xp_awarded) {
+        rawXpDelta += getStepGoalXp(stepGoal);
+        fields.steps_goal_xp_awarded = 1;
+      }
+    }
+  }
+
+  if (reading.sleepHours !== undefined) {
+    if (getSleepSessions(userId, reading.date).length > 0) {
+      reason = "Sleep for this day is logged as sessions and was not imported.";
+    } else if (existing?.sleep_hours !== reading.sleepHours) {
+      fields.sleep_hours = reading.sleepHours;
+      if (
+        awardXp &&
+        isSleepGoalMet(reading.sleepHours, goals) &&
+        !existing?.sleep_goal_xp_awarded
+      ) {
+        rawXpDelta += SLEEP_GOAL_BONUS_XP;
+        fields.sleep_goal_xp_awarded = 1;
+      }
+    }
+  }
+
+  if (Object.keys(fields).length === 0) {
+    return { status: "skipped", reason: reason ?? "No changes.", xpDelta: 0 };
+  }
+
+  const xpDelta = capDailyXp(existing?.xp_earned ?? 0, rawXpDelta);
+  if (xpDelta > 0) {
+    fields.xp_earned = (existing?.xp_earned ?? 0) + xpDelta;
+  }
+  fields.updated_at = now;
+
+  if (existing) {
+    const setClauses = Object.keys(fields)
+      .map((k) => `${k} = ?`)
+      .join(", ");
+    db.prepare(`UPDATE daily_logs SET ${setClauses} WHERE id = ?`).run(
+      ...Object.values(fields),
+      existing.id
+    );
+  } else {
+    const insertFields = {
+      id: uuidv4(),
+      user_id: userId,
+      log_date: reading.date,
+      created_at: now,
+      ...fields,
+    };
+    const keys = Object.keys(insertFields);
+    const placeholders = keys.map(() => "?").join(", ");
+    db.prepare(
+      `INSERT INTO daily_logs (${keys.join(", ")}) VALUES (${placeholders})`
+    ).run(...Object.values(insertFields));
+  }
+
+  return { status: existing ? "updated" : "inserted", reason, xpDelta };
+}
+
+const sleepTimestamp = (field) =>
+  body(field)
+    .isISO8601({ strict: true, strictSeparator: true })
+    .matches(/(Z|[+-]\d{2}:\d{2})$/)
+    .withMessage(`${field} must be an ISO 8601 timestamp with a timezone offset.`);
+
+/**
+ * GET /api/habits/sleep/sessions?date=YYYY-MM-DD
+ *
+ * Lists the sleep sessions attributed to a wake-up date (default: today).
+ *
+ * Responses:
+ *   200 { date, sleepHours, napHours, sessions: [{ id, start, end, wakeDate, nap, hours }] }
+ */
+router.get(
+  "/sleep/sessions",
   [
+    query("date")
+      .optional()
+      .isDate({ format: "YYYY-MM-DD", strictMode: true })
+      .withMessage("date must be a valid date in YYYY-MM-DD format."),
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    const date = req.query.date ?? getTodayForTimezone(req.user.timezone);
+    const sessions = getSleepSessions(req.user.id, date);
+    const { sleepHours, napHours } = summariseSleepSessions(sessions, req.user.timezone);
+
+    return res.json({
+      date,
+      sleepHours,
+      napHours,
+      sessions: sessions.map(formatSleepSession),
+    });
+  }
+);
+
+/**
+ * POST /api/habits/sleep/sessions
+ *
+ * Records one sleep session (or nap) with full timestamps. The session belongs
+ * to the local date of `end`, which must fall within the backfill window, and
+ * that day's sleep_hours becomes the total of its non-nap sessions (naps are
+ * reported as napHours). Sleep XP is awarded the same way as
+ * PATCH /api/habits/today/sleep.
+ *
+ * Body: { start: ISO 8601, end: ISO 8601, nap?: boolean }
+ *
+ * Responses:
+ *   201 - Sleep update payload plus { session, sessions, napHours }
+ *   400 - Validation error, end not after start, session too long, in the future,
+ *         or outside the backfill window
+ *   409 - Overlaps an existing session
+ */
+router.post(
+  "/sleep/sessions",
+  [
+    sleepTimestamp("start"),
+    sleepTimestamp("end"),
+    body("nap").optional().isBoolean().withMessage("nap must be a boolean.").toBoolean(true),
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    const startAt = new Date(req.body.start).toISOString();
+    const endAt = new Date(req.body.end).toISOString();
+
+    if (endAt <= startAt) {
+      return res.status(400).json({ error: "end must be after start." });
+    }
+
+    if (Date.parse(endAt) - Date.parse(startAt) > MAX_SESSION_HOURS * 60 * 60 * 1000) {
+      return res.status(400).json({
+        error: `A sleep session cannot be longer than ${MAX_SESSION_HOURS} hours.`,
+      });
+    }
+
+    if (Date.parse(endAt) > Date.now()) {
+      return res.status(400).json({ error: "Sleep sessions cannot end in the future." });
+    }
+
+    const today = getTodayForTimezone(req.user.timezone);
+    const wakeDate = getWakeDate(endAt, req.user.timezone);
+
+    if (wakeDate < addDays(today, -BACKFILL_DAYS)) {
+      return res.status(400).json({
+        error: `Habits can only be edited for the last ${BACKFILL_DAYS} days.`,
+      });
+    }
+
+    const overlapping = findOverlappingSession(req.user.id, startAt, endAt);
+    if (overlapping) {
+      return res.status(409).json({
+        error: "This session overlaps an existing sleep session.",
+        conflictingSession: formatSleepSession(overlapping),
+      });
+    }
+
+    const now = new Date().toISOString();
+    const goals = getGoalsForDate(req.user.id, wakeDate);
+    const sessionId = uuidv4();
+
+    const { xpDelta, levelInfo, napHours } = db.transaction(() => {
+      db.prepare(
+        `INSERT INTO sleep_sessions (id, user_id, start_at, end_at, wake_date, is_nap, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`
+      ).run(sessionId, req.user.id, startAt, endAt, wakeDate, req.body.nap ? 1 : 0, now);
+
+      const summary = summariseSleepSessions(
+        getSleepSessions(req.user.id, wakeDate),
+        req.user.timezone
+      );
+      const applied = applySleepToLog(req.user.id, wakeDate, summary, goals, now);
+      if (wakeDate < today) {
+        reevaluateStreakFrom(req.user.id, req.user.timezone, wakeDate);
+      }
+      return { ...applied, napHours: summary.napHours };
+    })();
+
+    const sessions = getSleepSessions(req.user.id, wakeDate);
+    return res.status(201).json({
+      ...buildSleepResponse(req, wakeDate, goals, xpDelta, levelInfo, {
+        session: formatSleepSession(sessions.find((s) => s.id === sessionId)),
+        sessions: sessions.map(formatSleepSession),
+        napHours,
+      }),
+      newBadges: evaluateBadges(req.user.id),
+    });
+  }
+);
+
+/**
+ * DELETE /api/habits/sleep/sessions/:sessionId
+ *
+ * Removes a sleep session within the backfill window and re-derives that day's
+ * sleep hours. XP already awarded for the day is kept.
+ *
+ * Responses:
+ *   200 - Sleep update payload plus { sessions, napHours }
+ *   400 - Session is outside the backfill window
+ *   404 - Session not found
+ */
+router.delete("/sleep/sessions/:sessionId", (req, res) => {
+  const session = db
+    .prepare("SELECT * FROM sleep_sessions WHERE id = ? AND user_id = ?")
+    .get(req.params.sessionId, req.user.id);
+
+  if (!session) {
+    return res.status(404).json({ error: "Sleep session not found." });
+  }
+
+  const today = getTodayForTimezone(req.user.timezone);
+  if (session.wake_date < addDays(today, -BACKFILL_DAYS)) {
+    return res.status(400).json({
+      error: `Habits can only be edited for the last ${BACKFILL_DAYS} days.`,
+    });
+  }
+
+  const now = new Date().toISOString();
+  const goals = getGoalsForDate(req.user.id, session.wake_date);
+
+  const { xpDelta, levelInfo, napHours } = db.transaction(() => {
+    db.prepare("DELETE FROM sleep_sessions WHERE id = ?").run(session.id);
+
+    const summary = summariseSleepSessions(
+      getSleepSessions(req.user.id, session.wake_date),
+      req.user.timezone
+    );
+    const applied = applySleepToLog(req.user.id, session.wake_date, summary, goals, now);
+    if (session.wake_date < today) {
+      reevaluateStreakFrom(req.user.id, req.user.timezone, session.wake_date);
+    }
+    return { ...applied, napHours: summary.napHours };
+  })();
+
+  return res.json({
+    ...buildSleepResponse(req, session.wake_date, goals, xpDelta, levelInfo, {
+      sessions: getSleepSessions(req.user.id, session.wake_date).map(formatSleepSession),
+      napHours,
+    }),
+    newBadges: evaluateBadges(req.user.id),
+  });
+});
+
+/**
+ * GET /api/habits/logs?from=YYYY-MM-DD&to=YYYY-MM-DD
+ *
+ * Returns the user's daily logs in the inclusive date range, oldest first.
+ * Defaults to the last 30 days up to today; ranges are limited to 366 days.
+ */
+router.get(
+  "/logs",
+  [
+    query("from")
+      .optional()
+      .isDate({ format: "YYYY-MM-DD", strictMode: true })
+      .withMessage("from must be a valid date in YYYY-MM-DD format."),
+    query("to")
+      .optional()
+      .isDate({ format: "YYYY-MM-DD", strictMode: true })
+      .withMessage("to must be a valid date in YYYY-MM-DD format."),
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    const today = getTodayForTimezone(req.user.timezone);
+    const to = req.query.to || today;
+    const from = req.query.from || addDays(to, -(DEFAULT_HISTORY_DAYS - 1));
+
+    if (from > to) {
+      return res.status(400).json({ error: "from must not be after to." });
+    }
+
+    if (addDays(from, MAX_HISTORY_RANGE_DAYS) <= to) {
+      return res.status(400).json({
+        error: `Date range cannot exceed ${MAX_HISTORY_RANGE_DAYS} days.`,
+      });
+    }
+
+    const logs = db
+      .prepare(
+        `SELECT * FROM daily_logs
+         WHERE user_id = ? AND log_date BETWEEN ? AND ?
+         ORDER BY log_date ASC`
+      )
+      .all(req.user.id, from, to);
+
+    return res.json({ from, to, logs: logs.map(formatHistoryLog) });
+  }
+);
+
+/**
+ * GET /api/habits/:date/:category
+ *
+ * Returns one category of the user's log for a past day (or today), plus
+ * whether that day can still be edited via PATCH /api/habits/:date/:category.
+ */
+router.get(
+  "/:date/:category",
+  [
+    param("date")
+      .isDate({ format: "YYYY-MM-DD", strictMode: true })
+      .withMessage("Date must be a valid date in YYYY-MM-DD format."),
     param("category")
       .isIn(VALID_CATEGORIES)
       .withMessage(`Category must be one of: ${VALID_CATEGORIES.join(", ")}.`),
-    body("value")
-      .if(param("category").not().equals("sleep"))
-      .if(param("category").not().equals("food"))
-      .exists()
-      .withMessage("Value is required."),
   ],
   (req, res) => {
     const errors = validationResult(req);
@@ -184,86 +1044,183 @@ router.patch(
       });
     }
 
-    const { category } = req.params;
-    const { value } = req.body;
+    const { date, category } = req.params;
+    const today = getTodayForTimezone(req.user.timezone);
+
+    if (date > today) {
+      return res.status(400).json({ error: "Cannot view habits for a future date." });
+    }
+
+    const log = db
+      .prepare("SELECT * FROM daily_logs WHERE user_id = ? AND log_date = ?")
+      .get(req.user.id, date);
+
+    return res.json({
+      date,
+      category,
+      editable: date >= addDays(today, -BACKFILL_DAYS),
+      value: getCategoryValue(log, category),
+      xpEarned: log?.xp_earned ?? 0,
+    });
+  }
+);
+
+/**
+ * PATCH /api/habits/:date/:category
+ *
+ * Backfills a single habit category for a day within the backfill window
+ * (today and the previous 2 days). Accepts the same bodies as
+ * PATCH /api/habits/today/:category and awards XP the same way, capped
+ * against that day's xp_earned. Streak evaluation is re-run from the edited day.
+ *
+ * Responses:
+ *   200 - Updated (same payload as the today endpoint, plus the re-evaluated
+ *         { streak: { current, longest, shields } })
+ *   400 - Validation error, future date, or date outside the backfill window
+ */
+router.patch(
+  "/:date/:category",
+  [
+    param("date")
+      .isDate({ format: "YYYY-MM-DD", strictMode: true })
+      .withMessage("Date must be a valid date in YYYY-MM-DD format."),
+    ...categoryUpdateValidation,
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    const { date } = req.params;
     const today = getTodayForTimezone(req.user.timezone);
+
+    if (date > today) {
+      return res.status(400).json({ error: "Cannot log habits for a future date." });
+    }
+
+    if (date < addDays(today, -BACKFILL_DAYS)) {
+      return res.status(400).json({
+        error: `Habits can only be edited for the last ${BACKFILL_DAYS} days.`,
+      });
+    }
+
     const now = new Date().toISOString();
+    const { status, body } = db.transaction(() => {
+      const result = updateHabitCategory(req, date, now);
+      if (result.status < 400 && date < today) {
+        reevaluateStreakFrom(req.user.id, req.user.timezone, date);
+      }
+      return result;
+    })();
+
+    if (status >= 400) {
+      return res.status(status).json(body);
+    }
+
+    const user = db
+      .prepare("SELECT current_streak, longest_streak, streak_shields FROM users WHERE id = ?")
+      .get(req.user.id);
+
+    // Badges are evaluated only now, so streak badges see the replayed streak
+    return res.json({
+      ...body,
+      newBadges: evaluateBadges(req.user.id),
+      streak: {
+        current: user.current_streak,
+        longest: user.longest_streak,
+        shields: user.streak_shields,
+      },
+    });
+  }
+);
+
+/**
+ * Applies a single category update to the daily log for logDate (today or a
+ * backfilled day). XP is capped against that day's xp_earned. Badges are left
+ * to the caller, which evaluates them once the update (and any streak replay)
+ * is complete.
+ *
+ * @returns {{ status: number, body: object }} The response to send
+ */
+function updateHabitCategory(req, logDate, now) {
+  const { category } = req.params;
+  const { value } = req.body;
 
-    // Steps have dedicated logic (source tracking, XP awards)
-    if (category === "steps") {
-      return handleStepsUpdate(req, res, value, today, now);
-    }
+  // Steps have dedicated logic (source tracking, XP awards)
+  if (category === "steps") {
+    return handleStepsUpdate(req, value, logDate, now);
+  }
 
-    // Movement has dedicated logic (XP award on completion)
-    if (category === "movement") {
-      return handleMovementUpdate(req, res, value, today, now);
-    }
+  // Movement has dedicated logic (XP award on completion)
+  if (category === "movement") {
+    return handleMovementUpdate(req, value, logDate, now);
+  }
 
-    // Hydration has dedicated logic (per-glass XP + goal bonus)
-    if (category === "hydration") {
-      return handleHydrationUpdate(req, res, value, today, now);
-    }
+  // Hydration has dedicated logic (per-glass XP + goal bonus)
+  if (category === "hydration") {
+    return handleHydrationUpdate(req, value, logDate, now);
+  }
 
-    // Sleep has dedicated logic (start/end times, auto-calculated hours, XP)
-    if (category === "sleep") {
-      return handleSleepUpdate(req, res, today, now);
-    }
+  // Sleep has dedicated logic (start/end times, auto-calculated hours, XP)
+  if (category === "sleep") {
+    return handleSleepUpdate(req, logDate, now);
+  }
 
-    // Food has dedicated logic (checkbox items with per-item XP)
-    if (category === "food") {
-      return handleFoodUpdate(req, res, today, now);
-    }
+  // Food has dedicated logic (checkbox items with per-item XP)
+  if (category === "food") {
+    return handleFoodUpdate(req, logDate, now);
+  }
 
-    const column = CATEGORY_COLUMN_MAP[category];
+  const column = CATEGORY_COLUMN_MAP[category];
 
-    let processedValue;
-    if (category === "movement") {
-      if (typeof value !== "boolean" && value !== 0 && value !== 1) {
-        return res
-          .status(400)
-          .json({ error: "Movement value must be a boolean (true/false)." });
-      }
-      processedValue = value ? 1 : 0;
-    } else if (category === "sleep") {
-      const num = parseFloat(value);
-      if (isNaN(num) || num < 0 || num > 24) {
-        return res
-          .status(400)
-          .json({ error: "Sleep value must be a number between 0 and 24 hours." });
-      }
-      processedValue = num;
-    } else {
-      const num = parseInt(value, 10);
-      if (isNaN(num) || num < 0) {
-        return res
-          .status(400)
-          .json({ error: `${category} value must be a non-negative integer.` });
-      }
-      processedValue = num;
+  let processedValue;
+  if (category === "movement") {
+    if (typeof value !== "boolean" && value !== 0 && value !== 1) {
+      return { status: 400, body: { error: "Movement value must be a boolean (true/false)." } };
     }
+    processedValue = value ? 1 : 0;
+  } else if (category === "sleep") {
+    const num = parseFloat(value);
+    if (isNaN(num) || num < 0 || num > 24) {
+      return { status: 400, body: { error: "Sleep value must be a number between 0 and 24 hours." } };
+    }
+    processedValue = num;
+  } else {
+    const num = parseInt(value, 10);
+    if (isNaN(num) || num < 0) {
+      return { status: 400, body: { error: `${category} value must be a non-negative integer.` } };
+    }
+    processedValue = num;
+  }
 
-    const existing = db
-      .prepare("SELECT id FROM daily_logs WHERE user_id = ? AND log_date = ?")
-      .get(req.user.id, today);
+  const existing = db
+    .prepare("SELECT id FROM daily_logs WHERE user_id = ? AND log_date = ?")
+    .get(req.user.id, logDate);
 
-    if (existing) {
-      db.prepare(
-        `UPDATE daily_logs SET ${column} = ?, updated_at = ? WHERE id = ?`
-      ).run(processedValue, now, existing.id);
-    } else {
-      db.prepare(
-        `INSERT INTO daily_logs (id, user_id, log_date, ${column}, created_at, updated_at)
-         VALUES (?, ?, ?, ?, ?, ?)`
-      ).run(uuidv4(), req.user.id, today, processedValue, now, now);
-    }
+  if (existing) {
+    db.prepare(
+      `UPDATE daily_logs SET ${column} = ?, updated_at = ? WHERE id = ?`
+    ).run(processedValue, now, existing.id);
+  } else {
+    db.prepare(
+      `INSERT INTO daily_logs (id, user_id, log_date, ${column}, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    ).run(uuidv4(), req.user.id, logDate, processedValue, now, now);
+  }
 
-    const log = db
-      .prepare("SELECT * FROM daily_logs WHERE user_id = ? AND log_date = ?")
-      .get(req.user.id, today);
+  const log = db
+    .prepare("SELECT * FROM daily_logs WHERE user_id = ? AND log_date = ?")
+    .get(req.user.id, logDate);
 
-    return res.json({
+  return {
+    status: 200,
+    body: {
       message: `${category} updated successfully.`,
-      date: today,
+      date: logDate,
       today: {
         steps: log.steps,
         hydration: log.hydration_glasses,
@@ -274,18 +1231,16 @@ router.patch(
         notes: log.notes,
         xpEarned: log.xp_earned,
       },
-    });
-  }
-);
+    },
+  };
+}
 
 /**
  * Handles movement updates with boolean done/not-done tracking and one-time 15 XP award.
  */
-function handleMovementUpdate(req, res, value, today, now) {
+function handleMovementUpdate(req, value, today, now) {
   if (typeof value !== "boolean" && value !== 0 && value !== 1) {
-    return res
-      .status(400)
-      .json({ error: "Movement value must be a boolean (true/false)." });
+    return { status: 400, body: { error: "Movement value must be a boolean (true/false)." } };
   }
 
   const done = value === true || value === 1;
@@ -337,7 +1292,7 @@ function handleMovementUpdate(req, res, value, today, now) {
       ).run(...Object.values(insertFields));
     }
 
-    let levelInfo = { leveledUp: false };
+    let levelInfo = { leveledUp: false, evolution: null };
     if (xpDelta > 0) {
       levelInfo = applyXpToUser(req.user.id, xpDelta);
     }
@@ -345,7 +1300,6 @@ function handleMovementUpdate(req, res, value, today, now) {
   });
 
   const levelInfo = applyUpdate();
-
   const log = db
     .prepare("SELECT * FROM daily_logs WHERE user_id = ? AND log_date = ?")
     .get(req.user.id, today);
@@ -362,45 +1316,45 @@ function handleMovementUpdate(req, res, value, today, now) {
     .prepare("SELECT xp_total, level FROM users WHERE id = ?")
     .get(req.user.id);
 
-  return res.json({
-    message: "movement updated successfully.",
-    date: today,
-    movementDone: done,
-    xpAwarded: xpDelta,
-    xpTotal: updatedUser.xp_total,
-    level: updatedUser.level,
-    levelUp: levelInfo.leveledUp
-      ? { previousLevel: levelInfo.previousLevel, newLevel: levelInfo.newLevel }
-      : null,
-    movementRoutine,
-    today: {
-      steps: log.steps,
-      hydration: log.hydration_glasses,
-      sleep: log.sleep_hours,
-      movement: log.movement_done === 1,
-      vegetables: log.vegetables_count,
-      mood: log.mood,
-      notes: log.notes,
-      xpEarned: log.xp_earned,
+  return {
+    status: 200,
+    body: {
+      message: "movement updated successfully.",
+      date: today,
+      movementDone: done,
+      xpAwarded: xpDelta,
+      xpTotal: updatedUser.xp_total,
+      level: updatedUser.level,
+      levelUp: levelInfo.leveledUp
+        ? { previousLevel: levelInfo.previousLevel, newLevel: levelInfo.newLevel }
+        : null,
+      evolution: levelInfo.evolution,
+      movementRoutine,
+      today: {
+        steps: log.steps,
+        hydration: log.hydration_glasses,
+        sleep: log.sleep_hours,
+        movement: log.movement_done === 1,
+        vegetables: log.vegetables_count,
+        mood: log.mood,
+        notes: log.notes,
+        xpEarned: log.xp_earned,
+      },
     },
-  });
+  };
 }
 
 /**
  * Handles hydration updates with per-glass 5 XP and one-time 20 XP bonus at daily target.
  */
-function handleHydrationUpdate(req, res, value, today, now) {
+function handleHydrationUpdate(req, value, today, now) {
   const glasses = parseInt(value, 10);
   if (isNaN(glasses) || glasses < 0) {
-    return res
-      .status(400)
-      .json({ error: "hydration value must be a non-negative integer." });
+    return { status: 400, body: { error: "hydration value must be a non-negative integer." } };
   }
 
-  // Fetch user's hydration goal from habits_config; default to 8 if not set
-  const goalConfig = db
-    .prepare("SELECT hydration_glasses FROM habits_config WHERE user_id = ?")
-    .get(req.user.id);
+  // Hydration goal in effect on the log date; default to 8 if not set
+  const goalConfig = getGoalsForDate(req.user.id, today);
 
   const hydrationGoal = goalConfig?.hydration_glasses ?? 8;
 
@@ -458,7 +1412,7 @@ function handleHydrationUpdate(req, res, value, today, now) {
       ).run(...Object.values(insertFields));
     }
 
-    let levelInfo = { leveledUp: false };
+    let levelInfo = { leveledUp: false, evolution: null };
     if (xpDelta > 0) {
       levelInfo = applyXpToUser(req.user.id, xpDelta);
     }
@@ -466,7 +1420,6 @@ function handleHydrationUpdate(req, res, value, today, now) {
   });
 
   const levelInfo = applyUpdate();
-
   const log = db
     .prepare("SELECT * FROM daily_logs WHERE user_id = ? AND log_date = ?")
     .get(req.user.id, today);
@@ -475,29 +1428,33 @@ function handleHydrationUpdate(req, res, value, today, now) {
     .prepare("SELECT xp_total, level FROM users WHERE id = ?")
     .get(req.user.id);
 
-  return res.json({
-    message: "hydration updated successfully.",
-    date: today,
-    hydrationGoal,
-    currentGlasses: glasses,
-    goalMet,
-    xpAwarded: xpDelta,
-    xpTotal: updatedUser.xp_total,
-    level: updatedUser.level,
-    levelUp: levelInfo.leveledUp
-      ? { previousLevel: levelInfo.previousLevel, newLevel: levelInfo.newLevel }
-      : null,
-    today: {
-      steps: log.steps,
-      hydration: log.hydration_glasses,
-      sleep: log.sleep_hours,
-      movement: log.movement_done === 1,
-      vegetables: log.vegetables_count,
-      mood: log.mood,
-      notes: log.notes,
-      xpEarned: log.xp_earned,
+  return {
+    status: 200,
+    body: {
+      message: "hydration updated successfully.",
+      date: today,
+      hydrationGoal,
+      currentGlasses: glasses,
+      goalMet,
+      xpAwarded: xpDelta,
+      xpTotal: updatedUser.xp_total,
+      level: updatedUser.level,
+      levelUp: levelInfo.leveledUp
+        ? { previousLevel: levelInfo.previousLevel, newLevel: levelInfo.newLevel }
+        : null,
+      evolution: levelInfo.evolution,
+      today: {
+        steps: log.steps,
+        hydration: log.hydration_glasses,
+        sleep: log.sleep_hours,
+        movement: log.movement_done === 1,
+        vegetables: log.vegetables_count,
+        mood: log.mood,
+        notes: log.notes,
+        xpEarned: log.xp_earned,
+      },
     },
-  });
+  };
 }
 
 /**
@@ -506,39 +1463,55 @@ function handleHydrationUpdate(req, res, value, today, now) {
  * Body: { sleepStart?: "HH:MM", sleepEnd?: "HH:MM" } — at least one required.
  * - Logging sleep start awards 5 XP (once per day).
  * - Logging wake-up (sleepEnd) awards 5 XP (once per day).
- * - Achieving 7+ hours of sleep awards an additional 15 XP (once per day).
+ * - Sleeping within the configured sleep_hours_min–sleep_hours_max range awards
+ *   an additional 15 XP (once per day). Oversleeping past the max does not.
  * - Sleep hours auto-calculated when both start and end are present.
+ * - Days logged as sleep sessions (POST /api/habits/sleep/sessions) are rejected
+ *   with 409, since their hours are derived from the sessions.
  */
-function handleSleepUpdate(req, res, today, now) {
+function handleSleepUpdate(req, today, now) {
   const { sleepStart, sleepEnd } = req.body;
 
   if (!sleepStart && !sleepEnd) {
-    return res.status(400).json({
-      error: "At least one of sleepStart or sleepEnd (HH:MM format) is required.",
-    });
+    return {
+      status: 400,
+      body: {
+        error: "At least one of sleepStart or sleepEnd (HH:MM format) is required.",
+      },
+    };
   }
 
   const timeRegex = /^([01]\d|2[0-3]):[0-5]\d$/;
 
   if (sleepStart && !timeRegex.test(sleepStart)) {
-    return res.status(400).json({
-      error: "sleepStart must be in HH:MM format (00:00–23:59).",
-    });
+    return {
+      status: 400,
+      body: {
+        error: "sleepStart must be in HH:MM format (00:00–23:59).",
+      },
+    };
   }
 
   if (sleepEnd && !timeRegex.test(sleepEnd)) {
-    return res.status(400).json({
-      error: "sleepEnd must be in HH:MM format (00:00–23:59).",
-    });
+    return {
+      status: 400,
+      body: {
+        error: "sleepEnd must be in HH:MM format (00:00–23:59).",
+      },
+    };
+  }
+
+  if (getSleepSessions(req.user.id, today).length > 0) {
+    return {
+      status: 409,
+      body: {
+        error: "Sleep for this day is logged as sessions. Use /api/habits/sleep/sessions instead.",
+      },
+    };
   }
 
   const existing = db
-    .prepare(
-      `SELECT id, sleep_start, sleep_end, sleep_hours,
-              sleep_xp_start_awarded, sleep_xp_end_awarded, sleep_goal_xp_awarded,
-              xp_earned
-       FROM daily_logs WHERE user_id = ? AND log_date = ?`
-    )
+    .prepare("SELECT sleep_start, sleep_end FROM daily_logs WHERE user_id = ? AND log_date = ?")
     .get(req.user.id, today);
 
   const effectiveStart = sleepStart || existing?.sleep_start || null;
@@ -557,25 +1530,56 @@ function handleSleepUpdate(req, res, today, now) {
     sleepHours = Math.round((diffMin / 60) * 10) / 10; // 1 decimal
   }
 
+  const goals = getGoalsForDate(req.user.id, today);
+  const { xpDelta, levelInfo } = db.transaction(() =>
+    applySleepToLog(
+      req.user.id,
+      today,
+      { sleepStart: effectiveStart, sleepEnd: effectiveEnd, sleepHours },
+      goals,
+      now
+    )
+  )();
+
+  return { status: 200, body: buildSleepResponse(req, today, goals, xpDelta, levelInfo) };
+}
+
+/**
+ * Writes sleep start/end/hours to the daily log for logDate (creating it if
+ * needed) and awards sleep XP: logging the start, logging the wake-up and
+ * meeting the sleep goal each award XP once per day, capped against that day's
+ * xp_earned. Must be called inside a transaction.
+ *
+ * @returns {{ xpDelta: number, levelInfo: object }}
+ */
+function applySleepToLog(userId, logDate, { sleepStart, sleepEnd, sleepHours }, goals, now) {
+  const existing = db
+    .prepare(
+      `SELECT id, sleep_xp_start_awarded, sleep_xp_end_awarded, sleep_goal_xp_awarded,
+              xp_earned
+       FROM daily_logs WHERE user_id = ? AND log_date = ?`
+    )
+    .get(userId, logDate);
+
   // XP calculations
   let rawXpDelta = 0;
 
   const prevStartAwarded = existing?.sleep_xp_start_awarded ?? 0;
   const newStartAwarded =
-    effectiveStart && prevStartAwarded === 0 ? 1 : prevStartAwarded;
+    sleepStart && prevStartAwarded === 0 ? 1 : prevStartAwarded;
   if (newStartAwarded === 1 && prevStartAwarded === 0) {
     rawXpDelta += SLEEP_LOG_XP;
   }
 
   const prevEndAwarded = existing?.sleep_xp_end_awarded ?? 0;
   const newEndAwarded =
-    effectiveEnd && prevEndAwarded === 0 ? 1 : prevEndAwarded;
+    sleepEnd && prevEndAwarded === 0 ? 1 : prevEndAwarded;
   if (newEndAwarded === 1 && prevEndAwarded === 0) {
     rawXpDelta += SLEEP_LOG_XP;
   }
 
   const prevGoalAwarded = existing?.sleep_goal_xp_awarded ?? 0;
-  const goalMet = sleepHours !== null && sleepHours >= SLEEP_GOAL_HOURS;
+  const goalMet = isSleepGoalMet(sleepHours, goals);
   const newGoalAwarded =
     goalMet && prevGoalAwarded === 0 ? 1 : prevGoalAwarded;
   if (newGoalAwarded === 1 && prevGoalAwarded === 0) {
@@ -587,73 +1591,77 @@ function handleSleepUpdate(req, res, today, now) {
   const xpDelta = capDailyXp(currentDayXp, rawXpDelta);
 
   const fields = {
+    sleep_start: sleepStart,
+    sleep_end: sleepEnd,
+    sleep_hours: sleepHours,
     sleep_xp_start_awarded: newStartAwarded,
     sleep_xp_end_awarded: newEndAwarded,
     sleep_goal_xp_awarded: newGoalAwarded,
     updated_at: now,
   };
 
-  if (effectiveStart) fields.sleep_start = effectiveStart;
-  if (effectiveEnd) fields.sleep_end = effectiveEnd;
-  if (sleepHours !== null) fields.sleep_hours = sleepHours;
-
   if (xpDelta > 0) {
-    fields.xp_earned = (existing?.xp_earned ?? 0) + xpDelta;
+    fields.xp_earned = currentDayXp + xpDelta;
   }
 
-  const applyUpdate = db.transaction(() => {
-    if (existing) {
-      const setClauses = Object.keys(fields)
-        .map((k) => `${k} = ?`)
-        .join(", ");
-      db.prepare(
-        `UPDATE daily_logs SET ${setClauses} WHERE id = ?`
-      ).run(...Object.values(fields), existing.id);
-    } else {
-      const insertFields = {
-        id: uuidv4(),
-        user_id: req.user.id,
-        log_date: today,
-        created_at: now,
-        ...fields,
-      };
-      const keys = Object.keys(insertFields);
-      const placeholders = keys.map(() => "?").join(", ");
-      db.prepare(
-        `INSERT INTO daily_logs (${keys.join(", ")}) VALUES (${placeholders})`
-      ).run(...Object.values(insertFields));
-    }
+  if (existing) {
+    const setClauses = Object.keys(fields)
+      .map((k) => `${k} = ?`)
+      .join(", ");
+    db.prepare(
+      `UPDATE daily_logs SET ${setClauses} WHERE id = ?`
+    ).run(...Object.values(fields), existing.id);
+  } else {
+    const insertFields = {
+      id: uuidv4(),
+      user_id: userId,
+      log_date: logDate,
+      created_at: now,
+      ...fields,
+    };
+    const keys = Object.keys(insertFields);
+    const placeholders = keys.map(() => "?").join(", ");
+    db.prepare(
+      `INSERT INTO daily_logs (${keys.join(", ")}) VALUES (${placeholders})`
+    ).run(...Object.values(insertFields));
+  }
 
-    let levelInfo = { leveledUp: false };
-    if (xpDelta > 0) {
-      levelInfo = applyXpToUser(req.user.id, xpDelta);
-    }
-    return levelInfo;
-  });
+  let levelInfo = { leveledUp: false, evolution: null };
+  if (xpDelta > 0) {
+    levelInfo = applyXpToUser(userId, xpDelta);
+  }
 
-  const levelInfo = applyUpdate();
+  return { xpDelta, levelInfo };
+}
 
+/**
+ * Builds the sleep update response body for logDate, shared by the HH:MM sleep
+ * category update and the sleep session endpoints. Callers add newBadges.
+ */
+function buildSleepResponse(req, logDate, goals, xpDelta, levelInfo, extra = {}) {
   const log = db
     .prepare("SELECT * FROM daily_logs WHERE user_id = ? AND log_date = ?")
-    .get(req.user.id, today);
+    .get(req.user.id, logDate);
 
   const updatedUser = db
     .prepare("SELECT xp_total, level FROM users WHERE id = ?")
     .get(req.user.id);
 
-  return res.json({
+  return {
     message: "sleep updated successfully.",
-    date: today,
+    date: logDate,
+    ...extra,
     sleepStart: log.sleep_start ?? null,
     sleepEnd: log.sleep_end ?? null,
     sleepHours: log.sleep_hours ?? null,
-    goalMet: log.sleep_hours !== null && log.sleep_hours >= SLEEP_GOAL_HOURS,
+    ...getSleepEvaluation(req.user.id, logDate, log.sleep_hours ?? null, goals),
     xpAwarded: xpDelta,
     xpTotal: updatedUser.xp_total,
     level: updatedUser.level,
     levelUp: levelInfo.leveledUp
       ? { previousLevel: levelInfo.previousLevel, newLevel: levelInfo.newLevel }
       : null,
+    evolution: levelInfo.evolution,
     today: {
       steps: log.steps,
       hydration: log.hydration_glasses,
@@ -666,7 +1674,7 @@ function handleSleepUpdate(req, res, today, now) {
       notes: log.notes,
       xpEarned: log.xp_earned,
     },
-  });
+  };
 }
 
 /**
@@ -680,20 +1688,26 @@ function handleSleepUpdate(req, res, today, now) {
  *
  * XP is awarded once per item per day; unchecking does not revoke XP.
  */
-function handleFoodUpdate(req, res, today, now) {
+function handleFoodUpdate(req, today, now) {
   const { item, checked } = req.body;
 
   const validItems = Object.keys(FOOD_HABITS);
   if (!item || !validItems.includes(item)) {
-    return res.status(400).json({
-      error: `item must be one of: ${validItems.join(", ")}.`,
-    });
+    return {
+      status: 400,
+      body: {
+        error: `item must be one of: ${validItems.join(", ")}.`,
+      },
+    };
   }
 
   if (typeof checked !== "boolean" && checked !== 0 && checked !== 1) {
-    return res.status(400).json({
-      error: "checked must be a boolean (true/false).",
-    });
+    return {
+      status: 400,
+      body: {
+        error: "checked must be a boolean (true/false).",
+      },
+    };
   }
 
   const habit = FOOD_HABITS[item];
@@ -746,7 +1760,7 @@ function handleFoodUpdate(req, res, today, now) {
       ).run(...Object.values(insertFields));
     }
 
-    let levelInfo = { leveledUp: false };
+    let levelInfo = { leveledUp: false, evolution: null };
     if (xpDelta > 0) {
       levelInfo = applyXpToUser(req.user.id, xpDelta);
     }
@@ -754,7 +1768,6 @@ function handleFoodUpdate(req, res, today, now) {
   });
 
   const levelInfo = applyUpdate();
-
   const log = db
     .prepare("SELECT * FROM daily_logs WHERE user_id = ? AND log_date = ?")
     .get(req.user.id, today);
@@ -763,29 +1776,33 @@ function handleFoodUpdate(req, res, today, now) {
     .prepare("SELECT xp_total, level FROM users WHERE id = ?")
     .get(req.user.id);
 
-  return res.json({
-    message: `${habit.label} ${done ? "checked" : "unchecked"}.`,
-    date: today,
-    item,
-    checked: done,
-    xpAwarded: xpDelta,
-    xpTotal: updatedUser.xp_total,
-    level: updatedUser.level,
-    levelUp: levelInfo.leveledUp
-      ? { previousLevel: levelInfo.previousLevel, newLevel: levelInfo.newLevel }
-      : null,
-    foodHabits: buildFoodHabitsResponse(log),
-    today: {
-      steps: log.steps,
-      hydration: log.hydration_glasses,
-      sleep: log.sleep_hours,
-      movement: log.movement_done === 1,
-      vegetables: log.vegetables_count,
-      mood: log.mood,
-      notes: log.notes,
-      xpEarned: log.xp_earned,
+  return {
+    status: 200,
+    body: {
+      message: `${habit.label} ${done ? "checked" : "unchecked"}.`,
+      date: today,
+      item,
+      checked: done,
+      xpAwarded: xpDelta,
+      xpTotal: updatedUser.xp_total,
+      level: updatedUser.level,
+      levelUp: levelInfo.leveledUp
+        ? { previousLevel: levelInfo.previousLevel, newLevel: levelInfo.newLevel }
+        : null,
+      evolution: levelInfo.evolution,
+      foodHabits: buildFoodHabitsResponse(log),
+      today: {
+        steps: log.steps,
+        hydration: log.hydration_glasses,
+        sleep: log.sleep_hours,
+        movement: log.movement_done === 1,
+        vegetables: log.vegetables_count,
+        mood: log.mood,
+        notes: log.notes,
+        xpEarned: log.xp_earned,
+      },
     },
-  });
+  };
 }
 
 /**
@@ -800,55 +1817,64 @@ function buildFoodHabitsResponse(log) {
   }));
 }
 
+/**
+ * XP for completing the step goal: 20 XP for a 5k goal, 40 XP otherwise.
+ */
+function getStepGoalXp(stepGoal) {
+  return stepGoal === 5000 ? 20 : 40;
+}
+
 /**
  * Handles step updates with source tracking, effective-value logic, and XP awards.
+ * Each source's total is stored in step_readings; the effective steps value is
+ * merged from the day's readings with the user's merge policy (see stepSources.js).
  */
-function handleStepsUpdate(req, res, value, today, now) {
+function handleStepsUpdate(req, value, today, now) {
   const source = req.body.source || "manual";
-  if (source !== "manual" && source !== "google_fit") {
-    return res
-      .status(400)
-      .json({ error: 'source must be "manual" or "google_fit".' });
+  if (!isStepSource(source)) {
+    return {
+      status: 400,
+      body: {
+        error: `source must be one of: ${Object.keys(STEP_SOURCES).join(", ")}.`,
+      },
+    };
   }
 
   const steps = parseInt(value, 10);
   if (isNaN(steps) || steps < 0) {
-    return res
-      .status(400)
-      .json({ error: "steps value must be a non-negative integer." });
+    return { status: 400, body: { error: "steps value must be a non-negative integer." } };
   }
 
-  if (source === "manual" && steps > MAX_MANUAL_STEPS) {
-    return res.status(400).json({
-      error: `Manual step entries are capped at ${MAX_MANUAL_STEPS.toLocaleString()} steps/day.`,
-    });
+  const { maxDailySteps, label, legacyColumn } = STEP_SOURCES[source];
+  if (maxDailySteps != null && steps > maxDailySteps) {
+    return {
+      status: 400,
+      body: {
+        error: `Steps from ${label.toLowerCase()} are capped at ${maxDailySteps.toLocaleString()} steps/day.`,
+      },
+    };
   }
 
-  // Fetch user's step goal from habits_config; default to 10,000 if not set
-  const goalConfig = db
-    .prepare("SELECT daily_steps FROM habits_config WHERE user_id = ?")
-    .get(req.user.id);
+  // Step goal in effect on the log date; default to 10,000 if not set
+  const goalConfig = getGoalsForDate(req.user.id, today);
 
   const stepGoal = goalConfig?.daily_steps ?? 10000;
-  const goalXp = stepGoal === 5000 ? 20 : 40;
+  const goalXp = getStepGoalXp(stepGoal);
 
   const existing = db
     .prepare(
-      `SELECT id, steps_manual, steps_google_fit, steps_goal_xp_awarded,
-              steps_last_bonus_at, xp_earned
+      `SELECT id, steps_goal_xp_awarded, steps_last_bonus_at, xp_earned
        FROM daily_logs WHERE user_id = ? AND log_date = ?`
     )
     .get(req.user.id, today);
 
   // Determine updated per-source values
-  const prevManual = existing?.steps_manual ?? 0;
-  const newManual =
-    source === "manual" ? steps : (existing?.steps_manual ?? null);
-  const newGoogleFit =
-    source === "google_fit" ? steps : (existing?.steps_google_fit ?? null);
+  const readings = getStepReadings(req.user.id, today);
+  const prevManual = readings.manual ?? 0;
+  readings[source] = steps;
 
-  // Effective steps = maximum of both sources
-  const effectiveSteps = Math.max(newManual ?? 0, newGoogleFit ?? 0);
+  const mergeSettings = getStepMergeSettings(req.user.id);
+  const effectiveSteps = mergeStepReadings(readings, mergeSettings);
 
   // XP: goal completion (awarded once per day)
   let rawXpDelta = 0;
@@ -887,10 +1913,8 @@ function handleStepsUpdate(req, res, value, today, now) {
     updated_at: now,
   };
 
-  if (source === "manual") {
-    fields.steps_manual = newManual;
-  } else {
-    fields.steps_google_fit = newGoogleFit;
+  if (legacyColumn) {
+    fields[legacyColumn] = steps;
   }
 
   if (xpDelta > 0) {
@@ -898,6 +1922,8 @@ function handleStepsUpdate(req, res, value, today, now) {
   }
 
   const applyUpdate = db.transaction(() => {
+    recordStepReading(req.user.id, today, source, steps, now);
+
     if (existing) {
       const setClauses = Object.keys(fields)
         .map((k) => `${k} = ?`)
@@ -920,7 +1946,7 @@ function handleStepsUpdate(req, res, value, today, now) {
       ).run(...Object.values(insertFields));
     }
 
-    let levelInfo = { leveledUp: false };
+    let levelInfo = { leveledUp: false, evolution: null };
     if (xpDelta > 0) {
       levelInfo = applyXpToUser(req.user.id, xpDelta);
     }
@@ -928,7 +1954,6 @@ function handleStepsUpdate(req, res, value, today, now) {
   });
 
   const levelInfo = applyUpdate();
-
   const log = db
     .prepare("SELECT * FROM daily_logs WHERE user_id = ? AND log_date = ?")
     .get(req.user.id, today);
@@ -937,30 +1962,36 @@ function handleStepsUpdate(req, res, value, today, now) {
     .prepare("SELECT xp_total, level FROM users WHERE id = ?")
     .get(req.user.id);
 
-  return res.json({
-    message: "steps updated successfully.",
-    date: today,
-    stepsGoal: stepGoal,
-    goalMet: effectiveSteps >= stepGoal,
-    xpAwarded: xpDelta,
-    xpTotal: updatedUser.xp_total,
-    level: updatedUser.level,
-    levelUp: levelInfo.leveledUp
-      ? { previousLevel: levelInfo.previousLevel, newLevel: levelInfo.newLevel }
-      : null,
-    today: {
-      steps: log.steps,
-      stepsManual: log.steps_manual,
-      stepsGoogleFit: log.steps_google_fit,
-      hydration: log.hydration_glasses,
-      sleep: log.sleep_hours,
-      movement: log.movement_done === 1,
-      vegetables: log.vegetables_count,
-      mood: log.mood,
-      notes: log.notes,
-      xpEarned: log.xp_earned,
+  return {
+    status: 200,
+    body: {
+      message: "steps updated successfully.",
+      date: today,
+      stepsGoal: stepGoal,
+      goalMet: effectiveSteps >= stepGoal,
+      mergePolicy: mergeSettings.mergePolicy,
+      stepReadings: readings,
+      xpAwarded: xpDelta,
+      xpTotal: updatedUser.xp_total,
+      level: updatedUser.level,
+      levelUp: levelInfo.leveledUp
+        ? { previousLevel: levelInfo.previousLevel, newLevel: levelInfo.newLevel }
+        : null,
+      evolution: levelInfo.evolution,
+      today: {
+        steps: log.steps,
+        stepsManual: log.steps_manual,
+        stepsGoogleFit: log.steps_google_fit,
+        hydration: log.hydration_glasses,
+        sleep: log.sleep_hours,
+        movement: log.movement_done === 1,
+        vegetables: log.vegetables_count,
+        mood: log.mood,
+        notes: log.notes,
+        xpEarned: log.xp_earned,
+      },
     },
-  });
+  };
 }
 
 export { MOVEMENT_EXERCISES, FOOD_HABITS, buildFoodHabitsResponse };
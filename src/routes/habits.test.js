@@ -0,0 +1,355 @@
+import {
+  createDailyLog,
+  createHabitsConfig,
+  createUser,
+  daysAgo,
+  loginAs,
+  startTestServer,
+} from "../test/helpers.js";
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import db from "../db/index.js";
+import { countCompletedCategories } from "../utils/streak.js";
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+describe("habit backfill", () => {
+  it("updates a day within the backfill window", async () => {
+    const { token } = loginAs(createUser());
+    const yesterday = daysAgo(1);
+
+    const res = await server.request("PATCH", `/api/habits/${yesterday}/hydration`, {
+      token,
+      body: { value: 6 },
+    });
+    assert.equal(res.status, 200);
+
+    const { body } = await server.request("GET", `/api/habits/${yesterday}/hydration`, {
+      token,
+    });
+    assert.equal(body.editable, true);
+    assert.deepEqual(body.value, { hydration: 6 });
+  });
+
+  it("returns the streak re-evaluated from the edited day", async () => {
+    const user = createUser({ streak_last_evaluated_date: daysAgo(1) });
+    createHabitsConfig(user.id);
+    createDailyLog(user.id, daysAgo(1), { steps: 9000, food_breakfast: 1 });
+    const { token } = loginAs(user);
+
+    const res = await server.request("PATCH", `/api/habits/${daysAgo(1)}/movement`, {
+      token,
+      body: { value: true },
+    });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.streak, { current: 1, longest: 1, shields: 0 });
+  });
+
+  it("awards streak badges reached by the re-evaluated streak", async () => {
+    const user = createUser({
+      current_streak: 6,
+      longest_streak: 6,
+      streak_last_evaluated_date: daysAgo(1),
+    });
+    createHabitsConfig(user.id);
+    createDailyLog(user.id, daysAgo(1), { steps: 9000, food_breakfast: 1 });
+    const { token } = loginAs(user);
+
+    const res = await server.request("PATCH", `/api/habits/${daysAgo(1)}/movement`, {
+      token,
+      body: { value: true },
+    });
+
+    assert.equal(res.body.streak.current, 7);
+    assert.ok(res.body.newBadges.some((b) => b.badgeType === "streak_7"));
+  });
+
+  it("rejects days outside the backfill window", async () => {
+    const { token } = loginAs(createUser());
+
+    const past = await server.request("PATCH", `/api/habits/${daysAgo(3)}/hydration`, {
+      token,
+      body: { value: 6 },
+    });
+    const future = await server.request("PATCH", `/api/habits/${daysAgo(-1)}/hydration`, {
+      token,
+      body: { value: 6 },
+    });
+
+    assert.equal(past.status, 400);
+    assert.equal(future.status, 400);
+  });
+
+  it("lists logs in a date range, oldest first", async () => {
+    const { token } = loginAs(createUser());
+    for (const date of [daysAgo(0), daysAgo(2)]) {
+      await server.request("PATCH", `/api/habits/${date}/hydration`, {
+        token,
+        body: { value: 4 },
+      });
+    }
+
+    const res = await server.request(
+      "GET",
+      `/api/habits/logs?from=${daysAgo(2)}&to=${daysAgo(0)}`,
+      { token }
+    );
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.logs.map((l) => l.date),
+      [daysAgo(2), daysAgo(0)]
+    );
+  });
+});
+
+describe("habit goals", () => {
+  it("judges earlier days against the goals that applied then", async () => {
+    const user = createUser();
+    createHabitsConfig(user.id, { daily_steps: 8000, created_at: `${daysAgo(10)}T00:00:00.000Z` });
+    createDailyLog(user.id, daysAgo(1), { steps: 8500, movement_done: 1, food_breakfast: 1 });
+    const { token } = loginAs(user);
+
+    const res = await server.request("PATCH", "/api/habits/goals", {
+      token,
+      body: { daily_steps: 10000 },
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.effectiveFrom, daysAgo(0));
+    assert.equal(res.body.goals.daily_steps, 10000);
+    assert.equal(countCompletedCategories(user.id, daysAgo(1)), 3);
+  });
+
+  it("rejects goals outside the safe bounds", async () => {
+    const user = createUser();
+    createHabitsConfig(user.id);
+    const { token } = loginAs(user);
+
+    const res = await server.request("PATCH", "/api/habits/goals", {
+      token,
+      body: { hydration_glasses: 50 },
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.details[0].field, "hydration_glasses");
+  });
+
+  it("keeps the sleep range ordered", async () => {
+    const user = createUser();
+    createHabitsConfig(user.id, { sleep_hours_min: 7, sleep_hours_max: 8 });
+    const { token } = loginAs(user);
+
+    const res = await server.request("PATCH", "/api/habits/goals", {
+      token,
+      body: { sleep_hours_min: 9 },
+    });
+
+    assert.equal(res.status, 400);
+  });
+});
+
+describe("goal suggestions", () => {
+  it("applies the suggested value when accepted", async () => {
+    const user = createUser();
+    createHabitsConfig(user.id, { daily_steps: 8000 });
+    for (let i = 1; i <= 7; i++) createDailyLog(user.id, daysAgo(i), { steps: 9500 });
+    const { token } = loginAs(user);
+
+    const res = await server.request("POST", "/api/habits/goals/suggestions/daily_steps/accept", {
+      token,
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.goals.daily_steps, 9000);
+  });
+
+  it("refuses to accept a goal with no suggestion", async () => {
+    const user = createUser();
+    createHabitsConfig(user.id);
+    const { token } = loginAs(user);
+
+    const res = await server.request(
+      "POST",
+      "/api/habits/goals/suggestions/hydration_glasses/accept",
+      { token }
+    );
+
+    assert.equal(res.status, 404);
+  });
+});
+
+describe("sleep sessions", () => {
+  const HOUR_MS = 60 * 60 * 1000;
+  const hoursAgo = (hours) => new Date(Date.now() - hours * HOUR_MS).toISOString();
+
+  it("records a session and rejects overlapping ones", async () => {
+    const { token } = loginAs(createUser());
+
+    const created = await server.request("POST", "/api/habits/sleep/sessions", {
+      token,
+      body: { start: hoursAgo(9), end: hoursAgo(2) },
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.session.hours, 7);
+
+    const overlapping = await server.request("POST", "/api/habits/sleep/sessions", {
+      token,
+      body: { start: hoursAgo(3), end: hoursAgo(1) },
+    });
+    assert.equal(overlapping.status, 409);
+    assert.equal(overlapping.body.conflictingSession.id, created.body.session.id);
+  });
+
+  it("rejects sessions that end in the future or last too long", async () => {
+    const { token } = loginAs(createUser());
+
+    const future = await server.request("POST", "/api/habits/sleep/sessions", {
+      token,
+      body: { start: hoursAgo(2), end: hoursAgo(-1) },
+    });
+    const tooLong = await server.request("POST", "/api/habits/sleep/sessions", {
+      token,
+      body: { start: hoursAgo(20), end: hoursAgo(1) },
+    });
+
+    assert.equal(future.status, 400);
+    assert.equal(tooLong.status, 400);
+  });
+
+  it("deletes a session", async () => {
+    const { token } = loginAs(createUser());
+    const created = await server.request("POST", "/api/habits/sleep/sessions", {
+      token,
+      body: { start: hoursAgo(9), end: hoursAgo(2) },
+    });
+    const path = `/api/habits/sleep/sessions/${created.body.session.id}`;
+
+    const first = await server.request("DELETE", path, { token });
+    const second = await server.request("DELETE", path, { token });
+
+    assert.equal(first.status, 200);
+    assert.deepEqual(first.body.sessions, []);
+    assert.equal(second.status, 404);
+  });
+});
+
+describe("step sources", () => {
+  it("merges readings from several sources with the user's policy", async () => {
+    const user = createUser();
+    createHabitsConfig(user.id);
+    const { token } = loginAs(user);
+
+    const settings = await server.request("PATCH", "/api/habits/steps/sources", {
+      token,
+      body: { mergePolicy: "sum" },
+    });
+    assert.equal(settings.status, 200);
+
+    for (const [source, value] of [["manual", 3000], ["apple_health", 4000]]) {
+      const res = await server.request("PATCH", "/api/habits/today/steps", {
+        token,
+        body: { source, value },
+      });
+      assert.equal(res.status, 200);
+    }
+
+    const { steps } = db
+      .prepare("SELECT steps FROM daily_logs WHERE user_id = ? AND log_date = ?")
+      .get(user.id, daysAgo(0));
+    assert.equal(steps, 7000);
+  });
+
+  it("rejects unknown sources in the priority order", async () => {
+    const user = createUser();
+    createHabitsConfig(user.id);
+    const { token } = loginAs(user);
+
+    const res = await server.request("PATCH", "/api/habits/steps/sources", {
+      token,
+      body: { priority: ["pedometer"] },
+    });
+
+    assert.equal(res.status, 400);
+  });
+});
+
+describe("health data import", () => {
+  it("imports daily totals and skips future days", async () => {
+    const user = createUser();
+    createHabitsConfig(user.id);
+    const { token } = loginAs(user);
+
+    const res = await server.request("POST", "/api/habits/import", {
+      token,
+      body: {
+        source: "fitbit",
+        readings: [
+          { date: daysAgo(1), steps: 9000, sleepHours: 7.5 },
+          { date: daysAgo(20), steps: 4000 },
+          { date: daysAgo(-1), steps: 1000 },
+        ],
+      },
+    });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.summary, { inserted: 2, updated: 0, skipped: 1 });
+
+    const log = db
+      .prepare("SELECT steps, sleep_hours FROM daily_logs WHERE user_id = ? AND log_date = ?")
+      .get(user.id, daysAgo(1));
+    assert.deepEqual(log, { steps: 9000, sleep_hours: 7.5 });
+  });
+
+  it("re-evaluates the streak from the earliest imported day", async () => {
+    const user = createUser({ streak_last_evaluated_date: daysAgo(1) });
+    createHabitsConfig(user.id);
+    createDailyLog(user.id, daysAgo(1), { movement_done: 1, food_breakfast: 1 });
+    const { token } = loginAs(user);
+
+    await server.request("POST", "/api/habits/import", {
+      token,
+      body: { source: "fitbit", readings: [{ date: daysAgo(1), steps: 9000 }] },
+    });
+
+    const { current_streak } = db
+      .prepare("SELECT current_streak FROM users WHERE id = ?")
+      .get(user.id);
+    assert.equal(current_streak, 1);
+  });
+
+  it("does not double-count a re-imported day", async () => {
+    const user = createUser();
+    createHabitsConfig(user.id, { step_merge_policy: "sum" });
+    const { token } = loginAs(user);
+    const body = { source: "garmin", readings: [{ date: daysAgo(5), steps: 6000 }] };
+
+    await server.request("POST", "/api/habits/import", { token, body });
+    await server.request("POST", "/api/habits/import", { token, body });
+
+    const { steps } = db
+      .prepare("SELECT steps FROM daily_logs WHERE user_id = ? AND log_date = ?")
+      .get(user.id, daysAgo(5));
+    assert.equal(steps, 6000);
+  });
+
+  it("rejects unknown sources", async () => {
+    const { token } = loginAs(createUser());
+
+    const res = await server.request("POST", "/api/habits/import", {
+      token,
+      body: { source: "pedometer", readings: [{ date: daysAgo(1), steps: 1 }] },
+    });
+
+    assert.equal(res.status, 400);
+  });
+});
@@ -4,6 +4,9 @@ import { v4 } from "uuid";
 import db from "../db/index.js";
 import { requireAuth } from "../middleware/requireAuth.js";
 import { requireEmailVerified } from "../middleware/requireEmailVerified.js";
+import { ensureNotificationsConfig } from "../utils/notifications.js";
+import { recordGoalChange } from "../utils/goals.js";
+import { getTodayForTimezone } from "../utils/date.js";
 
 const router = Router();
 
@@ -282,7 +285,8 @@ const step3Validation = [
  * POST /api/onboarding/step3
  *
  * Confirms the user's health goals pre-filled from BMI/weight data and saves
- * the selected movement preference. Goals are persisted to habits_config.
+ * the selected movement preference. Goals are persisted to habits_config and
+ * recorded in habits_config_history as applying from today.
  *
  * Pre-filled (read from step 2 data, not user-supplied):
  *   - daily_steps: 5,000 (overweight/obese) or 10,000 (normal/underweight)
@@ -347,6 +351,11 @@ router.post("/step3", step3Validation, (req, res) => {
         now
       );
 
+      const saved = db
+        .prepare("SELECT * FROM habits_config WHERE user_id = ?")
+        .get(req.user.id);
+      recordGoalChange(req.user.id, getTodayForTimezone(req.user.timezone), saved);
+
       db.prepare(
         "UPDATE users SET onboarding_step = MAX(onboarding_step, 3) WHERE id = ?"
       ).run(req.user.id);
@@ -404,7 +413,8 @@ const step4Validation = [
  *   - join:   Joins an existing team via invite code; user becomes a member.
  *   - skip:   Skips team creation and schedules a 48-hour reminder notification.
  *
- * All three actions advance onboarding_step to 4 (onboarding complete).
+ * All three actions advance onboarding_step to 4 (onboarding complete) and create
+ * the user's default notifications_config row.
  * After this step the user is allowed to access the dashboard.
  *
  * Request body:
@@ -433,9 +443,13 @@ router.post("/step4", step4Validation, (req, res) => {
   if (action === "skip") {
     const remindAt = new Date(Date.now() + 48 * 60 * 60 * 1000).toISOString();
     try {
-      db.prepare(
-        "UPDATE users SET team_reminder_at = ?, onboarding_step = MAX(onboarding_step, 4) WHERE id = ?"
-      ).run(remindAt, req.user.id);
+      db.transaction(() => {
+        db.prepare(
+          "UPDATE users SET team_reminder_at = ?, onboarding_step = MAX(onboarding_step, 4) WHERE id = ?"
+        ).run(remindAt, req.user.id);
+
+        ensureNotificationsConfig(req.user.id);
+      })();
 
       return res.json({
         message: "Onboarding complete. You will be reminded to join a team in 48 hours.",
@@ -469,6 +483,8 @@ router.post("/step4", step4Validation, (req, res) => {
         db.prepare(
           "UPDATE users SET onboarding_step = MAX(onboarding_step, 4) WHERE id = ?"
         ).run(req.user.id);
+
+        ensureNotificationsConfig(req.user.id);
       })();
 
       return res.json({
@@ -506,6 +522,8 @@ router.post("/step4", step4Validation, (req, res) => {
       db.prepare(
         "UPDATE users SET onboarding_step = MAX(onboarding_step, 4) WHERE id = ?"
       ).run(req.user.id);
+
+      ensureNotificationsConfig(req.user.id);
     })();
 
     return res.json({
@@ -3,11 +3,22 @@ import { body, validationResult } from "express-validator";
 import { v4 as uuidv4 } from "uuid";
 import db from "../db/index.js";
 import { requireAuth } from "../middleware/requireAuth.js";
+import { getTodayForTimezone } from "../utils/date.js";
+import {
+  isLogBackedChallenge,
+  getChallengeProgressSource,
+  getMemberChallengeProgress,
+  buildChallengeLeaderboard,
+} from "../utils/challenge.js";
 
 const router = Router();
 
 router.use(requireAuth);
 
+// Must mirror the CHECK constraints on team_challenges.challenge_type and .mode
+const CHALLENGE_TYPES = ["steps", "hydration", "sleep", "movement", "vegetables"];
+const CHALLENGE_MODES = ["competitive", "cooperative"];
+
 /**
  * GET /api/teams
  *
@@ -165,12 +176,327 @@ router.get("/:id/leaderboard", (req, res) => {
   });
 });
 
+/**
+ * Returns "upcoming", "active" or "finished" for a challenge relative to the given date.
+ */
+function getChallengeStatus(challenge, today) {
+  if (challenge.start_date > today) return "upcoming";
+  if (challenge.end_date < today) return "finished";
+  return "active";
+}
+
+/**
+ * GET /api/teams/:id/challenges
+ *
+ * Returns the team's challenges grouped into active, upcoming and finished,
+ * relative to today in the requesting user's timezone.
+ * Requires team membership.
+ */
+router.get("/:id/challenges", (req, res) => {
+  const { id } = req.params;
+
+  const membership = db
+    .prepare("SELECT role FROM team_members WHERE team_id = ? AND user_id = ?")
+    .get(id, req.user.id);
+
+  if (!membership) {
+    return res.status(403).json({ error: "You are not a member of this team." });
+  }
+
+  const challenges = db
+    .prepare(
+      "SELECT * FROM team_challenges WHERE team_id = ? ORDER BY start_date ASC, created_at ASC"
+    )
+    .all(id);
+
+  const today = getTodayForTimezone(req.user.timezone);
+  const grouped = { active: [], upcoming: [], finished: [] };
+  for (const challenge of challenges) {
+    const status = getChallengeStatus(challenge, today);
+    grouped[status].push({ ...challenge, status });
+  }
+
+  // Most recently finished first
+  grouped.finished.reverse();
+
+  return res.json({ teamId: id, date: today, ...grouped });
+});
+
+/**
+ * POST /api/teams/:id/challenges
+ *
+ * Creates a new challenge for the team. Owner only.
+ * Body: { title, description?, challenge_type, target_value, mode?, start_date, end_date }
+ *
+ * mode: "competitive" (default) judges each member against target_value;
+ * "cooperative" pools every member's progress toward it.
+ *
+ * Dates are YYYY-MM-DD; start_date must come before end_date.
+ */
+const createChallengeValidation = [
+  body("title")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Title must be between 1 and 100 characters."),
+  body("description")
+    .optional({ values: "null" })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Description must be 500 characters or fewer."),
+  body("challenge_type")
+    .isIn(CHALLENGE_TYPES)
+    .withMessage(`Challenge type must be one of: ${CHALLENGE_TYPES.join(", ")}.`),
+  body("target_value")
+    .isInt({ min: 1 })
+    .withMessage("Target value must be a positive integer."),
+  body("mode")
+    .optional()
+    .isIn(CHALLENGE_MODES)
+    .withMessage(`Mode must be one of: ${CHALLENGE_MODES.join(", ")}.`),
+  body("start_date")
+    .isDate({ format: "YYYY-MM-DD", strictMode: true })
+    .withMessage("start_date must be a valid date in YYYY-MM-DD format."),
+  body("end_date")
+    .isDate({ format: "YYYY-MM-DD", strictMode: true })
+    .withMessage("end_date must be a valid date in YYYY-MM-DD format.")
+    .bail()
+    .custom((value, { req }) => {
+      if (typeof req.body.start_date === "string" && req.body.start_date >= value) {
+        throw new Error("start_date must come before end_date.");
+      }
+      return true;
+    }),
+];
+
+router.post("/:id/challenges", createChallengeValidation, (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: "Validation failed",
+      details: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+    });
+  }
+
+  const { id } = req.params;
+
+  const membership = db
+    .prepare("SELECT role FROM team_members WHERE team_id = ? AND user_id = ?")
+    .get(id, req.user.id);
+
+  if (!membership) {
+    return res.status(403).json({ error: "You are not a member of this team." });
+  }
+
+  if (membership.role !== "owner") {
+    return res
+      .status(403)
+      .json({ error: "Only the team owner can create challenges." });
+  }
+
+  const { title, description, challenge_type, mode, start_date, end_date } = req.body;
+  const targetValue = parseInt(req.body.target_value, 10);
+  const challengeId = uuidv4();
+  const now = new Date().toISOString();
+
+  db.prepare(
+    `INSERT INTO team_challenges
+       (id, team_id, title, description, challenge_type, target_value, mode,
+        start_date, end_date, created_by, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  ).run(
+    challengeId,
+    id,
+    title,
+    description ?? null,
+    challenge_type,
+    targetValue,
+    mode ?? "competitive",
+    start_date,
+    end_date,
+    req.user.id,
+    now
+  );
+
+  const challenge = db
+    .prepare("SELECT * FROM team_challenges WHERE id = ?")
+    .get(challengeId);
+
+  return res.status(201).json({
+    message: "Challenge created successfully.",
+    challenge: {
+      ...challenge,
+      status: getChallengeStatus(challenge, getTodayForTimezone(req.user.timezone)),
+    },
+  });
+});
+
+/**
+ * PATCH /api/teams/:id/challenges/:challengeId
+ *
+ * Updates any of a challenge's title, description, challenge_type, target_value,
+ * mode, start_date or end_date. Owner only. The resulting start_date must still come
+ * before end_date.
+ */
+const updateChallengeValidation = [
+  body("title")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Title must be between 1 and 100 characters."),
+  body("description")
+    .optional({ values: "null" })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Description must be 500 characters or fewer."),
+  body("challenge_type")
+    .optional()
+    .isIn(CHALLENGE_TYPES)
+    .withMessage(`Challenge type must be one of: ${CHALLENGE_TYPES.join(", ")}.`),
+  body("target_value")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Target value must be a positive integer."),
+  body("mode")
+    .optional()
+    .isIn(CHALLENGE_MODES)
+    .withMessage(`Mode must be one of: ${CHALLENGE_MODES.join(", ")}.`),
+  body("start_date")
+    .optional()
+    .isDate({ format: "YYYY-MM-DD", strictMode: true })
+    .withMessage("start_date must be a valid date in YYYY-MM-DD format."),
+  body("end_date")
+    .optional()
+    .isDate({ format: "YYYY-MM-DD", strictMode: true })
+    .withMessage("end_date must be a valid date in YYYY-MM-DD format."),
+];
+
+router.patch("/:id/challenges/:challengeId", updateChallengeValidation, (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: "Validation failed",
+      details: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+    });
+  }
+
+  const { id, challengeId } = req.params;
+
+  const membership = db
+    .prepare("SELECT role FROM team_members WHERE team_id = ? AND user_id = ?")
+    .get(id, req.user.id);
+
+  if (!membership) {
+    return res.status(403).json({ error: "You are not a member of this team." });
+  }
+
+  if (membership.role !== "owner") {
+    return res
+      .status(403)
+      .json({ error: "Only the team owner can edit challenges." });
+  }
+
+  const challenge = db
+    .prepare("SELECT * FROM team_challenges WHERE id = ? AND team_id = ?")
+    .get(challengeId, id);
+
+  if (!challenge) {
+    return res.status(404).json({ error: "Challenge not found." });
+  }
+
+  const { title, description, challenge_type, target_value, mode, start_date, end_date } =
+    req.body;
+
+  const updates = {};
+  if (title !== undefined) updates.title = title;
+  if (description !== undefined) updates.description = description;
+  if (challenge_type !== undefined) updates.challenge_type = challenge_type;
+  if (target_value !== undefined) updates.target_value = parseInt(target_value, 10);
+  if (mode !== undefined) updates.mode = mode;
+  if (start_date !== undefined) updates.start_date = start_date;
+  if (end_date !== undefined) updates.end_date = end_date;
+
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({ error: "No valid fields to update." });
+  }
+
+  const effectiveStart = updates.start_date ?? challenge.start_date;
+  const effectiveEnd = updates.end_date ?? challenge.end_date;
+  if (effectiveStart >= effectiveEnd) {
+    return res.status(400).json({
+      error: "Validation failed",
+      details: [{ field: "start_date", message: "start_date must come before end_date." }],
+    });
+  }
+
+  const setClause = Object.keys(updates)
+    .map((k) => `${k} = ?`)
+    .join(", ");
+
+  db.prepare(`UPDATE team_challenges SET ${setClause} WHERE id = ?`).run(
+    ...Object.values(updates),
+    challengeId
+  );
+
+  const updated = db
+    .prepare("SELECT * FROM team_challenges WHERE id = ?")
+    .get(challengeId);
+
+  return res.json({
+    message: "Challenge updated successfully.",
+    challenge: {
+      ...updated,
+      status: getChallengeStatus(updated, getTodayForTimezone(req.user.timezone)),
+    },
+  });
+});
+
+/**
+ * DELETE /api/teams/:id/challenges/:challengeId
+ *
+ * Deletes a challenge and (via ON DELETE CASCADE) all of its entries. Owner only.
+ */
+router.delete("/:id/challenges/:challengeId", (req, res) => {
+  const { id, challengeId } = req.params;
+
+  const membership = db
+    .prepare("SELECT role FROM team_members WHERE team_id = ? AND user_id = ?")
+    .get(id, req.user.id);
+
+  if (!membership) {
+    return res.status(403).json({ error: "You are not a member of this team." });
+  }
+
+  if (membership.role !== "owner") {
+    return res
+      .status(403)
+      .json({ error: "Only the team owner can delete challenges." });
+  }
+
+  const result = db
+    .prepare("DELETE FROM team_challenges WHERE id = ? AND team_id = ?")
+    .run(challengeId, id);
+
+  if (result.changes === 0) {
+    return res.status(404).json({ error: "Challenge not found." });
+  }
+
+  return res.json({ message: "Challenge deleted successfully." });
+});
+
 /**
  * POST /api/teams/:id/challenges/:challengeId
  *
- * Submits a progress entry for an existing challenge.
+ * Submits a manual progress entry for an existing challenge.
  * Body: { value: integer }
  *
+ * Only accepted for challenge types without a daily_logs column; progress for
+ * steps, hydration, sleep, movement and vegetables challenges is computed from
+ * the member's daily logs instead.
+ *
  * Requires: team membership + active challenge (not past end_date).
  */
 const challengeEntryValidation = [
@@ -207,6 +533,12 @@ router.post("/:id/challenges/:challengeId", challengeEntryValidation, (req, res)
     return res.status(404).json({ error: "Challenge not found." });
   }
 
+  if (isLogBackedChallenge(challenge.challenge_type)) {
+    return res.status(400).json({
+      error: `Progress for ${challenge.challenge_type} challenges is calculated automatically from your daily logs.`,
+    });
+  }
+
   const today = new Date().toISOString().slice(0, 10);
   if (challenge.end_date < today) {
     return res.status(400).json({ error: "This challenge has already ended." });
@@ -229,13 +561,56 @@ router.post("/:id/challenges/:challengeId", challengeEntryValidation, (req, res)
       value,
       loggedAt: now,
     },
+    progress: getMemberChallengeProgress(challenge, req.user.id),
+  });
+});
+
+/**
+ * GET /api/teams/:id/challenges/:challengeId/leaderboard
+ *
+ * Returns the aggregated challenge leaderboard: one row per member with summed
+ * progress, rank, percentage of target_value reached and (competitive only)
+ * completion status. Cooperative challenges include a team-wide total instead.
+ * Requires team membership.
+ */
+router.get("/:id/challenges/:challengeId/leaderboard", (req, res) => {
+  const { id, challengeId } = req.params;
+
+  const membership = db
+    .prepare("SELECT role FROM team_members WHERE team_id = ? AND user_id = ?")
+    .get(id, req.user.id);
+
+  if (!membership) {
+    return res.status(403).json({ error: "You are not a member of this team." });
+  }
+
+  const challenge = db
+    .prepare("SELECT * FROM team_challenges WHERE id = ? AND team_id = ?")
+    .get(challengeId, id);
+
+  if (!challenge) {
+    return res.status(404).json({ error: "Challenge not found." });
+  }
+
+  const { leaderboard, teamTotal } = buildChallengeLeaderboard(challenge);
+
+  return res.json({
+    challengeId,
+    challengeType: challenge.challenge_type,
+    mode: challenge.mode,
+    targetValue: challenge.target_value,
+    status: getChallengeStatus(challenge, getTodayForTimezone(req.user.timezone)),
+    leaderboard,
+    teamTotal,
   });
 });
 
 /**
  * GET /api/teams/:id/challenges/:challengeId
  *
- * Returns challenge details and all submitted entries for the challenge.
+ * Returns challenge details and the aggregated leaderboard (see
+ * GET /:id/challenges/:challengeId/leaderboard). For manual challenge types the
+ * raw entries are returned as well.
  * Requires team membership.
  */
 router.get("/:id/challenges/:challengeId", (req, res) => {
@@ -257,17 +632,30 @@ router.get("/:id/challenges/:challengeId", (req, res) => {
     return res.status(404).json({ error: "Challenge not found." });
   }
 
-  const entries = db
-    .prepare(
-      `SELECT ce.id, ce.user_id, u.name, ce.value, ce.logged_at
-       FROM challenge_entries ce
-       JOIN users u ON u.id = ce.user_id
-       WHERE ce.challenge_id = ?
-       ORDER BY ce.value DESC, ce.logged_at ASC`
-    )
-    .all(challengeId);
+  const progressSource = getChallengeProgressSource(challenge.challenge_type);
+
+  const entries =
+    progressSource === "manual"
+      ? db
+          .prepare(
+            `SELECT ce.id, ce.user_id, u.name, ce.value, ce.logged_at
+             FROM challenge_entries ce
+             JOIN users u ON u.id = ce.user_id
+             WHERE ce.challenge_id = ?
+             ORDER BY ce.value DESC, ce.logged_at ASC`
+          )
+          .all(challengeId)
+      : [];
+
+  const { leaderboard, teamTotal } = buildChallengeLeaderboard(challenge);
 
-  return res.json({ challenge, entries });
+  return res.json({
+    challenge,
+    progressSource,
+    leaderboard,
+    teamTotal,
+    entries,
+  });
 });
 
 export default router;
@@ -0,0 +1,189 @@
+import { createTeam, createUser, loginAs, startTestServer } from "../test/helpers.js";
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+const CHALLENGE = {
+  title: "Step it up",
+  challenge_type: "steps",
+  target_value: 50000,
+  start_date: "2099-01-01",
+  end_date: "2099-01-07",
+};
+
+/**
+ * Creates a team with an owner and one member, each with a session token.
+ */
+function setUpTeam() {
+  const owner = createUser();
+  const member = createUser();
+  const team = createTeam(owner, [member]);
+  return {
+    team,
+    ownerToken: loginAs(owner).token,
+    memberToken: loginAs(member).token,
+  };
+}
+
+describe("team challenges", () => {
+  it("lets the owner create a challenge", async () => {
+    const { team, ownerToken } = setUpTeam();
+
+    const res = await server.request("POST", `/api/teams/${team.id}/challenges`, {
+      token: ownerToken,
+      body: CHALLENGE,
+    });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.challenge.title, CHALLENGE.title);
+    assert.equal(res.body.challenge.status, "upcoming");
+  });
+
+  it("only lets the owner create, edit and delete challenges", async () => {
+    const { team, ownerToken, memberToken } = setUpTeam();
+    const created = await server.request("POST", `/api/teams/${team.id}/challenges`, {
+      token: ownerToken,
+      body: CHALLENGE,
+    });
+    const path = `/api/teams/${team.id}/challenges/${created.body.challenge.id}`;
+
+    const create = await server.request("POST", `/api/teams/${team.id}/challenges`, {
+      token: memberToken,
+      body: CHALLENGE,
+    });
+    const edit = await server.request("PATCH", path, {
+      token: memberToken,
+      body: { title: "Renamed" },
+    });
+    const remove = await server.request("DELETE", path, { token: memberToken });
+
+    assert.deepEqual([create.status, edit.status, remove.status], [403, 403, 403]);
+  });
+
+  it("rejects challenges that end before they start", async () => {
+    const { team, ownerToken } = setUpTeam();
+
+    const res = await server.request("POST", `/api/teams/${team.id}/challenges`, {
+      token: ownerToken,
+      body: { ...CHALLENGE, start_date: "2099-01-07", end_date: "2099-01-01" },
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.details[0].field, "end_date");
+  });
+
+  it("checks edited dates against the stored ones", async () => {
+    const { team, ownerToken } = setUpTeam();
+    const created = await server.request("POST", `/api/teams/${team.id}/challenges`, {
+      token: ownerToken,
+      body: CHALLENGE,
+    });
+    const path = `/api/teams/${team.id}/challenges/${created.body.challenge.id}`;
+
+    const invalid = await server.request("PATCH", path, {
+      token: ownerToken,
+      body: { start_date: "2099-02-01" },
+    });
+    assert.equal(invalid.status, 400);
+
+    const valid = await server.request("PATCH", path, {
+      token: ownerToken,
+      body: { title: "Renamed", end_date: "2099-01-14" },
+    });
+    assert.equal(valid.status, 200);
+    assert.equal(valid.body.challenge.title, "Renamed");
+    assert.equal(valid.body.challenge.end_date, "2099-01-14");
+  });
+
+  it("groups challenges by status", async () => {
+    const { team, ownerToken, memberToken } = setUpTeam();
+    for (const dates of [
+      { start_date: "2000-01-01", end_date: "2000-01-07" },
+      { start_date: "2000-01-01", end_date: "2099-01-07" },
+      { start_date: "2099-01-01", end_date: "2099-01-07" },
+    ]) {
+      await server.request("POST", `/api/teams/${team.id}/challenges`, {
+        token: ownerToken,
+        body: { ...CHALLENGE, ...dates },
+      });
+    }
+
+    const res = await server.request("GET", `/api/teams/${team.id}/challenges`, {
+      token: memberToken,
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.finished.length, 1);
+    assert.equal(res.body.active.length, 1);
+    assert.equal(res.body.upcoming.length, 1);
+  });
+
+  it("deletes a challenge", async () => {
+    const { team, ownerToken } = setUpTeam();
+    const created = await server.request("POST", `/api/teams/${team.id}/challenges`, {
+      token: ownerToken,
+      body: CHALLENGE,
+    });
+    const path = `/api/teams/${team.id}/challenges/${created.body.challenge.id}`;
+
+    const first = await server.request("DELETE", path, { token: ownerToken });
+    const second = await server.request("DELETE", path, { token: ownerToken });
+
+    assert.equal(first.status, 200);
+    assert.equal(second.status, 404);
+  });
+
+  it("rejects manual entries for challenges tracked from daily logs", async () => {
+    const { team, ownerToken } = setUpTeam();
+    const created = await server.request("POST", `/api/teams/${team.id}/challenges`, {
+      token: ownerToken,
+      body: { ...CHALLENGE, start_date: "2000-01-01" },
+    });
+
+    const res = await server.request(
+      "POST",
+      `/api/teams/${team.id}/challenges/${created.body.challenge.id}`,
+      { token: ownerToken, body: { value: 1000 } }
+    );
+
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /calculated automatically/);
+  });
+
+  it("returns the leaderboard for cooperative challenges with a team total", async () => {
+    const { team, ownerToken, memberToken } = setUpTeam();
+    const created = await server.request("POST", `/api/teams/${team.id}/challenges`, {
+      token: ownerToken,
+      body: { ...CHALLENGE, mode: "cooperative" },
+    });
+
+    const res = await server.request(
+      "GET",
+      `/api/teams/${team.id}/challenges/${created.body.challenge.id}/leaderboard`,
+      { token: memberToken }
+    );
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.mode, "cooperative");
+    assert.equal(res.body.leaderboard.length, 2);
+    assert.deepEqual(res.body.teamTotal, { value: 0, percentOfTarget: 0, completed: false });
+  });
+
+  it("hides challenges from non-members", async () => {
+    const { team } = setUpTeam();
+    const { token } = loginAs(createUser());
+
+    const res = await server.request("GET", `/api/teams/${team.id}/challenges`, { token });
+
+    assert.equal(res.status, 403);
+  });
+});
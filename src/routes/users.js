@@ -1,8 +1,33 @@
 import { Router } from "express";
-import { body, validationResult } from "express-validator";
+import { body, query, validationResult } from "express-validator";
+import bcrypt from "bcryptjs";
+import { v4 as uuidv4 } from "uuid";
 import db from "../db/index.js";
 import { requireAuth } from "../middleware/requireAuth.js";
+import { rateLimit, rejectLockedOut } from "../middleware/rateLimit.js";
 import { getXpForNextLevel } from "../utils/xp.js";
+import { getUserBadges } from "../utils/badges.js";
+import { PERIOD_DAYS, buildHabitAnalytics } from "../utils/analytics.js";
+import { isValidTimezone } from "../utils/date.js";
+import { recordLoginFailure } from "../utils/rateLimit.js";
+import {
+  NOTIFICATION_TOGGLES,
+  ensureNotificationsConfig,
+  getNotificationsConfig,
+  formatNotificationsConfig,
+} from "../utils/notifications.js";
+import {
+  EXPORT_LIMIT,
+  buildUserExportArchive,
+  getExportRetryAfterSeconds,
+  logDataExport,
+} from "../utils/dataExport.js";
+import { ACCOUNT_DELETION_GRACE_DAYS, scheduleAccountDeletion } from "../utils/accountDeletion.js";
+import {
+  sendAccountDeletionScheduledEmail,
+  sendEmailChangeConfirmationEmail,
+  sendEmailChangeRequestedEmail,
+} from "../services/email.js";
 
 const router = Router();
 
@@ -29,7 +54,7 @@ router.get("/me", (req, res) => {
   const user = db
     .prepare(
       `SELECT id, email, name, age, gender, height_cm, weight_kg, bmi, bmi_category,
-              mascot_id, mascot_name, xp_total, level, current_streak, longest_streak,
+              mascot_id, mascot_name, mascot_stage, xp_total, level, current_streak, longest_streak,
               streak_shields, timezone, created_at, email_verified, onboarding_step
        FROM users WHERE id = ?`
     )
@@ -106,6 +131,168 @@ router.patch("/me", profileUpdateValidation, (req, res) => {
   return res.json({ message: "Profile updated successfully.", user: updated });
 });
 
+/**
+ * DELETE /api/users/me
+ *
+ * Schedules the current user's account for deletion after a 14-day grace
+ * period and signs them out everywhere. Logging in again before then cancels
+ * the deletion. Requires the current password.
+ *
+ * Request body:
+ *   { password: string }
+ *
+ * Responses:
+ *   202 - Deletion scheduled; returns deletionScheduledFor
+ *   400 - Validation error
+ *   401 - Incorrect password
+ *   429 - Too many requests or too many failed password attempts (with Retry-After)
+ *   500 - Internal server error
+ */
+router.delete(
+  "/me",
+  [body("password").isString().notEmpty().withMessage("Password is required.")],
+  rateLimit("password-confirm"),
+  rejectLockedOut,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    try {
+      const passwordMatch = await bcrypt.compare(req.body.password, req.user.password_hash);
+      if (!passwordMatch) {
+        recordLoginFailure(req.user.email, { userId: req.user.id, ipAddress: req.ip ?? null });
+        return res.status(401).json({ error: "Incorrect password." });
+      }
+
+      const deletionScheduledFor = scheduleAccountDeletion(req.user.id);
+
+      sendAccountDeletionScheduledEmail(req.user.email, {
+        name: req.user.name,
+        deletionDate: deletionScheduledFor,
+      }).catch((err) =>
+        console.error("[Email] Failed to send account deletion email:", err.message)
+      );
+
+      return res.status(202).json({
+        message: `Your account will be deleted in ${ACCOUNT_DELETION_GRACE_DAYS} days. Log in before then to cancel.`,
+        deletionScheduledFor,
+      });
+    } catch (err) {
+      console.error("[DeleteAccount] Unexpected error:", err);
+      return res
+        .status(500)
+        .json({ error: "An unexpected error occurred. Please try again." });
+    }
+  }
+);
+
+/**
+ * POST /api/users/me/email
+ *
+ * Starts a change of email address. Requires the current password. Sends a
+ * confirmation link to the new address and a notice to the current one; the
+ * email only changes once the link is followed (GET /api/auth/verify-email).
+ * Requesting another change invalidates earlier pending ones.
+ *
+ * Request body:
+ *   { newEmail: string, password: string }
+ *
+ * Responses:
+ *   202 - Confirmation sent; returns pendingEmail
+ *   400 - Validation error or same as the current address
+ *   401 - Incorrect password
+ *   409 - Email already registered
+ *   429 - Too many requests or too many failed password attempts (with Retry-After)
+ *   500 - Internal server error
+ */
+router.post(
+  "/me/email",
+  [
+    body("newEmail")
+      .trim()
+      .isEmail()
+      .withMessage("A valid email address is required.")
+      .normalizeEmail(),
+    body("password").isString().notEmpty().withMessage("Password is required."),
+  ],
+  rateLimit("password-confirm"),
+  rejectLockedOut,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    const { newEmail, password } = req.body;
+
+    try {
+      const passwordMatch = await bcrypt.compare(password, req.user.password_hash);
+      if (!passwordMatch) {
+        recordLoginFailure(req.user.email, { userId: req.user.id, ipAddress: req.ip ?? null });
+        return res.status(401).json({ error: "Incorrect password." });
+      }
+
+      if (newEmail === req.user.email) {
+        return res
+          .status(400)
+          .json({ error: "That is already your email address." });
+      }
+
+      const existing = db.prepare("SELECT id FROM users WHERE email = ?").get(newEmail);
+      if (existing) {
+        return res.status(409).json({
+          error: "An account with this email address already exists.",
+        });
+      }
+
+      // Create a confirmation token (expires in 24 hours), replacing any
+      // pending change
+      const verificationToken = uuidv4();
+      const now = new Date().toISOString();
+      const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+      db.transaction(() => {
+        db.prepare(
+          "UPDATE email_verifications SET used = 1 WHERE user_id = ? AND used = 0 AND new_email IS NOT NULL"
+        ).run(req.user.id);
+        db.prepare(
+          `INSERT INTO email_verifications (id, user_id, token, expires_at, created_at, new_email)
+           VALUES (?, ?, ?, ?, ?, ?)`
+        ).run(uuidv4(), req.user.id, verificationToken, expiresAt, now, newEmail);
+      })();
+
+      // Send emails non-blocking
+      sendEmailChangeConfirmationEmail(newEmail, verificationToken).catch((err) =>
+        console.error("[Email] Failed to send email change confirmation:", err.message)
+      );
+      sendEmailChangeRequestedEmail(req.user.email, {
+        name: req.user.name,
+        newEmail,
+      }).catch((err) =>
+        console.error("[Email] Failed to send email change notice:", err.message)
+      );
+
+      return res.status(202).json({
+        message: `We've sent a confirmation link to ${newEmail}. Your email address will change once you confirm it.`,
+        pendingEmail: newEmail,
+      });
+    } catch (err) {
+      console.error("[ChangeEmail] Unexpected error:", err);
+      return res
+        .status(500)
+        .json({ error: "An unexpected error occurred. Please try again." });
+    }
+  }
+);
+
 /**
  * PATCH /api/users/me/bmi
  *
@@ -179,6 +366,179 @@ router.get("/me/stats", (req, res) => {
   });
 });
 
+/**
+ * GET /api/users/me/analytics?period=week|month
+ *
+ * Returns habit analytics for the last 7 (week) or 30 (month) complete days:
+ * per-category averages, goal hit-rates against habits_config, best and worst
+ * weekday, sleep consistency, and trends against the previous period.
+ */
+router.get(
+  "/me/analytics",
+  [
+    query("period")
+      .optional()
+      .isIn(Object.keys(PERIOD_DAYS))
+      .withMessage(`Period must be one of: ${Object.keys(PERIOD_DAYS).join(", ")}.`),
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+      });
+    }
+
+    const period = req.query.period || "week";
+
+    return res.json(buildHabitAnalytics(req.user.id, req.user.timezone, period));
+  }
+);
+
+/**
+ * GET /api/users/me/badges
+ *
+ * Returns the badges the current user has earned (oldest first) and the
+ * remaining badges still to unlock.
+ */
+router.get("/me/badges", (req, res) => {
+  const { earned, locked } = getUserBadges(req.user.id);
+
+  return res.json({ badges: earned, locked });
+});
+
+/**
+ * Builds the { notifications, timezone } payload shared by GET and PATCH
+ * /api/users/me/notifications.
+ */
+function buildNotificationsResponse(user) {
+  return {
+    notifications: formatNotificationsConfig(getNotificationsConfig(user.id)),
+    timezone: isValidTimezone(user.timezone) ? user.timezone : "UTC",
+  };
+}
+
+/**
+ * GET /api/users/me/notifications
+ *
+ * Returns the current user's notification preferences. reminder_time is a
+ * local HH:MM time in the returned timezone (UTC when the profile has none).
+ */
+router.get("/me/notifications", (req, res) => {
+  return res.json(buildNotificationsResponse(req.user));
+});
+
+/**
+ * PATCH /api/users/me/notifications
+ *
+ * Updates any of the notification toggles and/or reminder_time.
+ *
+ * Request body (all optional):
+ *   { email_enabled, push_enabled, daily_reminder_enabled, team_updates_enabled,
+ *     challenge_updates_enabled: boolean, reminder_time: "HH:MM" }
+ *
+ * reminder_time is interpreted in the user's profile timezone, which must be a
+ * valid IANA timezone when reminder_time is set.
+ */
+const notificationsUpdateValidation = [
+  ...NOTIFICATION_TOGGLES.map((key) =>
+    body(key)
+      .optional()
+      .isBoolean()
+      .withMessage(`${key} must be a boolean (true/false).`)
+      .toBoolean(true)
+  ),
+  body("reminder_time")
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage("reminder_time must be in HH:MM format (00:00–23:59)."),
+];
+
+router.patch("/me/notifications", notificationsUpdateValidation, (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: "Validation failed",
+      details: errors.array().map((e) => ({ field: e.path, message: e.msg })),
+    });
+  }
+
+  const updates = {};
+  for (const key of NOTIFICATION_TOGGLES) {
+    if (req.body[key] !== undefined) updates[key] = req.body[key] ? 1 : 0;
+  }
+
+  if (req.body.reminder_time !== undefined) {
+    if (!isValidTimezone(req.user.timezone)) {
+      return res.status(400).json({
+        error:
+          "Please set a valid timezone on your profile before choosing a reminder time.",
+      });
+    }
+    updates.reminder_time = req.body.reminder_time;
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({ error: "No valid fields to update." });
+  }
+
+  // Make sure the row exists before updating it
+  ensureNotificationsConfig(req.user.id);
+
+  updates.updated_at = new Date().toISOString();
+  const setClause = Object.keys(updates)
+    .map((k) => `${k} = ?`)
+    .join(", ");
+
+  db.prepare(`UPDATE notifications_config SET ${setClause} WHERE user_id = ?`).run(
+    ...Object.values(updates),
+    req.user.id
+  );
+
+  return res.json({
+    message: "Notification preferences updated successfully.",
+    ...buildNotificationsResponse(req.user),
+  });
+});
+
+/**
+ * GET /api/users/me/export
+ *
+ * Downloads all of the user's data as a ZIP archive with a JSON and a CSV file
+ * per entity (profile, goals, daily logs, team memberships, challenge entries,
+ * notification settings and more). Limited to 3 exports per 24 hours; every
+ * export is logged in data_exports. Returns 429 with a Retry-After header once
+ * the limit is reached.
+ */
+router.get("/me/export", (req, res) => {
+  const retryAfter = getExportRetryAfterSeconds(req.user.id);
+  if (retryAfter > 0) {
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({
+      error: `You can export your data at most ${EXPORT_LIMIT} times per day. Please try again later.`,
+      retryAfterSeconds: retryAfter,
+    });
+  }
+
+  const now = new Date();
+  const archive = buildUserExportArchive(req.user.id, now);
+
+  logDataExport(
+    req.user.id,
+    { ipAddress: req.ip, userAgent: req.get("user-agent"), sizeBytes: archive.length },
+    now
+  );
+
+  const filename = `lifepush-export-${now.toISOString().slice(0, 10)}.zip`;
+  res.set({
+    "Content-Type": "application/zip",
+    "Content-Disposition": `attachment; filename="${filename}"`,
+    "Cache-Control": "no-store",
+  });
+  return res.send(archive);
+});
+
 /**
  * GET /api/users/me/streaks
  *
@@ -0,0 +1,125 @@
+import { TEST_PASSWORD, createUser, loginAs, startTestServer } from "../test/helpers.js";
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import db from "../db/index.js";
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(async () => {
+  await server.close();
+});
+
+describe("notification preferences", () => {
+  it("returns the defaults for users without saved preferences", async () => {
+    const { token } = loginAs(createUser({ timezone: "Europe/Berlin" }));
+
+    const res = await server.request("GET", "/api/users/me/notifications", { token });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.timezone, "Europe/Berlin");
+    assert.deepEqual(res.body.notifications, {
+      reminder_time: "08:00",
+      email_enabled: true,
+      push_enabled: false,
+      daily_reminder_enabled: true,
+      team_updates_enabled: true,
+      challenge_updates_enabled: true,
+      updated_at: null,
+    });
+  });
+
+  it("does not save anything when the preferences are only read", async () => {
+    const user = createUser();
+    const { token } = loginAs(user);
+
+    await server.request("GET", "/api/users/me/notifications", { token });
+
+    assert.equal(
+      db.prepare("SELECT id FROM notifications_config WHERE user_id = ?").get(user.id),
+      undefined
+    );
+  });
+
+  it("updates toggles and the reminder time", async () => {
+    const { token } = loginAs(createUser());
+
+    const res = await server.request("PATCH", "/api/users/me/notifications", {
+      token,
+      body: { push_enabled: true, daily_reminder_enabled: false, reminder_time: "21:30" },
+    });
+    assert.equal(res.status, 200);
+
+    const { body } = await server.request("GET", "/api/users/me/notifications", { token });
+    assert.equal(body.notifications.push_enabled, true);
+    assert.equal(body.notifications.daily_reminder_enabled, false);
+    assert.equal(body.notifications.reminder_time, "21:30");
+  });
+
+  it("rejects malformed reminder times", async () => {
+    const { token } = loginAs(createUser());
+
+    const res = await server.request("PATCH", "/api/users/me/notifications", {
+      token,
+      body: { reminder_time: "24:00" },
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.details[0].field, "reminder_time");
+  });
+
+  it("requires a valid profile timezone to set a reminder time", async () => {
+    const { token } = loginAs(createUser({ timezone: "Not/AZone" }));
+
+    const res = await server.request("PATCH", "/api/users/me/notifications", {
+      token,
+      body: { reminder_time: "07:00" },
+    });
+
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /valid timezone/);
+  });
+});
+
+describe("account deletion", () => {
+  it("requires the current password", async () => {
+    const { token } = loginAs(createUser());
+
+    const res = await server.request("DELETE", "/api/users/me", {
+      token,
+      body: { password: "wrong-password" },
+    });
+
+    assert.equal(res.status, 401);
+  });
+
+  it("schedules the deletion and signs the user out", async () => {
+    const user = createUser();
+    const { token } = loginAs(user);
+
+    const res = await server.request("DELETE", "/api/users/me", {
+      token,
+      body: { password: TEST_PASSWORD },
+    });
+
+    assert.equal(res.status, 202);
+    assert.ok(new Date(res.body.deletionScheduledFor) > new Date());
+    assert.equal((await server.request("GET", "/api/users/me", { token })).status, 401);
+  });
+
+  it("is cancelled by logging in during the grace period", async () => {
+    const user = createUser();
+    const { token } = loginAs(user);
+    await server.request("DELETE", "/api/users/me", { token, body: { password: TEST_PASSWORD } });
+
+    const res = await server.request("POST", "/api/auth/login", {
+      body: { email: user.email, password: TEST_PASSWORD },
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.accountDeletionCancelled, true);
+  });
+});
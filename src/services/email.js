@@ -49,6 +49,18 @@ async function getTransporter() {
 const FROM = process.env.EMAIL_FROM || '"LifePush" <noreply@lifepush.app>';
 const BASE_URL = process.env.APP_BASE_URL || "http://localhost:3000";
 
+/**
+ * Escapes a user-supplied value for interpolation into an HTML email body.
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
 /**
  * Sends an email verification link to a newly registered user.
  *
@@ -146,3 +158,362 @@ export async function sendPasswordResetEmail(toEmail, resetToken) {
     }
   }
 }
+
+/**
+ * Sends a security notice after the account password was changed.
+ *
+ * @param {string} toEmail - Recipient email address
+ * @param {{ name: string|null }} details
+ * @returns {Promise<void>}
+ */
+export async function sendPasswordChangedEmail(toEmail, { name }) {
+  const greeting = name ? `Hi ${name},` : "Hi there,";
+  const resetUrl = `${BASE_URL}/api/auth/forgot-password`;
+
+  const transporter = await getTransporter();
+
+  const info = await transporter.sendMail({
+    from: FROM,
+    to: toEmail,
+    subject: "Your LifePush password was changed",
+    text: `${greeting}\n\nThe password for your LifePush account was just changed, and you have been signed out on your other devices.\n\nIf this was you, there's nothing else to do.\n\nIf you didn't change your password, reset it right away: ${resetUrl}`,
+    html: `
+      <h2>Your password was changed</h2>
+      <p>${escapeHtml(greeting)}</p>
+      <p>The password for your LifePush account was just changed, and you have
+        been signed out on your other devices.</p>
+      <p>If this was you, there's nothing else to do.</p>
+      <p>If you didn't change your password, reset it right away:<br>
+        <a href="${resetUrl}">${resetUrl}</a>
+      </p>
+    `,
+  });
+
+  if (process.env.NODE_ENV !== "production") {
+    const previewUrl = nodemailer.getTestMessageUrl(info);
+    if (previewUrl) {
+      console.log("[Email] Preview URL:", previewUrl);
+    }
+  }
+}
+
+/**
+ * Sends the link that confirms a change of email address to the new address.
+ *
+ * @param {string} toEmail - The new email address
+ * @param {string} verificationToken - The unique verification token
+ * @returns {Promise<void>}
+ */
+export async function sendEmailChangeConfirmationEmail(toEmail, verificationToken) {
+  const confirmUrl = `${BASE_URL}/api/auth/verify-email?token=${verificationToken}`;
+
+  const transporter = await getTransporter();
+
+  const info = await transporter.sendMail({
+    from: FROM,
+    to: toEmail,
+    subject: "Confirm your new LifePush email address",
+    text: `Please confirm that you want to use this address for your LifePush account by clicking the link below:\n\n${confirmUrl}\n\nThis link expires in 24 hours. Your email address won't change until you confirm it.\n\nIf you did not request this change, you can safely ignore this email.`,
+    html: `
+      <h2>Confirm your new email address</h2>
+      <p>Please confirm that you want to use this address for your LifePush account.</p>
+      <p>
+        <a href="${confirmUrl}" style="
+          display: inline-block;
+          padding: 12px 24px;
+          background-color: #22c55e;
+          color: white;
+          text-decoration: none;
+          border-radius: 6px;
+          font-weight: bold;
+        ">Confirm Email Address</a>
+      </p>
+      <p>Or copy and paste this link into your browser:<br>
+        <a href="${confirmUrl}">${confirmUrl}</a>
+      </p>
+      <p>This link expires in 24 hours. Your email address won't change until you confirm it.</p>
+      <p style="color: #6b7280; font-size: 12px;">
+        If you did not request this change, you can safely ignore this email.
+      </p>
+    `,
+  });
+
+  if (process.env.NODE_ENV !== "production") {
+    const previewUrl = nodemailer.getTestMessageUrl(info);
+    if (previewUrl) {
+      console.log("[Email] Preview URL:", previewUrl);
+    }
+  }
+}
+
+/**
+ * Tells the current address that a change of email address was requested.
+ *
+ * @param {string} toEmail - The current (old) email address
+ * @param {{ name: string|null, newEmail: string }} details
+ * @returns {Promise<void>}
+ */
+export async function sendEmailChangeRequestedEmail(toEmail, { name, newEmail }) {
+  const greeting = name ? `Hi ${name},` : "Hi there,";
+
+  const transporter = await getTransporter();
+
+  const info = await transporter.sendMail({
+    from: FROM,
+    to: toEmail,
+    subject: "Your LifePush email address is being changed",
+    text: `${greeting}\n\nWe received a request to change the email address on your LifePush account to ${newEmail}. The change will take effect once it is confirmed from the new address.\n\nIf you didn't request this, reset your password right away: ${BASE_URL}`,
+    html: `
+      <h2>Your email address is being changed</h2>
+      <p>${escapeHtml(greeting)}</p>
+      <p>We received a request to change the email address on your LifePush account
+        to <strong>${escapeHtml(newEmail)}</strong>. The change will take effect once it is
+        confirmed from the new address.</p>
+      <p>If you didn't request this, reset your password right away.</p>
+    `,
+  });
+
+  if (process.env.NODE_ENV !== "production") {
+    const previewUrl = nodemailer.getTestMessageUrl(info);
+    if (previewUrl) {
+      console.log("[Email] Preview URL:", previewUrl);
+    }
+  }
+}
+
+/**
+ * Sends a single-use passwordless login link.
+ *
+ * @param {string} toEmail - Recipient email address
+ * @param {string} loginToken - The unique magic-link token
+ * @returns {Promise<void>}
+ */
+export async function sendMagicLinkEmail(toEmail, loginToken) {
+  const loginUrl = `${BASE_URL}/api/auth/magic-link/verify?token=${loginToken}`;
+
+  const transporter = await getTransporter();
+
+  const info = await transporter.sendMail({
+    from: FROM,
+    to: toEmail,
+    subject: "Your LifePush login link",
+    text: `Click the link below to log in to LifePush:\n\n${loginUrl}\n\nThis link expires in 15 minutes and can only be used once.\n\nIf you did not request this link, you can safely ignore this email.`,
+    html: `
+      <h2>Log in to LifePush</h2>
+      <p>Click the button below to log in. No password needed.</p>
+      <p>
+        <a href="${loginUrl}" style="
+          display: inline-block;
+          padding: 12px 24px;
+          background-color: #22c55e;
+          color: white;
+          text-decoration: none;
+          border-radius: 6px;
+          font-weight: bold;
+        ">Log In</a>
+      </p>
+      <p>Or copy and paste this link into your browser:<br>
+        <a href="${loginUrl}">${loginUrl}</a>
+      </p>
+      <p>This link expires in 15 minutes and can only be used once.</p>
+      <p style="color: #6b7280; font-size: 12px;">
+        If you did not request this link, you can safely ignore this email.
+      </p>
+    `,
+  });
+
+  if (process.env.NODE_ENV !== "production") {
+    const previewUrl = nodemailer.getTestMessageUrl(info);
+    if (previewUrl) {
+      console.log("[Email] Preview URL:", previewUrl);
+    }
+  }
+}
+
+/**
+ * Sends the daily habit reminder at the user's configured reminder_time.
+ *
+ * @param {string} toEmail - Recipient email address
+ * @param {{ name: string|null, categoriesCompleted: number }} details
+ * @returns {Promise<void>}
+ */
+export async function sendDailyReminderEmail(toEmail, { name, categoriesCompleted }) {
+  const appUrl = BASE_URL;
+  const greeting = name ? `Hi ${name},` : "Hi there,";
+
+  const transporter = await getTransporter();
+
+  const info = await transporter.sendMail({
+    from: FROM,
+    to: toEmail,
+    subject: "Time to log your LifePush habits",
+    text: `${greeting}\n\nThis is your daily reminder to log today's habits. You've completed ${categoriesCompleted} of 5 categories so far.\n\nOpen LifePush: ${appUrl}\n\nYou can change your reminder time in your notification settings.`,
+    html: `
+      <h2>Time to log your habits</h2>
+      <p>${escapeHtml(greeting)}</p>
+      <p>This is your daily reminder to log today's habits. You've completed
+        <strong>${categoriesCompleted} of 5</strong> categories so far.</p>
+      <p>
+        <a href="${appUrl}" style="
+          display: inline-block;
+          padding: 12px 24px;
+          background-color: #22c55e;
+          color: white;
+          text-decoration: none;
+          border-radius: 6px;
+          font-weight: bold;
+        ">Open LifePush</a>
+      </p>
+      <p style="color: #6b7280; font-size: 12px;">
+        You can change your reminder time in your notification settings.
+      </p>
+    `,
+  });
+
+  if (process.env.NODE_ENV !== "production") {
+    const previewUrl = nodemailer.getTestMessageUrl(info);
+    if (previewUrl) {
+      console.log("[Email] Preview URL:", previewUrl);
+    }
+  }
+}
+
+/**
+ * Sends a "streak at risk" alert late in the day when fewer than 3 categories are complete.
+ *
+ * @param {string} toEmail - Recipient email address
+ * @param {{ name: string|null, currentStreak: number, categoriesCompleted: number }} details
+ * @returns {Promise<void>}
+ */
+export async function sendStreakAtRiskEmail(toEmail, { name, currentStreak, categoriesCompleted }) {
+  const appUrl = BASE_URL;
+  const greeting = name ? `Hi ${name},` : "Hi there,";
+  const remaining = Math.max(0, 3 - categoriesCompleted);
+
+  const transporter = await getTransporter();
+
+  const info = await transporter.sendMail({
+    from: FROM,
+    to: toEmail,
+    subject: `Your ${currentStreak}-day streak is at risk!`,
+    text: `${greeting}\n\nYour ${currentStreak}-day LifePush streak is at risk. Complete ${remaining} more habit categor${remaining === 1 ? "y" : "ies"} before midnight to keep it going.\n\nOpen LifePush: ${appUrl}`,
+    html: `
+      <h2>Your ${currentStreak}-day streak is at risk!</h2>
+      <p>${escapeHtml(greeting)}</p>
+      <p>Complete <strong>${remaining} more</strong> habit categor${remaining === 1 ? "y" : "ies"}
+        before midnight to keep your streak going.</p>
+      <p>
+        <a href="${appUrl}" style="
+          display: inline-block;
+          padding: 12px 24px;
+          background-color: #f97316;
+          color: white;
+          text-decoration: none;
+          border-radius: 6px;
+          font-weight: bold;
+        ">Save My Streak</a>
+      </p>
+    `,
+  });
+
+  if (process.env.NODE_ENV !== "production") {
+    const previewUrl = nodemailer.getTestMessageUrl(info);
+    if (previewUrl) {
+      console.log("[Email] Preview URL:", previewUrl);
+    }
+  }
+}
+
+/**
+ * Sends the reminder scheduled 48 hours after a user skipped team setup in onboarding.
+ *
+ * @param {string} toEmail - Recipient email address
+ * @param {{ name: string|null }} details
+ * @returns {Promise<void>}
+ */
+export async function sendTeamReminderEmail(toEmail, { name }) {
+  const appUrl = BASE_URL;
+  const greeting = name ? `Hi ${name},` : "Hi there,";
+
+  const transporter = await getTransporter();
+
+  const info = await transporter.sendMail({
+    from: FROM,
+    to: toEmail,
+    subject: "LifePush is better with a team",
+    text: `${greeting}\n\nHabits stick better with friends. Create a team or join one with an invite code to compete on leaderboards and take on challenges together.\n\nOpen LifePush: ${appUrl}`,
+    html: `
+      <h2>LifePush is better with a team</h2>
+      <p>${escapeHtml(greeting)}</p>
+      <p>Habits stick better with friends. Create a team or join one with an invite
+        code to compete on leaderboards and take on challenges together.</p>
+      <p>
+        <a href="${appUrl}" style="
+          display: inline-block;
+          padding: 12px 24px;
+          background-color: #22c55e;
+          color: white;
+          text-decoration: none;
+          border-radius: 6px;
+          font-weight: bold;
+        ">Find a Team</a>
+      </p>
+    `,
+  });
+
+  if (process.env.NODE_ENV !== "production") {
+    const previewUrl = nodemailer.getTestMessageUrl(info);
+    if (previewUrl) {
+      console.log("[Email] Preview URL:", previewUrl);
+    }
+  }
+}
+
+/**
+ * Sends a confirmation that the account is scheduled for deletion, with the
+ * date it will be deleted and how to cancel.
+ *
+ * @param {string} toEmail - Recipient email address
+ * @param {{ name: string|null, deletionDate: string }} details - deletionDate as an ISO timestamp
+ * @returns {Promise<void>}
+ */
+export async function sendAccountDeletionScheduledEmail(toEmail, { name, deletionDate }) {
+  const appUrl = BASE_URL;
+  const greeting = name ? `Hi ${name},` : "Hi there,";
+  const formattedDate = new Date(deletionDate).toUTCString();
+
+  const transporter = await getTransporter();
+
+  const info = await transporter.sendMail({
+    from: FROM,
+    to: toEmail,
+    subject: "Your LifePush account is scheduled for deletion",
+    text: `${greeting}\n\nWe received a request to delete your LifePush account. It will be permanently deleted on ${formattedDate}.\n\nChanged your mind? Just log in before then and your account will be kept.\n\nOpen LifePush: ${appUrl}\n\nIf you didn't request this, log in and change your password.`,
+    html: `
+      <h2>Your account is scheduled for deletion</h2>
+      <p>${escapeHtml(greeting)}</p>
+      <p>We received a request to delete your LifePush account. It will be
+        permanently deleted on <strong>${formattedDate}</strong>.</p>
+      <p>Changed your mind? Just log in before then and your account will be kept.</p>
+      <p>
+        <a href="${appUrl}" style="
+          display: inline-block;
+          padding: 12px 24px;
+          background-color: #22c55e;
+          color: white;
+          text-decoration: none;
+          border-radius: 6px;
+          font-weight: bold;
+        ">Keep My Account</a>
+      </p>
+      <p>If you didn't request this, log in and change your password.</p>
+    `,
+  });
+
+  if (process.env.NODE_ENV !== "production") {
+    const previewUrl = nodemailer.getTestMessageUrl(info);
+    if (previewUrl) {
+      console.log("[Email] Preview URL:", previewUrl);
+    }
+  }
+}
@@ -0,0 +1,69 @@
+import { runReminderJobs } from "../jobs/reminders.js";
+import { runStreakEvaluationJob } from "../jobs/streaks.js";
+import { runAccountDeletionJob } from "../jobs/accountDeletion.js";
+import { runChallengeAwardJob } from "../jobs/challenges.js";
+
+/**
+ * In-process job scheduler.
+ *
+ * Runs every registered job once per tick (every minute). Jobs evaluate each
+ * user's local time themselves and must be idempotent, since a tick can repeat
+ * work after a restart. Set SCHEDULER_ENABLED=false to disable (e.g. when
+ * running several API instances against the same database).
+ */
+
+const TICK_INTERVAL_MS = 60 * 1000;
+
+// Streaks run first so reminders see up-to-date current_streak values
+const JOBS = [
+  { name: "streaks", run: runStreakEvaluationJob },
+  { name: "reminders", run: runReminderJobs },
+  { name: "accountDeletion", run: runAccountDeletionJob },
+  { name: "challengeAwards", run: runChallengeAwardJob },
+];
+
+let _timer = null;
+let _running = false;
+
+/**
+ * Runs all jobs sequentially. Skips the tick if the previous one is still running.
+ */
+async function runTick() {
+  if (_running) return;
+  _running = true;
+  try {
+    for (const job of JOBS) {
+      try {
+        await job.run();
+      } catch (err) {
+        console.error(`[Scheduler] Job "${job.name}" failed:`, err);
+      }
+    }
+  } finally {
+    _running = false;
+  }
+}
+
+/**
+ * Starts the scheduler (no-op if already started or disabled via SCHEDULER_ENABLED=false).
+ */
+export function startScheduler() {
+  if (_timer || process.env.SCHEDULER_ENABLED === "false") return;
+
+  _timer = setInterval(runTick, TICK_INTERVAL_MS);
+  // Don't keep the process alive just for the scheduler
+  _timer.unref();
+  runTick();
+
+  console.log(`[Scheduler] Started with jobs: ${JOBS.map((j) => j.name).join(", ")}`);
+}
+
+/**
+ * Stops the scheduler.
+ */
+export function stopScheduler() {
+  if (_timer) {
+    clearInterval(_timer);
+    _timer = null;
+  }
+}
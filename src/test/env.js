@@ -0,0 +1,18 @@
+/**
+ * Test environment. Must be imported before anything that imports db/index.js:
+ * points DB_PATH at a throwaway database and email at an unreachable SMTP
+ * server (sends fail fast and are only logged).
+ */
+
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+
+const dir = mkdtempSync(join(tmpdir(), "lifepush-test-"));
+
+process.env.DB_PATH = join(dir, "test.db");
+process.env.EMAIL_HOST = "127.0.0.1";
+process.env.EMAIL_PORT = "1";
+process.env.SCHEDULER_ENABLED = "false";
+
+process.on("exit", () => rmSync(dir, { recursive: true, force: true }));
@@ -0,0 +1,214 @@
+/**
+ * Shared helpers for the node:test suites (*.test.js next to the modules they
+ * cover). Importing this module sets up the test environment (see env.js).
+ */
+
+import "./env.js";
+import express from "express";
+import bcrypt from "bcryptjs";
+import { v4 as uuidv4 } from "uuid";
+import db from "../db/index.js";
+import authRouter from "../routes/auth.js";
+import usersRouter from "../routes/users.js";
+import habitsRouter from "../routes/habits.js";
+import teamsRouter from "../routes/teams.js";
+import { createSession } from "../utils/sessions.js";
+
+const TEST_PASSWORD = "Passw0rd!";
+const TEST_PASSWORD_HASH = bcrypt.hashSync(TEST_PASSWORD, 4);
+
+/**
+ * Returns the YYYY-MM-DD date `days` days before today in UTC (the test
+ * users' timezone).
+ */
+function daysAgo(days) {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() - days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Inserts an object's properties as a row of the given table.
+ */
+function insertRow(table, row) {
+  const columns = Object.keys(row);
+  db.prepare(
+    `INSERT INTO ${table} (${columns.join(", ")}) VALUES (${columns.map(() => "?").join(", ")})`
+  ).run(...Object.values(row));
+}
+
+/**
+ * Inserts an onboarded, verified user with password TEST_PASSWORD.
+ *
+ * @param {object} [overrides] - Column values to override
+ * @returns {object} The users row
+ */
+function createUser(overrides = {}) {
+  const now = new Date().toISOString();
+  const user = {
+    id: uuidv4(),
+    email: `${uuidv4()}@example.com`,
+    password_hash: TEST_PASSWORD_HASH,
+    name: "Test User",
+    email_verified: 1,
+    onboarding_step: 4,
+    timezone: "UTC",
+    created_at: now,
+    last_active_at: now,
+    ...overrides,
+  };
+
+  insertRow("users", user);
+
+  return db.prepare("SELECT * FROM users WHERE id = ?").get(user.id);
+}
+
+/**
+ * Inserts the user's habit goals (onboarding defaults unless overridden).
+ *
+ * @returns {object} The habits_config row
+ */
+function createHabitsConfig(userId, overrides = {}) {
+  const now = new Date().toISOString();
+  const config = {
+    id: uuidv4(),
+    user_id: userId,
+    daily_steps: 8000,
+    hydration_glasses: 8,
+    movement_preference: "walking",
+    created_at: now,
+    updated_at: now,
+    ...overrides,
+  };
+
+  insertRow("habits_config", config);
+  return db.prepare("SELECT * FROM habits_config WHERE id = ?").get(config.id);
+}
+
+/**
+ * Creates a session for the user as if they had logged in.
+ *
+ * @returns {{ id: string, token: string, refreshToken: string }}
+ */
+function loginAs(user) {
+  return createSession(user.id, { get: () => "node-test", ip: "127.0.0.1" });
+}
+
+/**
+ * Creates a team owned by `owner` with the given other members.
+ *
+ * @returns {object} The teams row
+ */
+function createTeam(owner, members = []) {
+  const now = new Date().toISOString();
+  const teamId = uuidv4();
+
+  db.prepare(
+    "INSERT INTO teams (id, name, invite_code, owner_id, created_at) VALUES (?, ?, ?, ?, ?)"
+  ).run(teamId, "Test Team", uuidv4().slice(0, 8).toUpperCase(), owner.id, now);
+
+  const addMember = db.prepare(
+    "INSERT INTO team_members (id, team_id, user_id, role, joined_at) VALUES (?, ?, ?, ?, ?)"
+  );
+  addMember.run(uuidv4(), teamId, owner.id, "owner", now);
+  for (const member of members) {
+    addMember.run(uuidv4(), teamId, member.id, "member", now);
+  }
+
+  return db.prepare("SELECT * FROM teams WHERE id = ?").get(teamId);
+}
+
+/**
+ * Inserts a challenge for the team (a week-long steps challenge unless
+ * overridden).
+ *
+ * @param {object} team - A teams row
+ * @param {object} [overrides] - Column values to override
+ * @returns {object} The team_challenges row
+ */
+function createChallenge(team, overrides = {}) {
+  const challenge = {
+    id: uuidv4(),
+    team_id: team.id,
+    title: "Test Challenge",
+    challenge_type: "steps",
+    target_value: 10000,
+    start_date: "2026-03-01",
+    end_date: "2026-03-07",
+    created_by: team.owner_id,
+    created_at: new Date().toISOString(),
+    ...overrides,
+  };
+
+  insertRow("team_challenges", challenge);
+  return db.prepare("SELECT * FROM team_challenges WHERE id = ?").get(challenge.id);
+}
+
+/**
+ * Inserts a daily log for the user with the given column values.
+ *
+ * @returns {object} The daily_logs row
+ */
+function createDailyLog(userId, logDate, values = {}) {
+  const now = new Date().toISOString();
+  const log = {
+    id: uuidv4(),
+    user_id: userId,
+    log_date: logDate,
+    created_at: now,
+    updated_at: now,
+    ...values,
+  };
+
+  insertRow("daily_logs", log);
+  return db.prepare("SELECT * FROM daily_logs WHERE id = ?").get(log.id);
+}
+
+/**
+ * Starts the API routers on a random local port.
+ *
+ * @returns {Promise<{ request: Function, close: Function }>} request(method,
+ *   path, { token, body }) resolves to { status, body }
+ */
+async function startTestServer() {
+  const app = express();
+  app.use(express.json());
+  app.use("/api/auth", authRouter);
+  app.use("/api/users", usersRouter);
+  app.use("/api/habits", habitsRouter);
+  app.use("/api/teams", teamsRouter);
+
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, path, { token, body } = {}) {
+    const res = await fetch(baseUrl + path, {
+      method,
+      headers: {
+        "content-type": "application/json",
+        ...(token ? { authorization: `Bearer ${token}` } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  return {
+    request,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+export {
+  TEST_PASSWORD,
+  daysAgo,
+  createUser,
+  createHabitsConfig,
+  loginAs,
+  createTeam,
+  createChallenge,
+  createDailyLog,
+  startTestServer,
+};
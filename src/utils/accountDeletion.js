@@ -0,0 +1,135 @@
+/**
+ * Account Deletion
+ *
+ * Deleting an account is a two-step process:
+ *   1. scheduleAccountDeletion marks the account for deletion in
+ *      ACCOUNT_DELETION_GRACE_DAYS and signs the user out everywhere. Logging
+ *      in again before then cancels the deletion.
+ *   2. Once the grace period is over, purgeUser (run by the account deletion
+ *      job) removes the user. Teams they own are handed to the longest-standing
+ *      other member (or removed if nobody else is left), challenges they created
+ *      are reassigned to the team owner, and their progress in started
+ *      challenges is kept as an anonymous "Former member" result so team totals
+ *      and leaderboards don't change. Everything else cascades from users.
+ */
+
+import { v4 as uuidv4 } from "uuid";
+import db from "../db/index.js";
+import { getTodayForTimezone } from "./date.js";
+import { getMemberChallengeProgress } from "./challenge.js";
+import { revokeAllSessions } from "./sessions.js";
+
+const ACCOUNT_DELETION_GRACE_DAYS = 14;
+
+/**
+ * Marks the account for deletion and revokes all of its sessions.
+ *
+ * @returns {string} ISO timestamp the account will be deleted at
+ */
+function scheduleAccountDeletion(userId, now = new Date()) {
+  const scheduledFor = new Date(
+    now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000
+  ).toISOString();
+
+  db.transaction(() => {
+    db.prepare(
+      "UPDATE users SET deletion_requested_at = ?, deletion_scheduled_for = ? WHERE id = ?"
+    ).run(now.toISOString(), scheduledFor, userId);
+    revokeAllSessions(userId);
+  })();
+
+  return scheduledFor;
+}
+
+/**
+ * Clears a pending deletion.
+ */
+function cancelAccountDeletion(userId) {
+  db.prepare(
+    "UPDATE users SET deletion_requested_at = NULL, deletion_scheduled_for = NULL WHERE id = ?"
+  ).run(userId);
+}
+
+/**
+ * Hands every team the user owns to the member who joined earliest, or deletes
+ * the team if the user is its only member.
+ */
+function transferOwnedTeams(userId) {
+  const ownedTeams = db.prepare("SELECT id FROM teams WHERE owner_id = ?").all(userId);
+
+  for (const team of ownedTeams) {
+    const successor = db
+      .prepare(
+        `SELECT user_id FROM team_members
+         WHERE team_id = ? AND user_id != ?
+         ORDER BY joined_at ASC LIMIT 1`
+      )
+      .get(team.id, userId);
+
+    if (!successor) {
+      db.prepare("DELETE FROM teams WHERE id = ?").run(team.id);
+      continue;
+    }
+
+    db.prepare("UPDATE teams SET owner_id = ? WHERE id = ?").run(successor.user_id, team.id);
+    db.prepare(
+      "UPDATE team_members SET role = 'owner' WHERE team_id = ? AND user_id = ?"
+    ).run(team.id, successor.user_id);
+  }
+}
+
+/**
+ * Stores the user's progress in every challenge that has started as an
+ * anonymous former-member result.
+ */
+function anonymiseChallengeResults(userId, today, now) {
+  const challenges = db
+    .prepare(
+      `SELECT tc.*
+       FROM team_challenges tc
+       JOIN team_members tm ON tm.team_id = tc.team_id
+       WHERE tm.user_id = ? AND tc.start_date <= ?`
+    )
+    .all(userId, today);
+
+  const insert = db.prepare(
+    `INSERT INTO challenge_former_member_results (id, challenge_id, value, created_at)
+     VALUES (?, ?, ?, ?)`
+  );
+
+  for (const challenge of challenges) {
+    const value = getMemberChallengeProgress(challenge, userId);
+    if (value > 0) insert.run(uuidv4(), challenge.id, value, now);
+  }
+}
+
+/**
+ * Permanently deletes the user (see module comment).
+ */
+function purgeUser(userId) {
+  const user = db.prepare("SELECT id, timezone FROM users WHERE id = ?").get(userId);
+  if (!user) return;
+
+  const now = new Date().toISOString();
+
+  db.transaction(() => {
+    transferOwnedTeams(userId);
+
+    db.prepare(
+      `UPDATE team_challenges
+       SET created_by = (SELECT owner_id FROM teams WHERE teams.id = team_challenges.team_id)
+       WHERE created_by = ?`
+    ).run(userId);
+
+    anonymiseChallengeResults(userId, getTodayForTimezone(user.timezone), now);
+
+    db.prepare("DELETE FROM users WHERE id = ?").run(userId);
+  })();
+}
+
+export {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  purgeUser,
+};
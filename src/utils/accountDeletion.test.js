@@ -0,0 +1,121 @@
+import {
+  createChallenge,
+  createDailyLog,
+  createTeam,
+  createUser,
+  loginAs,
+} from "../test/helpers.js";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import db from "../db/index.js";
+import { buildChallengeLeaderboard, getChallengeProgress } from "./challenge.js";
+import {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  cancelAccountDeletion,
+  purgeUser,
+  scheduleAccountDeletion,
+} from "./accountDeletion.js";
+
+const getUser = (userId) => db.prepare("SELECT * FROM users WHERE id = ?").get(userId);
+
+const setJoinedAt = (team, user, joinedAt) =>
+  db
+    .prepare("UPDATE team_members SET joined_at = ? WHERE team_id = ? AND user_id = ?")
+    .run(joinedAt, team.id, user.id);
+
+describe("scheduleAccountDeletion", () => {
+  it("schedules the deletion after the grace period and signs the user out", () => {
+    const user = createUser();
+    loginAs(user);
+    const now = new Date("2026-03-01T10:00:00Z");
+
+    const scheduledFor = scheduleAccountDeletion(user.id, now);
+
+    assert.equal(ACCOUNT_DELETION_GRACE_DAYS, 14);
+    assert.equal(scheduledFor, "2026-03-15T10:00:00.000Z");
+    assert.equal(getUser(user.id).deletion_scheduled_for, scheduledFor);
+    assert.equal(
+      db.prepare("SELECT COUNT(*) AS count FROM sessions WHERE user_id = ?").get(user.id).count,
+      0
+    );
+
+    cancelAccountDeletion(user.id);
+
+    assert.equal(getUser(user.id).deletion_requested_at, null);
+    assert.equal(getUser(user.id).deletion_scheduled_for, null);
+  });
+});
+
+describe("purgeUser", () => {
+  it("hands owned teams and their challenges to the longest-standing member", () => {
+    const owner = createUser();
+    const veteran = createUser();
+    const newcomer = createUser();
+    const team = createTeam(owner, [newcomer, veteran]);
+    setJoinedAt(team, veteran, "2026-01-01T00:00:00.000Z");
+    setJoinedAt(team, newcomer, "2026-02-01T00:00:00.000Z");
+    const challenge = createChallenge(team);
+
+    purgeUser(owner.id);
+
+    assert.equal(getUser(owner.id), undefined);
+    assert.equal(db.prepare("SELECT owner_id FROM teams WHERE id = ?").get(team.id).owner_id, veteran.id);
+    assert.equal(
+      db
+        .prepare("SELECT role FROM team_members WHERE team_id = ? AND user_id = ?")
+        .get(team.id, veteran.id).role,
+      "owner"
+    );
+    assert.equal(
+      db.prepare("SELECT created_by FROM team_challenges WHERE id = ?").get(challenge.id)
+        .created_by,
+      veteran.id
+    );
+  });
+
+  it("removes teams the user was the only member of", () => {
+    const owner = createUser();
+    const team = createTeam(owner);
+
+    purgeUser(owner.id);
+
+    assert.equal(db.prepare("SELECT id FROM teams WHERE id = ?").get(team.id), undefined);
+  });
+
+  it("keeps the user's challenge progress as an anonymous former-member result", () => {
+    const owner = createUser({ name: "Alice" });
+    const leaver = createUser({ name: "Bob" });
+    const team = createTeam(owner, [leaver]);
+    const challenge = createChallenge(team, { target_value: 10000, mode: "cooperative" });
+    createDailyLog(owner.id, "2026-03-02", { steps: 4000 });
+    createDailyLog(leaver.id, "2026-03-02", { steps: 6000 });
+
+    purgeUser(leaver.id);
+
+    assert.deepEqual(getChallengeProgress(challenge), [
+      { userId: null, name: "Former member", value: 6000 },
+      { userId: owner.id, name: "Alice", value: 4000 },
+    ]);
+
+    const { leaderboard, teamTotal } = buildChallengeLeaderboard(challenge);
+    assert.deepEqual(
+      leaderboard.map((e) => [e.rank, e.name]),
+      [
+        [1, "Former member"],
+        [2, "Alice"],
+      ]
+    );
+    assert.deepEqual(teamTotal, { value: 10000, percentOfTarget: 100, completed: true });
+  });
+
+  it("does not keep empty results for challenges without progress", () => {
+    const owner = createUser();
+    const leaver = createUser();
+    const team = createTeam(owner, [leaver]);
+    const challenge = createChallenge(team);
+
+    purgeUser(leaver.id);
+
+    assert.equal(getChallengeProgress(challenge).length, 1);
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Habit Analytics
+ *
+ * Summarises a user's daily_logs over a rolling period of complete days
+ * (ending yesterday) and compares it with the period before:
+ *   - Per-category averages and goal hit-rates against the goals in effect each day
+ *   - Best and worst weekday by average categories completed
+ *   - Sleep consistency from sleep_start/sleep_end, and the average sleep-quality
+ *     score of the nights logged
+ */
+
+import db from "../db/index.js";
+import { getTodayForTimezone, addDays } from "./date.js";
+import { countCompletedCategoriesForLog } from "./streak.js";
+import { getGoalResolver } from "./goals.js";
+import { isSleepGoalMet, computeSleepConsistency, computeSleepQualityScore } from "./sleep.js";
+
+const PERIOD_DAYS = { week: 7, month: 30 };
+
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+function average(values) {
+  if (values.length === 0) return null;
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+/**
+ * Returns every YYYY-MM-DD date from `from` to `to` inclusive.
+ */
+function listDates(from, to) {
+  const dates = [];
+  for (let d = from; d <= to; d = addDays(d, 1)) dates.push(d);
+  return dates;
+}
+
+/**
+ * Summarises the logs of one period. Goal hit-rates are percentages of all days
+ * in the period (days without a log count as misses), each day judged against
+ * goalsFor(date).
+ */
+function summarisePeriod(logs, goalsFor, dates) {
+  const byDate = new Map(logs.map((l) => [l.log_date, l]));
+  const numeric = (col) => logs.map((l) => l[col]).filter((v) => v != null);
+  const rate = (hits) => Math.round((hits / dates.length) * 100);
+  const avg = (col) => {
+    const value = average(numeric(col));
+    return value === null ? null : round1(value);
+  };
+
+  const averages = {
+    steps: avg("steps"),
+    hydration: avg("hydration_glasses"),
+    sleep: avg("sleep_hours"),
+    vegetables: avg("vegetables_count"),
+  };
+
+  const count = (predicate) => logs.filter((l) => predicate(l, goalsFor(l.log_date))).length;
+  const goalHitRates = {
+    steps: rate(count((l, g) => l.steps != null && l.steps >= (g?.daily_steps ?? 10000))),
+    hydration: rate(
+      count((l, g) => l.hydration_glasses != null && l.hydration_glasses >= (g?.hydration_glasses ?? 8))
+    ),
+    sleep: rate(count((l, g) => isSleepGoalMet(l.sleep_hours, g))),
+    movement: rate(count((l) => l.movement_done === 1)),
+    vegetables: rate(
+      count((l, g) => l.vegetables_count != null && l.vegetables_count >= (g?.vegetables_per_day ?? 2))
+    ),
+    food: rate(
+      count((l) => l.food_vegetables === 1 || l.food_no_junk === 1 || l.food_breakfast === 1)
+    ),
+  };
+
+  // Average categories completed per weekday (unlogged days score 0)
+  const weekdayScores = new Map();
+  for (const date of dates) {
+    const [y, m, d] = date.split("-").map(Number);
+    const weekday = WEEKDAYS[new Date(y, m - 1, d).getDay()];
+    const score = countCompletedCategoriesForLog(byDate.get(date), goalsFor(date));
+    weekdayScores.set(weekday, [...(weekdayScores.get(weekday) ?? []), score]);
+  }
+
+  let bestWeekday = null;
+  let worstWeekday = null;
+  for (const [day, scores] of weekdayScores) {
+    const averageCategories = round1(average(scores));
+    if (!bestWeekday || averageCategories > bestWeekday.averageCategories) {
+      bestWeekday = { day, averageCategories };
+    }
+    if (!worstWeekday || averageCategories < worstWeekday.averageCategories) {
+      worstWeekday = { day, averageCategories };
+    }
+  }
+
+  const sleepConsistency = computeSleepConsistency(logs);
+  const qualityScores = logs
+    .map((l) =>
+      computeSleepQualityScore(l.sleep_hours, goalsFor(l.log_date), sleepConsistency.consistencyScore)
+    )
+    .filter((v) => v != null);
+  const averageQuality = average(qualityScores);
+
+  return {
+    daysLogged: logs.length,
+    averages,
+    goalHitRates,
+    bestWeekday,
+    worstWeekday,
+    sleepConsistency: {
+      ...sleepConsistency,
+      averageQualityScore: averageQuality === null ? null : Math.round(averageQuality),
+    },
+  };
+}
+
+/**
+ * Returns { current, previous, change } for each key present in both objects.
+ */
+function buildTrends(current, previous) {
+  const trends = {};
+  for (const key of Object.keys(current)) {
+    const change =
+      current[key] != null && previous[key] != null ? round1(current[key] - previous[key]) : null;
+    trends[key] = { current: current[key], previous: previous[key], change };
+  }
+  return trends;
+}
+
+/**
+ * Builds the analytics report for the given period ("week" or "month").
+ */
+function buildHabitAnalytics(userId, timezone, period) {
+  const days = PERIOD_DAYS[period];
+  const to = addDays(getTodayForTimezone(timezone), -1);
+  const from = addDays(to, -(days - 1));
+  const previousTo = addDays(from, -1);
+  const previousFrom = addDays(previousTo, -(days - 1));
+
+  const goalsFor = getGoalResolver(userId);
+
+  const logs = db
+    .prepare(
+      `SELECT * FROM daily_logs
+       WHERE user_id = ? AND log_date BETWEEN ? AND ?
+       ORDER BY log_date ASC`
+    )
+    .all(userId, previousFrom, to);
+
+  const current = summarisePeriod(
+    logs.filter((l) => l.log_date >= from),
+    goalsFor,
+    listDates(from, to)
+  );
+  const previous = summarisePeriod(
+    logs.filter((l) => l.log_date <= previousTo),
+    goalsFor,
+    listDates(previousFrom, previousTo)
+  );
+
+  return {
+    period,
+    from,
+    to,
+    ...current,
+    previousPeriod: { from: previousFrom, to: previousTo },
+    trends: {
+      daysLogged: buildTrends({ value: current.daysLogged }, { value: previous.daysLogged }).value,
+      averages: buildTrends(current.averages, previous.averages),
+      goalHitRates: buildTrends(current.goalHitRates, previous.goalHitRates),
+      sleepConsistencyScore: buildTrends(
+        { value: current.sleepConsistency.consistencyScore },
+        { value: previous.sleepConsistency.consistencyScore }
+      ).value,
+      sleepQualityScore: buildTrends(
+        { value: current.sleepConsistency.averageQualityScore },
+        { value: previous.sleepConsistency.averageQualityScore }
+      ).value,
+    },
+  };
+}
+
+export { PERIOD_DAYS, buildHabitAnalytics };
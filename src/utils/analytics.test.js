@@ -0,0 +1,84 @@
+import { createDailyLog, createHabitsConfig, createUser, daysAgo } from "../test/helpers.js";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { buildHabitAnalytics } from "./analytics.js";
+
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+/**
+ * Creates a user with 8000 daily steps and 8 glasses of water as goals.
+ */
+function createUserWithGoals() {
+  const user = createUser();
+  createHabitsConfig(user.id, { daily_steps: 8000, hydration_glasses: 8 });
+  return user;
+}
+
+describe("buildHabitAnalytics", () => {
+  it("covers the complete days before today and the period before that", () => {
+    const user = createUserWithGoals();
+
+    const report = buildHabitAnalytics(user.id, "UTC", "week");
+
+    assert.equal(report.from, daysAgo(7));
+    assert.equal(report.to, daysAgo(1));
+    assert.deepEqual(report.previousPeriod, { from: daysAgo(14), to: daysAgo(8) });
+  });
+
+  it("averages logged values and rates goal hits over every day of the period", () => {
+    const user = createUserWithGoals();
+    createDailyLog(user.id, daysAgo(0), { steps: 50000 });
+    createDailyLog(user.id, daysAgo(1), { steps: 10000, hydration_glasses: 8 });
+    createDailyLog(user.id, daysAgo(2), { steps: 6000, hydration_glasses: 9 });
+
+    const report = buildHabitAnalytics(user.id, "UTC", "week");
+
+    assert.equal(report.daysLogged, 2);
+    assert.equal(report.averages.steps, 8000);
+    assert.equal(report.averages.hydration, 8.5);
+    assert.equal(report.averages.sleep, null);
+    assert.equal(report.goalHitRates.steps, 14);
+    assert.equal(report.goalHitRates.hydration, 29);
+  });
+
+  it("compares the period with the one before", () => {
+    const user = createUserWithGoals();
+    createDailyLog(user.id, daysAgo(1), { steps: 9000 });
+    createDailyLog(user.id, daysAgo(8), { steps: 5000 });
+
+    const { trends } = buildHabitAnalytics(user.id, "UTC", "week");
+
+    assert.deepEqual(trends.averages.steps, { current: 9000, previous: 5000, change: 4000 });
+    assert.deepEqual(trends.daysLogged, { current: 1, previous: 1, change: 0 });
+  });
+
+  it("picks the weekday with the most categories completed", () => {
+    const user = createUserWithGoals();
+    createDailyLog(user.id, daysAgo(3), {
+      steps: 9000,
+      hydration_glasses: 8,
+      movement_done: 1,
+    });
+
+    const { bestWeekday } = buildHabitAnalytics(user.id, "UTC", "week");
+
+    assert.deepEqual(bestWeekday, {
+      day: WEEKDAYS[new Date(`${daysAgo(3)}T12:00:00Z`).getUTCDay()],
+      averageCategories: 3,
+    });
+  });
+
+  it("scores sleep consistency from bed and wake times across midnight", () => {
+    const user = createUserWithGoals();
+    createDailyLog(user.id, daysAgo(1), { sleep_start: "23:30", sleep_end: "07:00" });
+    createDailyLog(user.id, daysAgo(2), { sleep_start: "00:30", sleep_end: "07:00" });
+
+    const { sleepConsistency } = buildHabitAnalytics(user.id, "UTC", "week");
+
+    assert.equal(sleepConsistency.nightsTracked, 2);
+    assert.equal(sleepConsistency.averageBedtime, "00:00");
+    assert.equal(sleepConsistency.bedtimeStdDevMinutes, 30);
+    assert.equal(sleepConsistency.wakeTimeStdDevMinutes, 0);
+    assert.equal(sleepConsistency.consistencyScore, 88);
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Badges and Milestone Rewards
+ *
+ * Badges are awarded once per user (badges.UNIQUE(user_id, badge_type)).
+ * Milestone badges are driven by BADGE_RULES and evaluated after habit updates;
+ * mascot evolution badges ("evolution_5", "champion") are awarded by
+ * checkAndApplyEvolution in mascot.js, and "first_challenge_won" by
+ * awardChallengeWinners once a competitive challenge has finished (see
+ * jobs/challenges.js). Those are only listed in the catalog here.
+ */
+
+import { v4 as uuidv4 } from "uuid";
+import db from "../db/index.js";
+import { buildChallengeLeaderboard } from "./challenge.js";
+import { getGoalResolver } from "./goals.js";
+
+const STREAK_MILESTONES = [7, 30, 100];
+const LEVEL_MILESTONES = [5, 10, 20, 30];
+const HYDRATION_GOAL_MILESTONES = [10, 50, 100];
+
+/**
+ * Returns true once the user has at least one daily log.
+ */
+function hasFirstLog(ctx) {
+  const row = db
+    .prepare("SELECT 1 FROM daily_logs WHERE user_id = ? LIMIT 1")
+    .get(ctx.userId);
+  return Boolean(row);
+}
+
+/**
+ * Counts the days on which the user met the hydration goal that applied on
+ * that day (see getGoalResolver), so raising the goal doesn't discount
+ * earlier days.
+ */
+function countHydrationGoalDays(ctx) {
+  if (ctx.hydrationGoalDays === undefined) {
+    const goalsFor = getGoalResolver(ctx.userId);
+    const logs = db
+      .prepare(
+        `SELECT log_date, hydration_glasses FROM daily_logs
+         WHERE user_id = ? AND hydration_glasses IS NOT NULL`
+      )
+      .all(ctx.userId);
+    ctx.hydrationGoalDays = logs.filter((log) => {
+      const goal = goalsFor(log.log_date)?.hydration_glasses;
+      return goal != null && log.hydration_glasses >= goal;
+    }).length;
+  }
+  return ctx.hydrationGoalDays;
+}
+
+/**
+ * Milestone rules. Each rule is checked only while the user lacks the badge.
+ */
+const BADGE_RULES = [
+  {
+    type: "first_log",
+    name: "First Step",
+    description: "Logged your first habit.",
+    check: hasFirstLog,
+  },
+  ...STREAK_MILESTONES.map((days) => ({
+    type: `streak_${days}`,
+    name: `${days}-Day Streak`,
+    description: `Kept your streak going for ${days} days.`,
+    check: (ctx) => ctx.user.current_streak >= days,
+  })),
+  ...LEVEL_MILESTONES.map((level) => ({
+    type: `level_${level}`,
+    name: `Level ${level}`,
+    description: `Reached level ${level}.`,
+    check: (ctx) => ctx.user.level >= level,
+  })),
+  ...HYDRATION_GOAL_MILESTONES.map((times) => ({
+    type: `hydration_goal_${times}`,
+    name: `Hydration Hero ×${times}`,
+    description: `Hit your hydration goal ${times} times.`,
+    check: (ctx) => countHydrationGoalDays(ctx) >= times,
+  })),
+];
+
+const CHALLENGE_WON_BADGE = {
+  type: "first_challenge_won",
+  name: "Challenge Champion",
+  description: "Won your first team challenge.",
+};
+
+/**
+ * Every badge a user can hold, including those awarded outside the rule engine.
+ */
+const BADGE_CATALOG = [
+  ...BADGE_RULES.map(({ type, name, description }) => ({ type, name, description })),
+  CHALLENGE_WON_BADGE,
+  { type: "evolution_5", name: "Mascot Evolution", description: "Your mascot evolved at level 5." },
+  { type: "champion", name: "Champion", description: "Your mascot reached its final form at level 10." },
+];
+
+/**
+ * Evaluates all milestone rules the user hasn't satisfied yet and awards any
+ * newly earned badges.
+ *
+ * @param {string} userId
+ * @returns {{ badgeType: string, badgeName: string, description: string, awardedAt: string }[]}
+ *   The badges awarded by this call (empty if none)
+ */
+function evaluateBadges(userId) {
+  const user = db
+    .prepare("SELECT id, level, current_streak FROM users WHERE id = ?")
+    .get(userId);
+
+  if (!user) return [];
+
+  const earned = new Set(
+    db
+      .prepare("SELECT badge_type FROM badges WHERE user_id = ?")
+      .all(userId)
+      .map((b) => b.badge_type)
+  );
+
+  const ctx = { userId, user };
+  const now = new Date().toISOString();
+  const awarded = [];
+
+  const insert = db.prepare(
+    `INSERT OR IGNORE INTO badges (id, user_id, badge_type, badge_name, awarded_at)
+     VALUES (?, ?, ?, ?, ?)`
+  );
+
+  for (const rule of BADGE_RULES) {
+    if (earned.has(rule.type) || !rule.check(ctx)) continue;
+
+    const result = insert.run(uuidv4(), userId, rule.type, rule.name, now);
+    if (result.changes > 0) {
+      awarded.push({
+        badgeType: rule.type,
+        badgeName: rule.name,
+        description: rule.description,
+        awardedAt: now,
+      });
+    }
+  }
+
+  return awarded;
+}
+
+/**
+ * Awards the "first_challenge_won" badge to every member who finished first
+ * (with non-zero progress) in a competitive challenge. Call once, after the
+ * challenge has finished.
+ *
+ * @param {object} challenge - A team_challenges row
+ * @returns {number} Number of badges newly awarded
+ */
+function awardChallengeWinners(challenge) {
+  const { leaderboard } = buildChallengeLeaderboard(challenge);
+  const winners = leaderboard.filter((e) => e.rank === 1 && e.value > 0 && e.userId);
+
+  const insert = db.prepare(
+    `INSERT OR IGNORE INTO badges (id, user_id, badge_type, badge_name, awarded_at)
+     VALUES (?, ?, ?, ?, ?)`
+  );
+  const now = new Date().toISOString();
+
+  let awarded = 0;
+  for (const winner of winners) {
+    awarded += insert.run(
+      uuidv4(),
+      winner.userId,
+      CHALLENGE_WON_BADGE.type,
+      CHALLENGE_WON_BADGE.name,
+      now
+    ).changes;
+  }
+  return awarded;
+}
+
+/**
+ * Returns the user's earned badges (oldest first) and the catalog badges
+ * they have not earned yet.
+ */
+function getUserBadges(userId) {
+  const rows = db
+    .prepare(
+      `SELECT badge_type, badge_name, awarded_at FROM badges
+       WHERE user_id = ? ORDER BY awarded_at ASC`
+    )
+    .all(userId);
+
+  const descriptions = Object.fromEntries(BADGE_CATALOG.map((b) => [b.type, b.description]));
+  const earnedTypes = new Set(rows.map((r) => r.badge_type));
+
+  return {
+    earned: rows.map((r) => ({
+      badgeType: r.badge_type,
+      badgeName: r.badge_name,
+      description: descriptions[r.badge_type] ?? null,
+      awardedAt: r.awarded_at,
+    })),
+    locked: BADGE_CATALOG.filter((b) => !earnedTypes.has(b.type)).map((b) => ({
+      badgeType: b.type,
+      badgeName: b.name,
+      description: b.description,
+    })),
+  };
+}
+
+export { BADGE_RULES, BADGE_CATALOG, evaluateBadges, awardChallengeWinners, getUserBadges };
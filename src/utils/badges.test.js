@@ -0,0 +1,108 @@
+import {
+  createChallenge,
+  createDailyLog,
+  createHabitsConfig,
+  createTeam,
+  createUser,
+} from "../test/helpers.js";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { awardChallengeWinners, evaluateBadges, getUserBadges } from "./badges.js";
+import { getCurrentGoals, recordGoalChange } from "./goals.js";
+
+const badgeTypes = (badges) => badges.map((b) => b.badgeType);
+
+describe("evaluateBadges", () => {
+  it("awards each badge only once", () => {
+    const user = createUser();
+    createDailyLog(user.id, "2026-03-01", { steps: 1000 });
+
+    assert.deepEqual(badgeTypes(evaluateBadges(user.id)), ["first_log"]);
+    assert.deepEqual(evaluateBadges(user.id), []);
+  });
+
+  it("awards every streak and level milestone reached", () => {
+    const user = createUser({ current_streak: 31, level: 10 });
+
+    assert.deepEqual(badgeTypes(evaluateBadges(user.id)), [
+      "streak_7",
+      "streak_30",
+      "level_5",
+      "level_10",
+    ]);
+  });
+
+  it("counts the days the hydration goal was met", () => {
+    const user = createUser();
+    createHabitsConfig(user.id, { hydration_glasses: 8 });
+    for (let day = 1; day <= 9; day++) {
+      createDailyLog(user.id, `2026-03-0${day}`, { hydration_glasses: 8 });
+    }
+    createDailyLog(user.id, "2026-03-10", { hydration_glasses: 7 });
+
+    assert.ok(!badgeTypes(evaluateBadges(user.id)).includes("hydration_goal_10"));
+
+    createDailyLog(user.id, "2026-03-11", { hydration_glasses: 12 });
+
+    assert.deepEqual(badgeTypes(evaluateBadges(user.id)), ["hydration_goal_10"]);
+  });
+
+  it("judges each day against the hydration goal that applied then", () => {
+    const user = createUser();
+    createHabitsConfig(user.id, { hydration_glasses: 12 });
+    const goals = getCurrentGoals(user.id);
+    recordGoalChange(user.id, "2026-03-01", { ...goals, hydration_glasses: 8 });
+    recordGoalChange(user.id, "2026-03-10", goals);
+    for (let day = 1; day <= 9; day++) {
+      createDailyLog(user.id, `2026-03-0${day}`, { hydration_glasses: 8 });
+    }
+    createDailyLog(user.id, "2026-03-10", { hydration_glasses: 8 });
+
+    assert.ok(!badgeTypes(evaluateBadges(user.id)).includes("hydration_goal_10"));
+
+    createDailyLog(user.id, "2026-03-11", { hydration_glasses: 12 });
+
+    assert.deepEqual(badgeTypes(evaluateBadges(user.id)), ["hydration_goal_10"]);
+  });
+});
+
+describe("awardChallengeWinners", () => {
+  it("awards the members who finished first with progress", () => {
+    const winner = createUser();
+    const runnerUp = createUser();
+    const idle = createUser();
+    const team = createTeam(winner, [runnerUp, idle]);
+    const challenge = createChallenge(team, { start_date: "2020-01-01", end_date: "2020-01-07" });
+    createDailyLog(winner.id, "2020-01-02", { steps: 9000 });
+    createDailyLog(runnerUp.id, "2020-01-02", { steps: 4000 });
+
+    assert.equal(awardChallengeWinners(challenge), 1);
+    assert.deepEqual(badgeTypes(getUserBadges(winner.id).earned), ["first_challenge_won"]);
+    assert.deepEqual(getUserBadges(runnerUp.id).earned, []);
+
+    assert.equal(awardChallengeWinners(challenge), 0);
+  });
+
+  it("does not award anyone when nobody made progress", () => {
+    const owner = createUser();
+    const challenge = createChallenge(createTeam(owner, [createUser()]), {
+      start_date: "2020-01-01",
+      end_date: "2020-01-07",
+    });
+
+    assert.equal(awardChallengeWinners(challenge), 0);
+  });
+});
+
+describe("getUserBadges", () => {
+  it("splits the catalog into earned and locked badges", () => {
+    const user = createUser({ current_streak: 7 });
+    evaluateBadges(user.id);
+
+    const { earned, locked } = getUserBadges(user.id);
+
+    assert.deepEqual(badgeTypes(earned), ["streak_7"]);
+    assert.ok(!badgeTypes(locked).includes("streak_7"));
+    assert.ok(badgeTypes(locked).includes("champion"));
+  });
+});
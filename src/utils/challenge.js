@@ -0,0 +1,195 @@
+/**
+ * Team Challenge Progress
+ *
+ * Challenge progress is derived from members' daily_logs over the challenge's
+ * start_date–end_date window (inclusive) whenever the challenge_type maps to a
+ * daily_logs column. Only challenge types without a log column fall back to
+ * manually submitted challenge_entries.
+ *
+ * When a member deletes their account, their progress in started challenges is
+ * kept in challenge_former_member_results and reported as an anonymous
+ * "Former member" entry (userId null).
+ */
+
+import db from "../db/index.js";
+
+/**
+ * Maps challenge_type to the daily_logs column its progress is summed from.
+ * Movement sums movement_done, i.e. counts the days the routine was completed.
+ */
+const CHALLENGE_LOG_COLUMNS = {
+  steps: "steps",
+  hydration: "hydration_glasses",
+  sleep: "sleep_hours",
+  movement: "movement_done",
+  vegetables: "vegetables_count",
+};
+
+/**
+ * Returns true if progress for the given challenge type is computed from daily_logs.
+ */
+function isLogBackedChallenge(challengeType) {
+  return Object.hasOwn(CHALLENGE_LOG_COLUMNS, challengeType);
+}
+
+/**
+ * Returns the "daily_logs" or "manual" progress source for a challenge type.
+ */
+function getChallengeProgressSource(challengeType) {
+  return isLogBackedChallenge(challengeType) ? "daily_logs" : "manual";
+}
+
+/**
+ * Rounds sleep totals to one decimal; every other column is an integer count.
+ */
+function normaliseProgress(value) {
+  return Math.round((value ?? 0) * 10) / 10;
+}
+
+const FORMER_MEMBER_NAME = "Former member";
+
+/**
+ * Returns the total progress of every current team member for a challenge,
+ * plus anonymous results of deleted members, ordered by value (descending).
+ * Members with no progress are included with 0.
+ *
+ * @param {object} challenge - A team_challenges row
+ * @returns {{ userId: string|null, name: string|null, value: number }[]}
+ */
+function getChallengeProgress(challenge) {
+  let rows;
+  if (isLogBackedChallenge(challenge.challenge_type)) {
+    const column = CHALLENGE_LOG_COLUMNS[challenge.challenge_type];
+    rows = db
+      .prepare(
+        `SELECT u.id AS user_id, u.name, COALESCE(SUM(dl.${column}), 0) AS value
+         FROM team_members tm
+         JOIN users u ON u.id = tm.user_id
+         LEFT JOIN daily_logs dl
+           ON dl.user_id = tm.user_id AND dl.log_date BETWEEN ? AND ?
+         WHERE tm.team_id = ?
+         GROUP BY u.id
+         ORDER BY value DESC, u.name ASC`
+      )
+      .all(challenge.start_date, challenge.end_date, challenge.team_id);
+  } else {
+    rows = db
+      .prepare(
+        `SELECT u.id AS user_id, u.name, COALESCE(SUM(ce.value), 0) AS value
+         FROM team_members tm
+         JOIN users u ON u.id = tm.user_id
+         LEFT JOIN challenge_entries ce
+           ON ce.user_id = tm.user_id AND ce.challenge_id = ?
+         WHERE tm.team_id = ?
+         GROUP BY u.id
+         ORDER BY value DESC, u.name ASC`
+      )
+      .all(challenge.id, challenge.team_id);
+  }
+
+  const formerMembers = db
+    .prepare("SELECT value FROM challenge_former_member_results WHERE challenge_id = ?")
+    .all(challenge.id);
+
+  return [
+    ...rows.map((r) => ({
+      userId: r.user_id,
+      name: r.name,
+      value: normaliseProgress(r.value),
+    })),
+    ...formerMembers.map((r) => ({
+      userId: null,
+      name: FORMER_MEMBER_NAME,
+      value: normaliseProgress(r.value),
+    })),
+  ].sort((a, b) => b.value - a.value);
+}
+
+/**
+ * Returns a rounded percentage of the target reached, capped at 100.
+ */
+function percentOfTarget(value, targetValue) {
+  if (!targetValue) return 0;
+  return Math.min(100, Math.round((value / targetValue) * 100));
+}
+
+/**
+ * Builds the aggregated leaderboard for a challenge.
+ *
+ * Each member appears once with their summed progress, ranked by value
+ * (equal values share a rank). Competitive challenges judge every member
+ * against target_value. Cooperative challenges report a team-wide total
+ * measured against the same target instead; member entries there only show
+ * their contribution (percentOfTarget) and carry no `completed` flag.
+ *
+ * @param {object} challenge - A team_challenges row
+ * @returns {{ leaderboard: object[], teamTotal: object|null }}
+ */
+function buildChallengeLeaderboard(challenge) {
+  const progress = getChallengeProgress(challenge);
+
+  let rank = 0;
+  let previousValue = null;
+  const leaderboard = progress.map((p, idx) => {
+    if (p.value !== previousValue) {
+      rank = idx + 1;
+      previousValue = p.value;
+    }
+    const entry = {
+      rank,
+      userId: p.userId,
+      name: p.name,
+      value: p.value,
+      percentOfTarget: percentOfTarget(p.value, challenge.target_value),
+    };
+    if (challenge.mode !== "cooperative") {
+      entry.completed = p.value >= challenge.target_value;
+    }
+    return entry;
+  });
+
+  let teamTotal = null;
+  if (challenge.mode === "cooperative") {
+    const value = normaliseProgress(progress.reduce((sum, p) => sum + p.value, 0));
+    teamTotal = {
+      value,
+      percentOfTarget: percentOfTarget(value, challenge.target_value),
+      completed: value >= challenge.target_value,
+    };
+  }
+
+  return { leaderboard, teamTotal };
+}
+
+/**
+ * Returns a single user's total progress for a challenge.
+ */
+function getMemberChallengeProgress(challenge, userId) {
+  if (isLogBackedChallenge(challenge.challenge_type)) {
+    const column = CHALLENGE_LOG_COLUMNS[challenge.challenge_type];
+    const { value } = db
+      .prepare(
+        `SELECT COALESCE(SUM(${column}), 0) AS value FROM daily_logs
+         WHERE user_id = ? AND log_date BETWEEN ? AND ?`
+      )
+      .get(userId, challenge.start_date, challenge.end_date);
+    return normaliseProgress(value);
+  }
+
+  const { value } = db
+    .prepare(
+      `SELECT COALESCE(SUM(value), 0) AS value FROM challenge_entries
+       WHERE challenge_id = ? AND user_id = ?`
+    )
+    .get(challenge.id, userId);
+  return normaliseProgress(value);
+}
+
+export {
+  CHALLENGE_LOG_COLUMNS,
+  isLogBackedChallenge,
+  getChallengeProgressSource,
+  getChallengeProgress,
+  getMemberChallengeProgress,
+  buildChallengeLeaderboard,
+};
@@ -0,0 +1,126 @@
+import { createChallenge, createDailyLog, createTeam, createUser } from "../test/helpers.js";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildChallengeLeaderboard,
+  getChallengeProgress,
+  getMemberChallengeProgress,
+} from "./challenge.js";
+
+describe("getChallengeProgress", () => {
+  it("sums each member's daily logs inside the challenge window", () => {
+    const alice = createUser({ name: "Alice" });
+    const bob = createUser({ name: "Bob" });
+    const carol = createUser({ name: "Carol" });
+    const team = createTeam(alice, [bob, carol]);
+    const challenge = createChallenge(team, { challenge_type: "steps" });
+
+    createDailyLog(alice.id, "2026-02-28", { steps: 99999 });
+    createDailyLog(alice.id, "2026-03-01", { steps: 4000 });
+    createDailyLog(alice.id, "2026-03-07", { steps: 3000 });
+    createDailyLog(bob.id, "2026-03-03", { steps: 9000 });
+    createDailyLog(bob.id, "2026-03-08", { steps: 99999 });
+
+    assert.deepEqual(getChallengeProgress(challenge), [
+      { userId: bob.id, name: "Bob", value: 9000 },
+      { userId: alice.id, name: "Alice", value: 7000 },
+      { userId: carol.id, name: "Carol", value: 0 },
+    ]);
+  });
+
+  it("rounds sleep totals to one decimal", () => {
+    const owner = createUser();
+    const team = createTeam(owner);
+    const challenge = createChallenge(team, { challenge_type: "sleep" });
+
+    createDailyLog(owner.id, "2026-03-01", { sleep_hours: 7.33 });
+    createDailyLog(owner.id, "2026-03-02", { sleep_hours: 6.41 });
+
+    assert.equal(getChallengeProgress(challenge)[0].value, 13.7);
+  });
+});
+
+describe("getMemberChallengeProgress", () => {
+  it("counts completed movement days", () => {
+    const owner = createUser();
+    const team = createTeam(owner);
+    const challenge = createChallenge(team, { challenge_type: "movement" });
+
+    createDailyLog(owner.id, "2026-03-01", { movement_done: 1 });
+    createDailyLog(owner.id, "2026-03-02", { movement_done: 0 });
+    createDailyLog(owner.id, "2026-03-03", { movement_done: 1 });
+
+    assert.equal(getMemberChallengeProgress(challenge, owner.id), 2);
+  });
+});
+
+describe("buildChallengeLeaderboard", () => {
+  it("ranks members by progress and lets ties share a rank", () => {
+    const alice = createUser({ name: "Alice" });
+    const bob = createUser({ name: "Bob" });
+    const carol = createUser({ name: "Carol" });
+    const team = createTeam(alice, [bob, carol]);
+    const challenge = createChallenge(team, { target_value: 10000 });
+
+    createDailyLog(alice.id, "2026-03-01", { steps: 6000 });
+    createDailyLog(bob.id, "2026-03-01", { steps: 6000 });
+    createDailyLog(carol.id, "2026-03-01", { steps: 2500 });
+
+    const { leaderboard, teamTotal } = buildChallengeLeaderboard(challenge);
+
+    assert.deepEqual(
+      leaderboard.map((e) => [e.name, e.rank]),
+      [["Alice", 1], ["Bob", 1], ["Carol", 3]]
+    );
+    assert.equal(teamTotal, null);
+  });
+
+  it("caps percentOfTarget at 100 and marks members who reached the target", () => {
+    const owner = createUser({ name: "Owner" });
+    const member = createUser({ name: "Member" });
+    const team = createTeam(owner, [member]);
+    const challenge = createChallenge(team, { target_value: 10000 });
+
+    createDailyLog(owner.id, "2026-03-01", { steps: 25000 });
+    createDailyLog(member.id, "2026-03-01", { steps: 3333 });
+
+    const [first, second] = buildChallengeLeaderboard(challenge).leaderboard;
+
+    assert.equal(first.percentOfTarget, 100);
+    assert.equal(first.completed, true);
+    assert.equal(second.percentOfTarget, 33);
+    assert.equal(second.completed, false);
+  });
+
+  it("reports a team total for cooperative challenges", () => {
+    const owner = createUser();
+    const member = createUser();
+    const team = createTeam(owner, [member]);
+    const challenge = createChallenge(team, { target_value: 10000, mode: "cooperative" });
+
+    createDailyLog(owner.id, "2026-03-01", { steps: 4000 });
+    createDailyLog(member.id, "2026-03-02", { steps: 4500 });
+
+    assert.deepEqual(buildChallengeLeaderboard(challenge).teamTotal, {
+      value: 8500,
+      percentOfTarget: 85,
+      completed: false,
+    });
+
+    createDailyLog(member.id, "2026-03-03", { steps: 1500 });
+
+    assert.equal(buildChallengeLeaderboard(challenge).teamTotal.completed, true);
+  });
+
+  it("shows only each member's contribution in cooperative challenges", () => {
+    const owner = createUser();
+    const team = createTeam(owner);
+    const challenge = createChallenge(team, { target_value: 10000, mode: "cooperative" });
+    createDailyLog(owner.id, "2026-03-01", { steps: 12000 });
+
+    const [entry] = buildChallengeLeaderboard(challenge).leaderboard;
+
+    assert.equal(entry.percentOfTarget, 100);
+    assert.ok(!("completed" in entry));
+  });
+});
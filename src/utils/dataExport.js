@@ -0,0 +1,177 @@
+/**
+ * Account Data Export
+ *
+ * Collects everything stored about a user and packages each entity as both
+ * JSON and CSV inside a ZIP archive. Secrets (password hash, 2FA secrets,
+ * session tokens, verification tokens) are never exported.
+ *
+ * Exports are recorded in data_exports, which also drives the rate limit.
+ */
+
+import { v4 as uuidv4 } from "uuid";
+import db from "../db/index.js";
+import { createZip } from "./zip.js";
+
+const EXPORT_LIMIT = 3;
+const EXPORT_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const EXCLUDED_USER_COLUMNS = [
+  "password_hash",
+  "totp_secret",
+  "totp_pending_secret",
+  "totp_last_used_step",
+];
+
+/**
+ * Entities included in the export. Each query takes the user id once per `?`.
+ */
+const EXPORT_ENTITIES = [
+  { name: "profile", sql: "SELECT * FROM users WHERE id = ?", exclude: EXCLUDED_USER_COLUMNS },
+  { name: "habits_config", sql: "SELECT * FROM habits_config WHERE user_id = ?" },
+  {
+    name: "goal_history",
+    sql: "SELECT * FROM habits_config_history WHERE user_id = ? ORDER BY effective_date",
+  },
+  { name: "daily_logs", sql: "SELECT * FROM daily_logs WHERE user_id = ? ORDER BY log_date" },
+  {
+    name: "step_readings",
+    sql: "SELECT * FROM step_readings WHERE user_id = ? ORDER BY log_date, source",
+  },
+  {
+    name: "sleep_sessions",
+    sql: "SELECT * FROM sleep_sessions WHERE user_id = ? ORDER BY start_at",
+  },
+  {
+    name: "team_memberships",
+    sql: `SELECT tm.team_id, t.name AS team_name, tm.role, tm.joined_at
+          FROM team_members tm
+          JOIN teams t ON t.id = tm.team_id
+          WHERE tm.user_id = ?
+          ORDER BY tm.joined_at`,
+  },
+  {
+    name: "challenge_entries",
+    sql: `SELECT ce.*, tc.title AS challenge_title, tc.challenge_type
+          FROM challenge_entries ce
+          JOIN team_challenges tc ON tc.id = ce.challenge_id
+          WHERE ce.user_id = ?
+          ORDER BY ce.created_at`,
+  },
+  { name: "notification_settings", sql: "SELECT * FROM notifications_config WHERE user_id = ?" },
+  { name: "badges", sql: "SELECT * FROM badges WHERE user_id = ? ORDER BY awarded_at" },
+];
+
+/**
+ * Formats one value as a CSV field (RFC 4180 quoting; null becomes empty).
+ * Text starting with =, +, -, @, tab or carriage return is prefixed with ' so
+ * spreadsheet apps don't evaluate user input as a formula.
+ */
+function csvField(value) {
+  if (value == null) return "";
+  let str = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Converts rows to CSV with a header row of the given columns.
+ */
+function toCsv(columns, rows) {
+  const lines = [columns.map(csvField).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((c) => csvField(row[c])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * Returns { name, columns, rows } for every export entity.
+ */
+function collectUserData(userId) {
+  return EXPORT_ENTITIES.map(({ name, sql, exclude = [] }) => {
+    const stmt = db.prepare(sql);
+    const columns = stmt
+      .columns()
+      .map((c) => c.name)
+      .filter((c) => !exclude.includes(c));
+    const rows = stmt.all(userId).map((row) =>
+      Object.fromEntries(columns.map((c) => [c, row[c]]))
+    );
+    return { name, columns, rows };
+  });
+}
+
+/**
+ * Builds the export archive: <entity>.json and <entity>.csv for every entity,
+ * plus a manifest.json describing the export.
+ *
+ * @returns {Buffer} ZIP archive
+ */
+function buildUserExportArchive(userId, exportedAt = new Date()) {
+  const entities = collectUserData(userId);
+  const files = [];
+
+  for (const { name, columns, rows } of entities) {
+    files.push({ name: `${name}.json`, content: JSON.stringify(rows, null, 2) });
+    files.push({ name: `${name}.csv`, content: toCsv(columns, rows) });
+  }
+
+  files.unshift({
+    name: "manifest.json",
+    content: JSON.stringify(
+      {
+        userId,
+        exportedAt: exportedAt.toISOString(),
+        entities: entities.map(({ name, rows }) => ({
+          name,
+          records: rows.length,
+          files: [`${name}.json`, `${name}.csv`],
+        })),
+      },
+      null,
+      2
+    ),
+  });
+
+  return createZip(files, exportedAt);
+}
+
+/**
+ * Returns the number of seconds until the user may export again, or 0 if an
+ * export is allowed now (fewer than EXPORT_LIMIT exports in the last 24 hours).
+ */
+function getExportRetryAfterSeconds(userId, now = new Date()) {
+  const since = new Date(now.getTime() - EXPORT_WINDOW_MS).toISOString();
+  const recent = db
+    .prepare(
+      `SELECT created_at FROM data_exports
+       WHERE user_id = ? AND created_at > ?
+       ORDER BY created_at ASC`
+    )
+    .all(userId, since);
+
+  if (recent.length < EXPORT_LIMIT) return 0;
+
+  const oldestExpiresAt = new Date(recent[0].created_at).getTime() + EXPORT_WINDOW_MS;
+  return Math.max(1, Math.ceil((oldestExpiresAt - now.getTime()) / 1000));
+}
+
+/**
+ * Records an export in data_exports.
+ */
+function logDataExport(userId, { ipAddress, userAgent, sizeBytes }, now = new Date()) {
+  db.prepare(
+    `INSERT INTO data_exports (id, user_id, ip_address, user_agent, size_bytes, created_at)
+     VALUES (?, ?, ?, ?, ?, ?)`
+  ).run(uuidv4(), userId, ipAddress ?? null, userAgent ?? null, sizeBytes, now.toISOString());
+}
+
+export {
+  EXPORT_LIMIT,
+  EXPORT_ENTITIES,
+  csvField,
+  toCsv,
+  buildUserExportArchive,
+  getExportRetryAfterSeconds,
+  logDataExport,
+};
@@ -0,0 +1,109 @@
+import { createDailyLog, createUser } from "../test/helpers.js";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { inflateRawSync } from "zlib";
+import {
+  EXPORT_LIMIT,
+  buildUserExportArchive,
+  csvField,
+  getExportRetryAfterSeconds,
+  logDataExport,
+  toCsv,
+} from "./dataExport.js";
+
+/**
+ * Returns the archive's files by name, walking the local file headers.
+ */
+function unzip(archive) {
+  const files = {};
+  let pos = 0;
+  while (archive.readUInt32LE(pos) === 0x04034b50) {
+    const compressedSize = archive.readUInt32LE(pos + 18);
+    const nameLength = archive.readUInt16LE(pos + 26);
+    const name = archive.toString("utf8", pos + 30, pos + 30 + nameLength);
+    const dataStart = pos + 30 + nameLength;
+    files[name] = inflateRawSync(archive.subarray(dataStart, dataStart + compressedSize)).toString(
+      "utf8"
+    );
+    pos = dataStart + compressedSize;
+  }
+  return files;
+}
+
+describe("csvField", () => {
+  it("quotes fields containing commas, quotes or line breaks", () => {
+    assert.equal(csvField("plain"), "plain");
+    assert.equal(csvField("a,b"), '"a,b"');
+    assert.equal(csvField('say "hi"'), '"say ""hi"""');
+    assert.equal(csvField("two\nlines"), '"two\nlines"');
+  });
+
+  it("writes null as an empty field and numbers as-is", () => {
+    assert.equal(csvField(null), "");
+    assert.equal(csvField(undefined), "");
+    assert.equal(csvField(0), "0");
+    assert.equal(csvField(-5), "-5");
+  });
+
+  it("keeps text that looks like a formula from being evaluated", () => {
+    assert.equal(csvField("=HYPERLINK(\"http://x\")"), `"'=HYPERLINK(""http://x"")"`);
+    assert.equal(csvField("+1"), "'+1");
+    assert.equal(csvField("-1"), "'-1");
+    assert.equal(csvField("@SUM(A1)"), "'@SUM(A1)");
+    assert.equal(csvField("a=b"), "a=b");
+  });
+});
+
+describe("toCsv", () => {
+  it("writes a header row and one CRLF-terminated line per row", () => {
+    const csv = toCsv(["log_date", "notes"], [
+      { log_date: "2026-03-01", notes: "rainy, short walk" },
+      { log_date: "2026-03-02", notes: null },
+    ]);
+
+    assert.equal(csv, 'log_date,notes\r\n2026-03-01,"rainy, short walk"\r\n2026-03-02,\r\n');
+  });
+});
+
+describe("buildUserExportArchive", () => {
+  it("exports every entity as JSON and CSV without the password hash", () => {
+    const user = createUser();
+    createDailyLog(user.id, "2026-03-01", { steps: 9000 });
+
+    const files = unzip(buildUserExportArchive(user.id));
+
+    const manifest = JSON.parse(files["manifest.json"]);
+    assert.equal(manifest.userId, user.id);
+    for (const { name, files: entityFiles } of manifest.entities) {
+      assert.deepEqual(entityFiles, [`${name}.json`, `${name}.csv`]);
+      assert.ok(`${name}.json` in files && `${name}.csv` in files);
+    }
+
+    const [profile] = JSON.parse(files["profile.json"]);
+    assert.equal(profile.email, user.email);
+    assert.ok(!("password_hash" in profile));
+    assert.ok(!files["profile.csv"].includes("password_hash"));
+
+    const logs = JSON.parse(files["daily_logs.json"]);
+    assert.deepEqual(
+      logs.map((l) => [l.log_date, l.steps]),
+      [["2026-03-01", 9000]]
+    );
+  });
+});
+
+describe("getExportRetryAfterSeconds", () => {
+  it("allows a limited number of exports per 24 hours", () => {
+    const user = createUser();
+    const now = new Date("2026-03-10T12:00:00Z");
+    const firstExportAt = new Date("2026-03-10T02:00:00Z");
+
+    logDataExport(user.id, { sizeBytes: 100 }, firstExportAt);
+    for (let i = 1; i < EXPORT_LIMIT - 1; i++) logDataExport(user.id, { sizeBytes: 100 }, now);
+    assert.equal(getExportRetryAfterSeconds(user.id, now), 0);
+
+    logDataExport(user.id, { sizeBytes: 100 }, now);
+    // The oldest export leaves the window 14 hours from now
+    assert.equal(getExportRetryAfterSeconds(user.id, now), 14 * 60 * 60);
+  });
+});
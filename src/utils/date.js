@@ -1,10 +1,11 @@
 /**
- * Returns today's date (YYYY-MM-DD) in the given IANA timezone.
+ * Returns today's date (YYYY-MM-DD) in the given IANA timezone, or the local
+ * date of `date` when given.
  * Falls back to UTC if timezone is invalid or not provided.
  *
  * Uses "en-CA" locale which natively formats as YYYY-MM-DD.
  */
-export function getTodayForTimezone(timezone) {
+export function getTodayForTimezone(timezone, date = new Date()) {
   try {
     if (!timezone) throw new Error("no timezone");
     const formatter = new Intl.DateTimeFormat("en-CA", {
@@ -13,8 +14,62 @@ export function getTodayForTimezone(timezone) {
       month: "2-digit",
       day: "2-digit",
     });
-    return formatter.format(new Date());
+    return formatter.format(date);
   } catch {
-    return new Date().toISOString().slice(0, 10);
+    return date.toISOString().slice(0, 10);
   }
 }
+
+/**
+ * Returns true if the given string is an IANA timezone Intl recognises.
+ */
+export function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Returns the current local time (HH:MM, 24-hour) in the given IANA timezone,
+ * or the local time of `date` when given.
+ * Falls back to UTC if timezone is invalid or not provided.
+ */
+export function getLocalTimeForTimezone(timezone, date = new Date()) {
+  try {
+    if (!timezone) throw new Error("no timezone");
+    const formatter = new Intl.DateTimeFormat("en-GB", {
+      timeZone: timezone,
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    });
+    return formatter.format(date);
+  } catch {
+    return date.toISOString().slice(11, 16);
+  }
+}
+
+/**
+ * Converts an HH:MM string to minutes since midnight.
+ */
+export function timeToMinutes(hhmm) {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+}
+
+/**
+ * Adds N days to a YYYY-MM-DD date string and returns the result as YYYY-MM-DD.
+ */
+export function addDays(dateStr, days) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  const date = new Date(y, m - 1, d);
+  date.setDate(date.getDate() + days);
+  const yyyy = date.getFullYear();
+  const mm = String(date.getMonth() + 1).padStart(2, "0");
+  const dd = String(date.getDate()).padStart(2, "0");
+  return `${yyyy}-${mm}-${dd}`;
+}
@@ -0,0 +1,116 @@
+/**
+ * Adaptive Goal Suggestions
+ *
+ * Looks at the last 14 complete days of daily_logs (ending yesterday) and
+ * suggests raising a goal the user keeps beating or easing one they keep
+ * missing. Days are judged against the current goal, so once a suggestion is
+ * accepted the same goal is not suggested again until the user beats (or
+ * misses) the new value. Suggestions are recomputed on every request, so
+ * accepting one always applies what the current data supports.
+ */
+
+import db from "../db/index.js";
+import { getTodayForTimezone, addDays } from "./date.js";
+import { GOAL_BOUNDS, getCurrentGoals } from "./goals.js";
+
+const SUGGESTION_WINDOW_DAYS = 14;
+
+// Fewer logged days than this is not enough evidence to suggest anything
+const MIN_LOGGED_DAYS = 7;
+
+// Hit-rate (of logged days) at or above which a goal is raised / at or below which it is eased
+const RAISE_HIT_RATE = 0.85;
+const EASE_HIT_RATE = 0.3;
+
+/**
+ * Goals that can be adjusted. `step` is how far one suggestion moves the goal.
+ * Sleep goals are left alone: easing them would not be healthy advice.
+ */
+const SUGGESTIBLE_GOALS = {
+  daily_steps: { column: "steps", step: 1000, label: "daily steps" },
+  hydration_glasses: { column: "hydration_glasses", step: 1, label: "glasses of water" },
+  vegetables_per_day: { column: "vegetables_count", step: 1, label: "vegetable servings" },
+};
+
+function clampGoal(field, value) {
+  const { min, max } = GOAL_BOUNDS[field];
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Returns the suggestion for one goal, or null if the goal should stay as it is.
+ */
+function buildSuggestion(field, logs, currentValue) {
+  const { column, step, label } = SUGGESTIBLE_GOALS[field];
+  const values = logs.map((l) => l[column]).filter((v) => v != null);
+
+  if (values.length < MIN_LOGGED_DAYS) return null;
+
+  const hits = values.filter((v) => v >= currentValue).length;
+  const hitRate = hits / values.length;
+  const average = values.reduce((sum, v) => sum + v, 0) / values.length;
+
+  let direction;
+  let suggestedValue;
+  if (hitRate >= RAISE_HIT_RATE && average > currentValue) {
+    direction = "raise";
+    suggestedValue = clampGoal(field, currentValue + step);
+  } else if (hitRate <= EASE_HIT_RATE) {
+    direction = "ease";
+    suggestedValue = clampGoal(field, currentValue - step);
+  } else {
+    return null;
+  }
+
+  if (suggestedValue === currentValue) return null;
+
+  const reason =
+    direction === "raise"
+      ? `You hit your ${label} goal on ${hits} of the last ${values.length} days you logged. Ready for a little more?`
+      : `You hit your ${label} goal on ${hits} of the last ${values.length} days you logged. A smaller goal may be easier to keep.`;
+
+  return {
+    goal: field,
+    direction,
+    currentValue,
+    suggestedValue,
+    reason,
+    stats: {
+      daysLogged: values.length,
+      daysHit: hits,
+      hitRate: Math.round(hitRate * 100),
+      average: Math.round(average * 10) / 10,
+    },
+  };
+}
+
+/**
+ * Builds goal suggestions for the user from the last SUGGESTION_WINDOW_DAYS
+ * complete days.
+ *
+ * @returns {{ from: string, to: string, suggestions: object[] }|null}
+ *   null if the user has not set up goals yet
+ */
+function buildGoalSuggestions(userId, timezone) {
+  const current = getCurrentGoals(userId);
+  if (!current) return null;
+
+  const to = addDays(getTodayForTimezone(timezone), -1);
+  const from = addDays(to, -(SUGGESTION_WINDOW_DAYS - 1));
+
+  const logs = db
+    .prepare(
+      `SELECT * FROM daily_logs
+       WHERE user_id = ? AND log_date BETWEEN ? AND ?
+       ORDER BY log_date ASC`
+    )
+    .all(userId, from, to);
+
+  const suggestions = Object.keys(SUGGESTIBLE_GOALS)
+    .map((field) => buildSuggestion(field, logs, current[field]))
+    .filter(Boolean);
+
+  return { from, to, suggestions };
+}
+
+export { SUGGESTIBLE_GOALS, buildGoalSuggestions };
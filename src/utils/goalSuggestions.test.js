@@ -0,0 +1,75 @@
+import { createDailyLog, createHabitsConfig, createUser, daysAgo } from "../test/helpers.js";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { buildGoalSuggestions } from "./goalSuggestions.js";
+
+/**
+ * Creates a user with the given goals and one log per entry of `days`, logged
+ * on consecutive days ending yesterday.
+ */
+function createUserWithLogs(goals, days) {
+  const user = createUser();
+  createHabitsConfig(user.id, goals);
+  days.forEach((values, i) => createDailyLog(user.id, daysAgo(i + 1), values));
+  return user;
+}
+
+const repeat = (count, values) => Array.from({ length: count }, () => values);
+
+describe("buildGoalSuggestions", () => {
+  it("returns null until goals are set up", () => {
+    assert.equal(buildGoalSuggestions(createUser().id, "UTC"), null);
+  });
+
+  it("suggests raising a goal the user keeps beating", () => {
+    const user = createUserWithLogs({ daily_steps: 8000 }, [
+      ...repeat(7, { steps: 9500 }),
+      { steps: 7000 },
+    ]);
+
+    const { from, to, suggestions } = buildGoalSuggestions(user.id, "UTC");
+
+    assert.equal(from, daysAgo(14));
+    assert.equal(to, daysAgo(1));
+    assert.equal(suggestions.length, 1);
+
+    const { reason, ...suggestion } = suggestions[0];
+    assert.match(reason, /7 of the last 8 days/);
+    assert.deepEqual(suggestion, {
+      goal: "daily_steps",
+      direction: "raise",
+      currentValue: 8000,
+      suggestedValue: 9000,
+      stats: { daysLogged: 8, daysHit: 7, hitRate: 88, average: 9187.5 },
+    });
+  });
+
+  it("suggests easing a goal the user keeps missing", () => {
+    const user = createUserWithLogs({ hydration_glasses: 8 }, [
+      ...repeat(6, { hydration_glasses: 5 }),
+      { hydration_glasses: 8 },
+    ]);
+
+    const [suggestion] = buildGoalSuggestions(user.id, "UTC").suggestions;
+
+    assert.equal(suggestion.goal, "hydration_glasses");
+    assert.equal(suggestion.direction, "ease");
+    assert.equal(suggestion.suggestedValue, 7);
+  });
+
+  it("waits for a week of logged days", () => {
+    const user = createUserWithLogs({ hydration_glasses: 8 }, repeat(6, { hydration_glasses: 2 }));
+
+    assert.deepEqual(buildGoalSuggestions(user.id, "UTC").suggestions, []);
+  });
+
+  it("ignores today's log and stays within the goal bounds", () => {
+    const user = createUserWithLogs(
+      { vegetables_per_day: 10 },
+      repeat(7, { vegetables_count: 12 })
+    );
+    createDailyLog(user.id, daysAgo(0), { vegetables_count: 0 });
+
+    assert.deepEqual(buildGoalSuggestions(user.id, "UTC").suggestions, []);
+  });
+});
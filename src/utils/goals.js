@@ -0,0 +1,168 @@
+/**
+ * Habit Goals and Goal History
+ *
+ * habits_config holds the user's current goals. Every change is also recorded in
+ * habits_config_history with the local date it takes effect, so past days are
+ * judged against the goals that applied on that day rather than today's goals.
+ */
+
+import { v4 as uuidv4 } from "uuid";
+import db from "../db/index.js";
+import { getTodayForTimezone } from "./date.js";
+
+const GOAL_FIELDS = [
+  "daily_steps",
+  "hydration_glasses",
+  "sleep_hours_min",
+  "sleep_hours_max",
+  "movement_preference",
+  "vegetables_per_day",
+];
+
+const MOVEMENT_PREFERENCES = ["chair_exercises", "walking", "jumping_jacks"];
+
+/**
+ * Safe bounds for user-editable numeric goals (inclusive).
+ */
+const GOAL_BOUNDS = {
+  daily_steps: { min: 1000, max: 50000 },
+  hydration_glasses: { min: 1, max: 20 },
+  sleep_hours_min: { min: 4, max: 12 },
+  sleep_hours_max: { min: 4, max: 12 },
+  vegetables_per_day: { min: 1, max: 10 },
+};
+
+/**
+ * Records the goals that apply from effectiveDate (YYYY-MM-DD) onward.
+ * A second change on the same day replaces that day's entry.
+ */
+function recordGoalChange(userId, effectiveDate, goals) {
+  db.prepare(
+    `INSERT INTO habits_config_history
+       (id, user_id, effective_date, daily_steps, hydration_glasses, sleep_hours_min,
+        sleep_hours_max, movement_preference, vegetables_per_day, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(user_id, effective_date) DO UPDATE SET
+       daily_steps         = excluded.daily_steps,
+       hydration_glasses   = excluded.hydration_glasses,
+       sleep_hours_min     = excluded.sleep_hours_min,
+       sleep_hours_max     = excluded.sleep_hours_max,
+       movement_preference = excluded.movement_preference,
+       vegetables_per_day  = excluded.vegetables_per_day,
+       created_at          = excluded.created_at`
+  ).run(
+    uuidv4(),
+    userId,
+    effectiveDate,
+    goals.daily_steps,
+    goals.hydration_glasses,
+    goals.sleep_hours_min,
+    goals.sleep_hours_max,
+    goals.movement_preference,
+    goals.vegetables_per_day,
+    new Date().toISOString()
+  );
+}
+
+/**
+ * Returns the user's current goals from habits_config, or undefined if not set up.
+ */
+function getCurrentGoals(userId) {
+  return db
+    .prepare(`SELECT ${GOAL_FIELDS.join(", ")} FROM habits_config WHERE user_id = ?`)
+    .get(userId);
+}
+
+/**
+ * Returns a function mapping a YYYY-MM-DD date to the goals in effect on that
+ * day, loading the user's goal history once. Dates before the first recorded
+ * change use the earliest entry; users without history use habits_config.
+ */
+function getGoalResolver(userId) {
+  const history = db
+    .prepare(
+      `SELECT effective_date, ${GOAL_FIELDS.join(", ")} FROM habits_config_history
+       WHERE user_id = ? ORDER BY effective_date ASC`
+    )
+    .all(userId);
+
+  if (history.length === 0) {
+    const current = getCurrentGoals(userId);
+    return () => current;
+  }
+
+  return (dateStr) => {
+    let goals = history[0];
+    for (const entry of history) {
+      if (entry.effective_date > dateStr) break;
+      goals = entry;
+    }
+    return goals;
+  };
+}
+
+/**
+ * Returns the goals in effect for the user on the given date.
+ */
+function getGoalsForDate(userId, dateStr) {
+  const entry = db
+    .prepare(
+      `SELECT ${GOAL_FIELDS.join(", ")} FROM habits_config_history
+       WHERE user_id = ? AND effective_date <= ?
+       ORDER BY effective_date DESC LIMIT 1`
+    )
+    .get(userId, dateStr);
+
+  if (entry) return entry;
+
+  return getGoalResolver(userId)(dateStr);
+}
+
+/**
+ * Applies goal updates to habits_config and records them in the history as
+ * effective from today in the given timezone. The first change also preserves
+ * the previous goals (from habits_config.created_at) so earlier days keep them.
+ *
+ * Callers validate updates against GOAL_BOUNDS beforehand.
+ *
+ * @returns {{ effectiveFrom: string, goals: object }}
+ */
+function updateGoals(userId, timezone, updates) {
+  const current = db
+    .prepare("SELECT * FROM habits_config WHERE user_id = ?")
+    .get(userId);
+  const goals = { ...current, ...updates };
+  const today = getTodayForTimezone(timezone);
+  const now = new Date().toISOString();
+
+  db.transaction(() => {
+    const hasHistory = db
+      .prepare("SELECT 1 FROM habits_config_history WHERE user_id = ? LIMIT 1")
+      .get(userId);
+    if (!hasHistory) {
+      recordGoalChange(userId, current.created_at.slice(0, 10), current);
+    }
+
+    const setClause = Object.keys(updates)
+      .map((k) => `${k} = ?`)
+      .join(", ");
+    db.prepare(
+      `UPDATE habits_config SET ${setClause}, updated_at = ? WHERE user_id = ?`
+    ).run(...Object.values(updates), now, userId);
+
+    recordGoalChange(userId, today, goals);
+  })();
+
+  return { effectiveFrom: today, goals: getCurrentGoals(userId) };
+}
+
+export {
+  GOAL_FIELDS,
+  GOAL_BOUNDS,
+  MOVEMENT_PREFERENCES,
+  recordGoalChange,
+  getCurrentGoals,
+  getGoalResolver,
+  getGoalsForDate,
+  updateGoals,
+};
@@ -0,0 +1,55 @@
+import { createHabitsConfig, createUser } from "../test/helpers.js";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { getCurrentGoals, getGoalResolver, getGoalsForDate, recordGoalChange } from "./goals.js";
+
+/**
+ * Creates a user whose step goal was 6000 from March 1st and 9000 from March 10th.
+ */
+function createUserWithGoalHistory() {
+  const user = createUser();
+  createHabitsConfig(user.id, { daily_steps: 9000 });
+  const goals = getCurrentGoals(user.id);
+  recordGoalChange(user.id, "2026-03-01", { ...goals, daily_steps: 6000 });
+  recordGoalChange(user.id, "2026-03-10", goals);
+  return user;
+}
+
+describe("getGoalResolver", () => {
+  it("uses the current goals for users without history", () => {
+    const user = createUser();
+    createHabitsConfig(user.id, { daily_steps: 7000 });
+
+    assert.equal(getGoalResolver(user.id)("2026-03-01").daily_steps, 7000);
+  });
+
+  it("returns the goals in effect on each date", () => {
+    const user = createUserWithGoalHistory();
+    const goalsFor = getGoalResolver(user.id);
+
+    assert.equal(goalsFor("2026-02-01").daily_steps, 6000);
+    assert.equal(goalsFor("2026-03-09").daily_steps, 6000);
+    assert.equal(goalsFor("2026-03-10").daily_steps, 9000);
+    assert.equal(goalsFor("2026-04-01").daily_steps, 9000);
+  });
+});
+
+describe("getGoalsForDate", () => {
+  it("agrees with the resolver", () => {
+    const user = createUserWithGoalHistory();
+    const goalsFor = getGoalResolver(user.id);
+
+    for (const date of ["2026-02-01", "2026-03-09", "2026-03-10"]) {
+      assert.equal(getGoalsForDate(user.id, date).daily_steps, goalsFor(date).daily_steps);
+    }
+  });
+
+  it("replaces an earlier change made on the same day", () => {
+    const user = createUserWithGoalHistory();
+    const goals = getCurrentGoals(user.id);
+
+    recordGoalChange(user.id, "2026-03-10", { ...goals, daily_steps: 12000 });
+
+    assert.equal(getGoalsForDate(user.id, "2026-03-10").daily_steps, 12000);
+  });
+});
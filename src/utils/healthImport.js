@@ -0,0 +1,171 @@
+/**
+ * Health Data Import Parsing
+ *
+ * Turns a wearable export (JSON readings or CSV text) into one validated
+ * reading per day: { date, steps?, sleepHours? }. Each row is a daily total, so
+ * a date that appears twice in the same import is rejected rather than added up.
+ *
+ * CSV needs a header row with a "date" column and at least one of "steps" or
+ * "sleep_hours" (also accepted: "sleephours", "sleep"). Other columns are ignored.
+ * Fields are read as RFC 4180: quoted fields may contain commas, line breaks
+ * and doubled quotes ("").
+ */
+
+const MAX_IMPORT_ROWS = 1000;
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const CSV_COLUMN_ALIASES = {
+  date: "date",
+  steps: "steps",
+  sleep_hours: "sleepHours",
+  sleephours: "sleepHours",
+  sleep: "sleepHours",
+};
+
+/**
+ * Returns true for a real calendar date in YYYY-MM-DD format.
+ */
+function isValidDate(value) {
+  if (typeof value !== "string" || !DATE_REGEX.test(value)) return false;
+  const [y, m, d] = value.split("-").map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d));
+  return date.getUTCFullYear() === y && date.getUTCMonth() === m - 1 && date.getUTCDate() === d;
+}
+
+/**
+ * Splits CSV text into records of fields following RFC 4180. A quote only
+ * opens a quoted field at the start of the field. Blank lines are skipped.
+ * Throws an Error with a user-facing message if a quoted field is never closed.
+ *
+ * @returns {string[][]}
+ */
+function splitCsvRecords(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+
+  const endField = () => {
+    record.push(field.trim());
+    field = "";
+  };
+  const endRecord = () => {
+    endField();
+    if (record.length > 1 || record[0] !== "") records.push(record);
+    record = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char !== '"') {
+        field += char;
+      } else if (text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"' && field.trim() === "") {
+      quoted = true;
+      field = "";
+    } else if (char === ",") {
+      endField();
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error("CSV import has a quoted field that is never closed.");
+  }
+  endRecord();
+
+  return records;
+}
+
+/**
+ * Parses CSV text into raw row objects keyed by date/steps/sleepHours.
+ * Throws an Error with a user-facing message if the CSV or its header is unusable.
+ */
+function parseImportCsv(text) {
+  const records = splitCsvRecords(text);
+
+  if (records.length === 0) {
+    throw new Error("CSV import is empty.");
+  }
+
+  const header = records[0].map((h) => CSV_COLUMN_ALIASES[h.toLowerCase()] ?? null);
+
+  if (!header.includes("date") || !(header.includes("steps") || header.includes("sleepHours"))) {
+    throw new Error('CSV header must include "date" and at least one of "steps" or "sleep_hours".');
+  }
+
+  return records.slice(1).map((cells) => {
+    const row = {};
+    header.forEach((key, i) => {
+      if (key && cells[i] !== undefined && cells[i] !== "") row[key] = cells[i];
+    });
+    return row;
+  });
+}
+
+/**
+ * Validates raw rows (from JSON or CSV) and returns:
+ *   readings: [{ date, steps?, sleepHours? }] — at most one per date, in date order
+ *   rejected: [{ row, date, reason }] — 1-based row numbers of unusable rows
+ *
+ * maxSteps caps a single day's steps (the step source's limit), if given.
+ */
+function normaliseImportRows(rows, { maxSteps } = {}) {
+  const readings = new Map();
+  const rejected = [];
+
+  rows.forEach((raw, index) => {
+    const row = index + 1;
+    const date = raw?.date ?? null;
+    const reject = (reason) => rejected.push({ row, date, reason });
+
+    if (!isValidDate(date)) return reject("date must be a valid date in YYYY-MM-DD format.");
+    if (readings.has(date)) return reject("Duplicate date in import.");
+
+    const reading = { date };
+
+    if (raw.steps != null) {
+      const steps = Number(raw.steps);
+      if (!Number.isInteger(steps) || steps < 0) {
+        return reject("steps must be a non-negative integer.");
+      }
+      if (maxSteps != null && steps > maxSteps) {
+        return reject(`steps cannot exceed ${maxSteps.toLocaleString()} per day for this source.`);
+      }
+      reading.steps = steps;
+    }
+
+    if (raw.sleepHours != null) {
+      const hours = Number(raw.sleepHours);
+      if (!Number.isFinite(hours) || hours < 0 || hours > 24) {
+        return reject("sleepHours must be a number between 0 and 24.");
+      }
+      reading.sleepHours = Math.round(hours * 10) / 10;
+    }
+
+    if (reading.steps === undefined && reading.sleepHours === undefined) {
+      return reject("Row has no steps or sleepHours.");
+    }
+
+    readings.set(date, reading);
+  });
+
+  return {
+    readings: [...readings.values()].sort((a, b) => a.date.localeCompare(b.date)),
+    rejected,
+  };
+}
+
+export { MAX_IMPORT_ROWS, parseImportCsv, normaliseImportRows };
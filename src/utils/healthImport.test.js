@@ -0,0 +1,84 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { normaliseImportRows, parseImportCsv } from "./healthImport.js";
+
+describe("parseImportCsv", () => {
+  it("maps header aliases case-insensitively and ignores other columns", () => {
+    const csv = "Date,Steps,Sleep,Device\r\n2026-03-01,8000,7.5,watch\r\n\r\n2026-03-02,,6,watch\r\n";
+
+    assert.deepEqual(parseImportCsv(csv), [
+      { date: "2026-03-01", steps: "8000", sleepHours: "7.5" },
+      { date: "2026-03-02", sleepHours: "6" },
+    ]);
+  });
+
+  it("reads quoted fields with commas, doubled quotes and line breaks", () => {
+    const csv =
+      'date,steps,notes,sleep_hours\n' +
+      '"2026-03-01","12,000","said ""hi""\nto a friend",7\n' +
+      '2026-03-02,9000,"a, b",6.5\n';
+
+    assert.deepEqual(parseImportCsv(csv), [
+      { date: "2026-03-01", steps: "12,000", sleepHours: "7" },
+      { date: "2026-03-02", steps: "9000", sleepHours: "6.5" },
+    ]);
+  });
+
+  it("rejects a quoted field that is never closed", () => {
+    assert.throws(
+      () => parseImportCsv('date,steps\n2026-03-01,"8000\n2026-03-02,9000\n'),
+      /never closed/
+    );
+  });
+
+  it("rejects empty imports and unusable headers", () => {
+    assert.throws(() => parseImportCsv("\n\n"), /empty/);
+    assert.throws(() => parseImportCsv("date,heart_rate\n2026-03-01,60"), /CSV header/);
+  });
+});
+
+describe("normaliseImportRows", () => {
+  it("returns one reading per date in date order", () => {
+    const { readings, rejected } = normaliseImportRows([
+      { date: "2026-03-02", steps: "9000" },
+      { date: "2026-03-01", steps: 8000, sleepHours: 7.26 },
+    ]);
+
+    assert.deepEqual(readings, [
+      { date: "2026-03-01", steps: 8000, sleepHours: 7.3 },
+      { date: "2026-03-02", steps: 9000 },
+    ]);
+    assert.deepEqual(rejected, []);
+  });
+
+  it("rejects unusable rows with their 1-based row number", () => {
+    const { readings, rejected } = normaliseImportRows(
+      [
+        { date: "2026-02-30", steps: 1000 },
+        { date: "2026-03-01", steps: 1000 },
+        { date: "2026-03-01", steps: 2000 },
+        { date: "2026-03-02", steps: -5 },
+        { date: "2026-03-03", steps: 60000 },
+        { date: "2026-03-04", sleepHours: 25 },
+        { date: "2026-03-05" },
+        null,
+      ],
+      { maxSteps: 50000 }
+    );
+
+    assert.deepEqual(readings, [{ date: "2026-03-01", steps: 1000 }]);
+    assert.deepEqual(
+      rejected.map(({ row, date }) => [row, date]),
+      [
+        [1, "2026-02-30"],
+        [3, "2026-03-01"],
+        [4, "2026-03-02"],
+        [5, "2026-03-03"],
+        [6, "2026-03-04"],
+        [7, "2026-03-05"],
+        [8, null],
+      ]
+    );
+    assert.equal(rejected[1].reason, "Duplicate date in import.");
+  });
+});
@@ -0,0 +1,57 @@
+import { createUser } from "../test/helpers.js";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import db from "../db/index.js";
+import { checkAndApplyEvolution } from "./mascot.js";
+
+const getBadgeTypes = (userId) =>
+  db
+    .prepare("SELECT badge_type FROM badges WHERE user_id = ? ORDER BY badge_type")
+    .all(userId)
+    .map((b) => b.badge_type);
+
+/**
+ * Creates a user with the stage 1 mascot of the "normal" BMI category.
+ */
+function createUserWithMascot() {
+  return createUser({
+    bmi_category: "normal",
+    mascot_id: 2,
+    mascot_name: "Energetic Fox",
+    mascot_stage: 1,
+  });
+}
+
+describe("checkAndApplyEvolution", () => {
+  it("evolves the mascot when level 5 is reached", () => {
+    const user = createUserWithMascot();
+
+    const evolution = checkAndApplyEvolution(user.id, 4, 5);
+
+    assert.deepEqual(evolution.newMascot, { id: 21, name: "Swift Fox", stage: 2 });
+    assert.equal(evolution.badgeType, "evolution_5");
+    assert.deepEqual(getBadgeTypes(user.id), ["evolution_5"]);
+
+    const { mascot_stage } = db
+      .prepare("SELECT mascot_stage FROM users WHERE id = ?")
+      .get(user.id);
+    assert.equal(mascot_stage, 2);
+  });
+
+  it("awards both badges when a level-up skips past level 10", () => {
+    const user = createUserWithMascot();
+
+    const evolution = checkAndApplyEvolution(user.id, 3, 11);
+
+    assert.equal(evolution.newMascot.stage, 3);
+    assert.equal(evolution.evolutionLevel, 10);
+    assert.deepEqual(getBadgeTypes(user.id), ["champion", "evolution_5"]);
+  });
+
+  it("does nothing for level-ups within a stage", () => {
+    const user = createUserWithMascot();
+
+    assert.equal(checkAndApplyEvolution(user.id, 2, 3), null);
+    assert.deepEqual(getBadgeTypes(user.id), []);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Notification Preferences
+ *
+ * Each user has at most one notifications_config row. A default row is created
+ * when onboarding completes. Accounts that finished onboarding before the row
+ * existed read as NOTIFICATION_DEFAULTS; writers call ensureNotificationsConfig
+ * before updating.
+ */
+
+import { v4 as uuidv4 } from "uuid";
+import db from "../db/index.js";
+
+const NOTIFICATION_TOGGLES = [
+  "email_enabled",
+  "push_enabled",
+  "daily_reminder_enabled",
+  "team_updates_enabled",
+  "challenge_updates_enabled",
+];
+
+// Mirrors the notifications_config column defaults
+const NOTIFICATION_DEFAULTS = {
+  email_enabled: 1,
+  push_enabled: 0,
+  daily_reminder_enabled: 1,
+  reminder_time: "08:00",
+  team_updates_enabled: 1,
+  challenge_updates_enabled: 1,
+  updated_at: null,
+};
+
+/**
+ * Creates the user's default notifications_config row if it doesn't exist yet.
+ * Safe to call inside or outside a transaction.
+ */
+function ensureNotificationsConfig(userId) {
+  const now = new Date().toISOString();
+  db.prepare(
+    `INSERT OR IGNORE INTO notifications_config (id, user_id, created_at, updated_at)
+     VALUES (?, ?, ?, ?)`
+  ).run(uuidv4(), userId, now, now);
+}
+
+/**
+ * Returns the user's notification preferences, or NOTIFICATION_DEFAULTS if the
+ * row doesn't exist yet. Never writes.
+ */
+function getNotificationsConfig(userId) {
+  const config = db
+    .prepare("SELECT * FROM notifications_config WHERE user_id = ?")
+    .get(userId);
+  return config ?? { ...NOTIFICATION_DEFAULTS, user_id: userId };
+}
+
+/**
+ * Formats a notifications_config row for API responses (toggles as booleans).
+ */
+function formatNotificationsConfig(config) {
+  const formatted = { reminder_time: config.reminder_time };
+  for (const key of NOTIFICATION_TOGGLES) {
+    formatted[key] = config[key] === 1;
+  }
+  formatted.updated_at = config.updated_at;
+  return formatted;
+}
+
+export {
+  NOTIFICATION_TOGGLES,
+  ensureNotificationsConfig,
+  getNotificationsConfig,
+  formatNotificationsConfig,
+};
@@ -0,0 +1,201 @@
+/**
+ * Auth Rate Limiting
+ *
+ * Two mechanisms, both stored in SQLite so they survive restarts and are
+ * shared by every API instance using the same database:
+ *
+ *   - Sliding-window request limits per action, keyed on the client IP and on
+ *     the normalised email address (rate_limit_hits). See RATE_LIMITS.
+ *   - Login lockout: after LOGIN_MAX_FAILURES consecutive failed logins for an
+ *     email, further logins are refused for a lockout period that doubles with
+ *     every lockout (capped at LOGIN_LOCKOUT_MAX_MS). Every lockout is recorded
+ *     in login_lockout_events for review. The failure history is forgotten
+ *     after a successful login, or LOGIN_FAILURE_RESET_MS after the last failure.
+ *
+ * Emails are tracked whether or not an account exists, so lockouts don't
+ * reveal which addresses are registered.
+ */
+
+import { v4 as uuidv4 } from "uuid";
+import db from "../db/index.js";
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+/**
+ * Request limits per action and key type: at most `limit` requests per
+ * `windowMs`.
+ */
+const RATE_LIMITS = {
+  login: {
+    ip: { limit: 30, windowMs: 15 * MINUTE_MS },
+  },
+  "login-2fa": {
+    ip: { limit: 30, windowMs: 15 * MINUTE_MS },
+  },
+  "forgot-password": {
+    ip: { limit: 10, windowMs: HOUR_MS },
+    email: { limit: 3, windowMs: HOUR_MS },
+  },
+  "resend-verification": {
+    ip: { limit: 10, windowMs: HOUR_MS },
+    email: { limit: 3, windowMs: HOUR_MS },
+  },
+  "magic-link": {
+    ip: { limit: 10, windowMs: HOUR_MS },
+    email: { limit: 3, windowMs: HOUR_MS },
+  },
+  // Authenticated endpoints that re-check the account password
+  "password-confirm": {
+    ip: { limit: 30, windowMs: 15 * MINUTE_MS },
+    email: { limit: 10, windowMs: 15 * MINUTE_MS },
+  },
+};
+
+const LONGEST_WINDOW_MS = Math.max(
+  ...Object.values(RATE_LIMITS).flatMap((limits) =>
+    Object.values(limits).map((l) => l.windowMs)
+  )
+);
+
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCKOUT_BASE_MS = MINUTE_MS;
+const LOGIN_LOCKOUT_MAX_MS = 24 * HOUR_MS;
+const LOGIN_FAILURE_RESET_MS = 24 * HOUR_MS;
+
+function secondsUntil(timeMs, now) {
+  return Math.max(1, Math.ceil((timeMs - now.getTime()) / 1000));
+}
+
+/**
+ * Checks the request limits for an action and, if none is exceeded, records
+ * the request against each key.
+ *
+ * @param {string} action - Key of RATE_LIMITS
+ * @param {{ ip?: string|null, email?: string|null }} keys
+ * @returns {number} Seconds until the request would be allowed, or 0 if it
+ *   was allowed (and recorded)
+ */
+function consumeRateLimit(action, keys, now = new Date()) {
+  const limits = RATE_LIMITS[action];
+  const applicable = Object.entries(limits).filter(([keyType]) => keys[keyType]);
+
+  let retryAfter = 0;
+  for (const [keyType, { limit, windowMs }] of applicable) {
+    const hits = db
+      .prepare(
+        `SELECT created_at FROM rate_limit_hits
+         WHERE action = ? AND key_type = ? AND key = ? AND created_at > ?
+         ORDER BY created_at ASC`
+      )
+      .all(action, keyType, keys[keyType], new Date(now.getTime() - windowMs).toISOString());
+
+    if (hits.length >= limit) {
+      // Allowed again once enough of the oldest hits have left the window
+      const freedAt = new Date(hits[hits.length - limit].created_at).getTime() + windowMs;
+      retryAfter = Math.max(retryAfter, secondsUntil(freedAt, now));
+    }
+  }
+
+  if (retryAfter > 0) return retryAfter;
+
+  const insert = db.prepare(
+    `INSERT INTO rate_limit_hits (id, action, key_type, key, created_at)
+     VALUES (?, ?, ?, ?, ?)`
+  );
+  db.transaction(() => {
+    for (const [keyType] of applicable) {
+      insert.run(uuidv4(), action, keyType, keys[keyType], now.toISOString());
+    }
+    db.prepare("DELETE FROM rate_limit_hits WHERE created_at <= ?").run(
+      new Date(now.getTime() - LONGEST_WINDOW_MS).toISOString()
+    );
+  })();
+
+  return 0;
+}
+
+/**
+ * Returns the seconds remaining on the email's login lockout, or 0 if it
+ * isn't locked out.
+ */
+function getLoginLockoutSeconds(email, now = new Date()) {
+  const row = db
+    .prepare("SELECT locked_until FROM login_failures WHERE email = ?")
+    .get(email);
+
+  if (!row?.locked_until || new Date(row.locked_until) <= now) return 0;
+  return secondsUntil(new Date(row.locked_until).getTime(), now);
+}
+
+/**
+ * Records a failed login for the email. Locks the email out once it reaches
+ * LOGIN_MAX_FAILURES consecutive failures, doubling the lockout each time.
+ *
+ * @param {string} email - Normalised email address
+ * @param {{ userId?: string|null, ipAddress?: string|null }} context
+ * @returns {number} Lockout length in seconds if this failure triggered a
+ *   lockout, otherwise 0
+ */
+function recordLoginFailure(email, { userId = null, ipAddress = null } = {}, now = new Date()) {
+  const nowIso = now.toISOString();
+
+  return db.transaction(() => {
+    // Forget stale failure histories (this email's included)
+    db.prepare("DELETE FROM login_failures WHERE last_failed_at <= ?").run(
+      new Date(now.getTime() - LOGIN_FAILURE_RESET_MS).toISOString()
+    );
+
+    const row = db.prepare("SELECT * FROM login_failures WHERE email = ?").get(email);
+    const failedAttempts = (row?.failed_attempts ?? 0) + 1;
+    const lockoutCount = row?.lockout_count ?? 0;
+
+    if (failedAttempts < LOGIN_MAX_FAILURES) {
+      db.prepare(
+        `INSERT INTO login_failures (email, failed_attempts, lockout_count, last_failed_at)
+         VALUES (?, ?, ?, ?)
+         ON CONFLICT(email) DO UPDATE SET
+           failed_attempts = excluded.failed_attempts,
+           last_failed_at = excluded.last_failed_at`
+      ).run(email, failedAttempts, lockoutCount, nowIso);
+      return 0;
+    }
+
+    const lockoutMs = Math.min(LOGIN_LOCKOUT_BASE_MS * 2 ** lockoutCount, LOGIN_LOCKOUT_MAX_MS);
+    const lockedUntil = new Date(now.getTime() + lockoutMs).toISOString();
+
+    db.prepare(
+      `INSERT INTO login_failures (email, failed_attempts, lockout_count, locked_until, last_failed_at)
+       VALUES (?, 0, ?, ?, ?)
+       ON CONFLICT(email) DO UPDATE SET
+         failed_attempts = 0,
+         lockout_count = excluded.lockout_count,
+         locked_until = excluded.locked_until,
+         last_failed_at = excluded.last_failed_at`
+    ).run(email, lockoutCount + 1, lockedUntil, nowIso);
+
+    db.prepare(
+      `INSERT INTO login_lockout_events
+         (id, email, user_id, ip_address, failed_attempts, lockout_seconds, locked_until, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+    ).run(uuidv4(), email, userId, ipAddress, failedAttempts, lockoutMs / 1000, lockedUntil, nowIso);
+
+    return lockoutMs / 1000;
+  })();
+}
+
+/**
+ * Clears the email's failed-login history after a successful login.
+ */
+function clearLoginFailures(email) {
+  db.prepare("DELETE FROM login_failures WHERE email = ?").run(email);
+}
+
+export {
+  RATE_LIMITS,
+  LOGIN_MAX_FAILURES,
+  consumeRateLimit,
+  getLoginLockoutSeconds,
+  recordLoginFailure,
+  clearLoginFailures,
+};
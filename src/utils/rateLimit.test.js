@@ -0,0 +1,86 @@
+import "../test/helpers.js";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import db from "../db/index.js";
+import {
+  LOGIN_MAX_FAILURES,
+  RATE_LIMITS,
+  clearLoginFailures,
+  consumeRateLimit,
+  getLoginLockoutSeconds,
+  recordLoginFailure,
+} from "./rateLimit.js";
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Records failures until the next one locks the email out, and returns the
+ * lockout length from that last failure.
+ */
+function failUntilLockedOut(email, now) {
+  for (let i = 1; i < LOGIN_MAX_FAILURES; i++) {
+    assert.equal(recordLoginFailure(email, {}, now), 0);
+  }
+  return recordLoginFailure(email, { ipAddress: "10.0.0.1" }, now);
+}
+
+describe("login lockout", () => {
+  it("locks out after LOGIN_MAX_FAILURES failures and doubles each time", () => {
+    const email = "lockout@example.com";
+    const start = new Date("2026-01-01T00:00:00Z");
+
+    assert.equal(failUntilLockedOut(email, start), 60);
+    assert.equal(getLoginLockoutSeconds(email, start), 60);
+    assert.equal(getLoginLockoutSeconds(email, new Date(start.getTime() + MINUTE_MS)), 0);
+
+    const second = new Date(start.getTime() + 2 * MINUTE_MS);
+    assert.equal(failUntilLockedOut(email, second), 120);
+
+    const third = new Date(start.getTime() + 10 * MINUTE_MS);
+    assert.equal(failUntilLockedOut(email, third), 240);
+
+    const { events } = db
+      .prepare("SELECT COUNT(*) AS events FROM login_lockout_events WHERE email = ?")
+      .get(email);
+    assert.equal(events, 3);
+  });
+
+  it("starts over after a successful login", () => {
+    const email = "cleared@example.com";
+    const now = new Date("2026-01-01T00:00:00Z");
+
+    assert.equal(failUntilLockedOut(email, now), 60);
+    clearLoginFailures(email);
+
+    assert.equal(getLoginLockoutSeconds(email, now), 0);
+    assert.equal(failUntilLockedOut(email, now), 60);
+  });
+
+  it("forgets failures a day after the last one", () => {
+    const email = "stale@example.com";
+    const now = new Date("2026-01-01T00:00:00Z");
+
+    for (let i = 1; i < LOGIN_MAX_FAILURES; i++) recordLoginFailure(email, {}, now);
+
+    const nextDay = new Date(now.getTime() + 24 * 60 * MINUTE_MS);
+    assert.equal(recordLoginFailure(email, {}, nextDay), 0);
+  });
+});
+
+describe("consumeRateLimit", () => {
+  it("refuses requests over the per-email limit until the window frees up", () => {
+    const { limit, windowMs } = RATE_LIMITS["forgot-password"].email;
+    const email = "limited@example.com";
+    const now = new Date("2026-01-01T00:00:00Z");
+
+    for (let i = 0; i < limit; i++) {
+      assert.equal(consumeRateLimit("forgot-password", { ip: `10.0.1.${i}`, email }, now), 0);
+    }
+
+    const retryAfter = consumeRateLimit("forgot-password", { ip: "10.0.1.99", email }, now);
+    assert.equal(retryAfter, windowMs / 1000);
+
+    const later = new Date(now.getTime() + windowMs + 1);
+    assert.equal(consumeRateLimit("forgot-password", { ip: "10.0.1.99", email }, later), 0);
+  });
+});
@@ -0,0 +1,247 @@
+/**
+ * Login Sessions
+ *
+ * Each login creates a sessions row and issues two tokens:
+ *   - an access token (bearer token for API requests) that expires after
+ *     ACCESS_TOKEN_TTL_MS
+ *   - a refresh token, exchanged at POST /api/auth/refresh for a new pair.
+ *     Each refresh extends the session to SESSION_TTL_MS from now.
+ *
+ * Only SHA-256 hashes of tokens are stored. Refresh tokens are single-use:
+ * every refresh rotates both tokens, and presenting a refresh token that has
+ * already been used means it was stolen (or replayed), so the whole session
+ * and every token issued for it are revoked.
+ *
+ * Sessions remember the user agent they were created with and the IP address
+ * they were last used from, so users can review their signed-in devices and
+ * revoke them.
+ */
+
+import { createHash, randomBytes } from "crypto";
+import { v4 as uuidv4 } from "uuid";
+import db from "../db/index.js";
+
+const ACCESS_TOKEN_TTL_MS = 15 * 60 * 1000;
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const BROWSERS = [
+  ["Edge", /Edg\//],
+  ["Opera", /OPR\//],
+  ["Chrome", /Chrome\//],
+  ["Firefox", /Firefox\//],
+  ["Safari", /Safari\//],
+];
+
+const OPERATING_SYSTEMS = [
+  ["iOS", /iPhone|iPad|iPod/],
+  ["Android", /Android/],
+  ["Windows", /Windows/],
+  ["macOS", /Mac OS X|Macintosh/],
+  ["Linux", /Linux/],
+];
+
+/**
+ * Returns a short human-readable device label such as "Chrome on Windows",
+ * or null when the user agent is missing or unrecognised.
+ */
+function describeUserAgent(userAgent) {
+  if (!userAgent) return null;
+  const browser = BROWSERS.find(([, re]) => re.test(userAgent))?.[0];
+  const os = OPERATING_SYSTEMS.find(([, re]) => re.test(userAgent))?.[0];
+  if (browser && os) return `${browser} on ${os}`;
+  return browser ?? os ?? null;
+}
+
+/**
+ * Returns the SHA-256 hex digest stored in place of a token.
+ */
+function hashToken(token) {
+  return createHash("sha256").update(token).digest("hex");
+}
+
+function generateToken() {
+  return randomBytes(32).toString("base64url");
+}
+
+/**
+ * Generates a new access/refresh token pair with their expiry times.
+ */
+function generateTokenPair(now) {
+  return {
+    token: generateToken(),
+    expiresAt: new Date(now.getTime() + ACCESS_TOKEN_TTL_MS).toISOString(),
+    refreshToken: generateToken(),
+    refreshExpiresAt: new Date(now.getTime() + SESSION_TTL_MS).toISOString(),
+  };
+}
+
+function insertRefreshToken(sessionId, refreshToken, now) {
+  db.prepare(
+    `INSERT INTO refresh_tokens (id, session_id, token_hash, created_at)
+     VALUES (?, ?, ?, ?)`
+  ).run(uuidv4(), sessionId, hashToken(refreshToken), now.toISOString());
+}
+
+/**
+ * Creates a session for the user, recording the request's user agent and IP.
+ *
+ * @returns {{ id: string, token: string, expiresAt: string, refreshToken: string, refreshExpiresAt: string }}
+ */
+function createSession(userId, req) {
+  const id = uuidv4();
+  const now = new Date();
+  const tokens = generateTokenPair(now);
+
+  db.transaction(() => {
+    db.prepare(
+      `INSERT INTO sessions (id, user_id, token_hash, access_expires_at, expires_at,
+                             last_active_at, created_at, user_agent, ip_address)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    ).run(
+      id,
+      userId,
+      hashToken(tokens.token),
+      tokens.expiresAt,
+      tokens.refreshExpiresAt,
+      now.toISOString(),
+      now.toISOString(),
+      req.get("user-agent") ?? null,
+      req.ip ?? null
+    );
+    insertRefreshToken(id, tokens.refreshToken, now);
+  })();
+
+  return { id, ...tokens };
+}
+
+/**
+ * Returns the sessions row an access token belongs to, or undefined.
+ */
+function getSessionByAccessToken(token) {
+  return db.prepare("SELECT * FROM sessions WHERE token_hash = ?").get(hashToken(token));
+}
+
+/**
+ * Exchanges a refresh token for a new token pair (rotation).
+ *
+ * Returns { status, tokens?, userId? } where status is one of:
+ *   "refreshed" - tokens holds the new pair
+ *   "invalid"   - unknown token
+ *   "expired"   - the session has expired (and has been removed)
+ *   "reused"    - the token was already used; the session has been revoked
+ */
+function refreshSession(refreshToken, ipAddress, now = new Date()) {
+  const record = db
+    .prepare(
+      `SELECT rt.id, rt.used_at, s.id AS session_id, s.user_id, s.expires_at
+       FROM refresh_tokens rt
+       JOIN sessions s ON s.id = rt.session_id
+       WHERE rt.token_hash = ?`
+    )
+    .get(hashToken(refreshToken));
+
+  if (!record) return { status: "invalid" };
+
+  if (record.used_at) {
+    db.prepare("DELETE FROM sessions WHERE id = ?").run(record.session_id);
+    return { status: "reused", userId: record.user_id };
+  }
+
+  if (new Date(record.expires_at) <= now) {
+    db.prepare("DELETE FROM sessions WHERE id = ?").run(record.session_id);
+    return { status: "expired", userId: record.user_id };
+  }
+
+  const tokens = db.transaction(() => {
+    db.prepare("UPDATE refresh_tokens SET used_at = ? WHERE id = ?").run(
+      now.toISOString(),
+      record.id
+    );
+    // Used tokens are kept for reuse detection until they could no longer be valid
+    db.prepare(
+      "DELETE FROM refresh_tokens WHERE session_id = ? AND used_at < ?"
+    ).run(record.session_id, new Date(now.getTime() - SESSION_TTL_MS).toISOString());
+    const pair = generateTokenPair(now);
+    db.prepare(
+      `UPDATE sessions
+       SET token_hash = ?, access_expires_at = ?, expires_at = ?, last_active_at = ?,
+           ip_address = COALESCE(?, ip_address)
+       WHERE id = ?`
+    ).run(
+      hashToken(pair.token),
+      pair.expiresAt,
+      pair.refreshExpiresAt,
+      now.toISOString(),
+      ipAddress,
+      record.session_id
+    );
+    insertRefreshToken(record.session_id, pair.refreshToken, now);
+    return pair;
+  })();
+
+  return { status: "refreshed", tokens, userId: record.user_id };
+}
+
+/**
+ * Returns the user's unexpired sessions, most recently active first.
+ */
+function listSessions(userId) {
+  return db
+    .prepare(
+      `SELECT * FROM sessions
+       WHERE user_id = ? AND expires_at > ?
+       ORDER BY last_active_at DESC`
+    )
+    .all(userId, new Date().toISOString());
+}
+
+/**
+ * Formats a sessions row for API responses. Tokens are never returned.
+ */
+function formatSession(session, currentSessionId) {
+  return {
+    id: session.id,
+    device: describeUserAgent(session.user_agent),
+    userAgent: session.user_agent ?? null,
+    ipAddress: session.ip_address ?? null,
+    createdAt: session.created_at,
+    lastActiveAt: session.last_active_at,
+    expiresAt: session.expires_at,
+    current: session.id === currentSessionId,
+  };
+}
+
+/**
+ * Revokes one of the user's sessions. Returns false if it doesn't exist.
+ */
+function revokeSession(userId, sessionId) {
+  const result = db
+    .prepare("DELETE FROM sessions WHERE id = ? AND user_id = ?")
+    .run(sessionId, userId);
+  return result.changes > 0;
+}
+
+/**
+ * Revokes all of the user's sessions, optionally keeping one (e.g. the
+ * session making the request). Returns the number of sessions revoked.
+ */
+function revokeAllSessions(userId, { exceptSessionId = null } = {}) {
+  const result = db
+    .prepare("DELETE FROM sessions WHERE user_id = ? AND id IS NOT ?")
+    .run(userId, exceptSessionId);
+  return result.changes;
+}
+
+export {
+  ACCESS_TOKEN_TTL_MS,
+  SESSION_TTL_MS,
+  describeUserAgent,
+  hashToken,
+  createSession,
+  getSessionByAccessToken,
+  refreshSession,
+  listSessions,
+  formatSession,
+  revokeSession,
+  revokeAllSessions,
+};
@@ -0,0 +1,69 @@
+import { createUser, loginAs } from "../test/helpers.js";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import db from "../db/index.js";
+import {
+  SESSION_TTL_MS,
+  getSessionByAccessToken,
+  refreshSession,
+  revokeAllSessions,
+} from "./sessions.js";
+
+describe("refreshSession", () => {
+  it("rotates the token pair and retires the old access token", () => {
+    const user = createUser();
+    const session = loginAs(user);
+
+    const result = refreshSession(session.refreshToken, "10.0.0.1");
+
+    assert.equal(result.status, "refreshed");
+    assert.equal(result.userId, user.id);
+    assert.notEqual(result.tokens.token, session.token);
+    assert.notEqual(result.tokens.refreshToken, session.refreshToken);
+    assert.equal(getSessionByAccessToken(session.token), undefined);
+    assert.equal(getSessionByAccessToken(result.tokens.token).id, session.id);
+  });
+
+  it("revokes the session when a used refresh token is presented again", () => {
+    const user = createUser();
+    const session = loginAs(user);
+    const { tokens } = refreshSession(session.refreshToken, null);
+
+    const reuse = refreshSession(session.refreshToken, null);
+
+    assert.equal(reuse.status, "reused");
+    assert.equal(getSessionByAccessToken(tokens.token), undefined);
+    // The rotated refresh token died with the session
+    assert.equal(refreshSession(tokens.refreshToken, null).status, "invalid");
+  });
+
+  it("rejects unknown tokens", () => {
+    assert.equal(refreshSession("not-a-token", null).status, "invalid");
+  });
+
+  it("removes the session once it has expired", () => {
+    const user = createUser();
+    const session = loginAs(user);
+    const later = new Date(Date.now() + SESSION_TTL_MS + 1000);
+
+    assert.equal(refreshSession(session.refreshToken, null, later).status, "expired");
+    assert.equal(
+      db.prepare("SELECT id FROM sessions WHERE id = ?").get(session.id),
+      undefined
+    );
+  });
+});
+
+describe("revokeAllSessions", () => {
+  it("keeps only the excepted session", () => {
+    const user = createUser();
+    const current = loginAs(user);
+    const other = loginAs(user);
+
+    const revoked = revokeAllSessions(user.id, { exceptSessionId: current.id });
+
+    assert.equal(revoked, 1);
+    assert.ok(getSessionByAccessToken(current.token));
+    assert.equal(getSessionByAccessToken(other.token), undefined);
+  });
+});
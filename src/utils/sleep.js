@@ -0,0 +1,174 @@
+/**
+ * Sleep Goal Evaluation
+ *
+ * Sleep is judged against the user's configured sleep_hours_min–sleep_hours_max
+ * range (inclusive): below the range is "under", above it is "oversleep", and
+ * only "on_target" meets the goal for XP, streaks and analytics.
+ *
+ * The sleep-quality score (0–100) combines how close the night's duration is to
+ * the range with how consistent bed and wake times have been over recent nights.
+ */
+
+import db from "../db/index.js";
+import { addDays, timeToMinutes } from "./date.js";
+
+const DEFAULT_SLEEP_HOURS_MIN = 7;
+const DEFAULT_SLEEP_HOURS_MAX = 8;
+
+// Hours outside the goal range at which the duration score reaches 0
+const DURATION_SCORE_ZERO_HOURS = 3;
+
+// Bed/wake time standard deviation at which the consistency score reaches 0
+const SLEEP_CONSISTENCY_ZERO_MINUTES = 120;
+
+// Nights (ending on the scored day) used for the consistency part of the quality score
+const QUALITY_CONSISTENCY_NIGHTS = 7;
+
+// Share of the quality score taken by duration; the rest is consistency
+const QUALITY_DURATION_WEIGHT = 0.7;
+
+function average(values) {
+  if (values.length === 0) return null;
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function standardDeviation(values) {
+  const mean = average(values);
+  return Math.sqrt(average(values.map((v) => (v - mean) ** 2)));
+}
+
+function minutesToTime(minutes) {
+  const m = ((Math.round(minutes) % 1440) + 1440) % 1440;
+  return `${String(Math.floor(m / 60)).padStart(2, "0")}:${String(m % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Returns the { min, max } sleep goal range from habits_config goals (defaults when null).
+ */
+function getSleepRange(goals) {
+  return {
+    min: goals?.sleep_hours_min ?? DEFAULT_SLEEP_HOURS_MIN,
+    max: goals?.sleep_hours_max ?? DEFAULT_SLEEP_HOURS_MAX,
+  };
+}
+
+/**
+ * Returns "under", "on_target" or "oversleep" for the given hours, or null if
+ * no sleep was logged.
+ */
+function getSleepStatus(hours, goals) {
+  if (hours == null) return null;
+  const { min, max } = getSleepRange(goals);
+  if (hours < min) return "under";
+  if (hours > max) return "oversleep";
+  return "on_target";
+}
+
+/**
+ * Returns true if the hours fall within the configured sleep range.
+ */
+function isSleepGoalMet(hours, goals) {
+  return getSleepStatus(hours, goals) === "on_target";
+}
+
+/**
+ * Computes how consistent bed and wake times are across the given logs.
+ * Bedtimes before noon count as after midnight, so 23:30 and 00:30 are an hour apart.
+ * Returns null metrics until at least 2 nights have both times.
+ */
+function computeSleepConsistency(logs) {
+  const nights = logs.filter((l) => l.sleep_start && l.sleep_end);
+
+  if (nights.length < 2) {
+    return {
+      nightsTracked: nights.length,
+      averageBedtime: null,
+      averageWakeTime: null,
+      bedtimeStdDevMinutes: null,
+      wakeTimeStdDevMinutes: null,
+      consistencyScore: null,
+    };
+  }
+
+  const bedtimes = nights.map((l) => {
+    const minutes = timeToMinutes(l.sleep_start);
+    return minutes < 12 * 60 ? minutes + 1440 : minutes;
+  });
+  const wakeTimes = nights.map((l) => timeToMinutes(l.sleep_end));
+
+  const bedSd = standardDeviation(bedtimes);
+  const wakeSd = standardDeviation(wakeTimes);
+  const meanSd = (bedSd + wakeSd) / 2;
+
+  return {
+    nightsTracked: nights.length,
+    averageBedtime: minutesToTime(average(bedtimes)),
+    averageWakeTime: minutesToTime(average(wakeTimes)),
+    bedtimeStdDevMinutes: Math.round(bedSd),
+    wakeTimeStdDevMinutes: Math.round(wakeSd),
+    consistencyScore: Math.max(
+      0,
+      Math.round(100 * (1 - meanSd / SLEEP_CONSISTENCY_ZERO_MINUTES))
+    ),
+  };
+}
+
+/**
+ * Scores a night's duration: 100 inside the goal range, falling linearly to 0
+ * at DURATION_SCORE_ZERO_HOURS below the minimum or above the maximum.
+ */
+function computeDurationScore(hours, goals) {
+  const { min, max } = getSleepRange(goals);
+  const hoursOutside = hours < min ? min - hours : hours > max ? hours - max : 0;
+  return Math.max(0, Math.round(100 * (1 - hoursOutside / DURATION_SCORE_ZERO_HOURS)));
+}
+
+/**
+ * Combines the duration score with a consistency score (0–100, or null when
+ * there are too few nights to judge). Returns null if no sleep was logged.
+ */
+function computeSleepQualityScore(hours, goals, consistencyScore) {
+  if (hours == null) return null;
+  const durationScore = computeDurationScore(hours, goals);
+  if (consistencyScore == null) return durationScore;
+  return Math.round(
+    QUALITY_DURATION_WEIGHT * durationScore + (1 - QUALITY_DURATION_WEIGHT) * consistencyScore
+  );
+}
+
+/**
+ * Builds the sleep evaluation for one day: status against the goal range and
+ * the quality score, with consistency taken from the nights ending on dateStr.
+ *
+ * @returns {{ goalMin: number, goalMax: number, status: string|null, goalMet: boolean,
+ *   qualityScore: number|null, consistencyScore: number|null }}
+ */
+function getSleepEvaluation(userId, dateStr, hours, goals) {
+  const recentLogs = db
+    .prepare(
+      `SELECT sleep_start, sleep_end FROM daily_logs
+       WHERE user_id = ? AND log_date BETWEEN ? AND ?`
+    )
+    .all(userId, addDays(dateStr, -(QUALITY_CONSISTENCY_NIGHTS - 1)), dateStr);
+
+  const { consistencyScore } = computeSleepConsistency(recentLogs);
+  const { min, max } = getSleepRange(goals);
+
+  return {
+    goalMin: min,
+    goalMax: max,
+    status: getSleepStatus(hours, goals),
+    goalMet: isSleepGoalMet(hours, goals),
+    qualityScore: computeSleepQualityScore(hours, goals, consistencyScore),
+    consistencyScore,
+  };
+}
+
+export {
+  getSleepRange,
+  getSleepStatus,
+  isSleepGoalMet,
+  computeSleepConsistency,
+  computeSleepQualityScore,
+  getSleepEvaluation,
+};
@@ -0,0 +1,42 @@
+import "../test/helpers.js";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { computeSleepQualityScore, getSleepStatus } from "./sleep.js";
+import { countCompletedCategoriesForLog } from "./streak.js";
+
+const GOALS = { sleep_hours_min: 6, sleep_hours_max: 9 };
+
+describe("getSleepStatus", () => {
+  it("judges hours against the configured range, inclusive", () => {
+    assert.equal(getSleepStatus(5.5, GOALS), "under");
+    assert.equal(getSleepStatus(6, GOALS), "on_target");
+    assert.equal(getSleepStatus(9, GOALS), "on_target");
+    assert.equal(getSleepStatus(9.5, GOALS), "oversleep");
+    assert.equal(getSleepStatus(null, GOALS), null);
+  });
+
+  it("falls back to 7–8 hours without goals", () => {
+    assert.equal(getSleepStatus(6.5, undefined), "under");
+    assert.equal(getSleepStatus(8.5, undefined), "oversleep");
+  });
+});
+
+describe("computeSleepQualityScore", () => {
+  it("scores duration alone until consistency is known", () => {
+    assert.equal(computeSleepQualityScore(7, GOALS, null), 100);
+    assert.equal(computeSleepQualityScore(4.5, GOALS, null), 50);
+    assert.equal(computeSleepQualityScore(13, GOALS, null), 0);
+    assert.equal(computeSleepQualityScore(null, GOALS, null), null);
+  });
+
+  it("weights duration 70% and consistency 30%", () => {
+    assert.equal(computeSleepQualityScore(7, GOALS, 80), 94);
+  });
+});
+
+describe("sleep in streaks", () => {
+  it("does not count oversleeping as meeting the goal", () => {
+    assert.equal(countCompletedCategoriesForLog({ sleep_hours: 10 }, GOALS), 0);
+    assert.equal(countCompletedCategoriesForLog({ sleep_hours: 8 }, GOALS), 1);
+  });
+});
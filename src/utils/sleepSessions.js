@@ -0,0 +1,114 @@
+/**
+ * Sleep Sessions
+ *
+ * A sleep session is one uninterrupted stretch of sleep stored with full UTC
+ * timestamps (start_at/end_at). A night may be split into several sessions and
+ * naps are sessions flagged is_nap. Every session belongs to the local date the
+ * user woke up on (wake_date), and that day's daily_logs.sleep_hours is the
+ * total of its non-nap sessions. Naps are reported separately and don't count
+ * toward the sleep goal or the streak.
+ */
+
+import db from "../db/index.js";
+import { getTodayForTimezone, getLocalTimeForTimezone } from "./date.js";
+
+// Longest single session accepted, in hours
+const MAX_SESSION_HOURS = 16;
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+function sessionHours(session) {
+  return (Date.parse(session.end_at) - Date.parse(session.start_at)) / MS_PER_HOUR;
+}
+
+/**
+ * Returns the local date (YYYY-MM-DD) a session ending at endAt is attributed to.
+ */
+function getWakeDate(endAt, timezone) {
+  return getTodayForTimezone(timezone, new Date(endAt));
+}
+
+/**
+ * Returns the user's sessions attributed to wakeDate, earliest first.
+ */
+function getSleepSessions(userId, wakeDate) {
+  return db
+    .prepare(
+      `SELECT * FROM sleep_sessions
+       WHERE user_id = ? AND wake_date = ?
+       ORDER BY start_at ASC`
+    )
+    .all(userId, wakeDate);
+}
+
+/**
+ * Returns a session of the user that overlaps [startAt, endAt), or undefined.
+ * Sessions that only touch (one ends as the next starts) do not overlap.
+ */
+function findOverlappingSession(userId, startAt, endAt) {
+  return db
+    .prepare(
+      `SELECT * FROM sleep_sessions
+       WHERE user_id = ? AND start_at < ? AND end_at > ?
+       LIMIT 1`
+    )
+    .get(userId, endAt, startAt);
+}
+
+function totalHours(sessions) {
+  return Math.round(sessions.reduce((sum, s) => sum + sessionHours(s), 0) * 10) / 10;
+}
+
+/**
+ * Derives a day's daily_logs sleep fields from its sessions:
+ *   - sleepHours: total hours of the non-nap sessions (1 decimal)
+ *   - sleepStart/sleepEnd: local HH:MM of the longest non-nap session, so
+ *     bedtime consistency keeps working
+ *   - napHours: total hours of the nap sessions (1 decimal), not stored in
+ *     daily_logs
+ * The sleep fields are null when there are no non-nap sessions; napHours is
+ * null when there are no naps.
+ */
+function summariseSleepSessions(sessions, timezone) {
+  const sleeps = sessions.filter((s) => !s.is_nap);
+  const naps = sessions.filter((s) => s.is_nap);
+  const napHours = naps.length > 0 ? totalHours(naps) : null;
+
+  if (sleeps.length === 0) {
+    return { sleepStart: null, sleepEnd: null, sleepHours: null, napHours };
+  }
+
+  const main = sleeps.reduce((longest, s) =>
+    sessionHours(s) > sessionHours(longest) ? s : longest
+  );
+
+  return {
+    sleepStart: getLocalTimeForTimezone(timezone, new Date(main.start_at)),
+    sleepEnd: getLocalTimeForTimezone(timezone, new Date(main.end_at)),
+    sleepHours: totalHours(sleeps),
+    napHours,
+  };
+}
+
+/**
+ * Formats a sleep_sessions row for API responses.
+ */
+function formatSleepSession(session) {
+  return {
+    id: session.id,
+    start: session.start_at,
+    end: session.end_at,
+    wakeDate: session.wake_date,
+    nap: session.is_nap === 1,
+    hours: Math.round(sessionHours(session) * 10) / 10,
+  };
+}
+
+export {
+  MAX_SESSION_HOURS,
+  getWakeDate,
+  getSleepSessions,
+  findOverlappingSession,
+  summariseSleepSessions,
+  formatSleepSession,
+};
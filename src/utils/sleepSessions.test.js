@@ -0,0 +1,79 @@
+import "../test/helpers.js";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { summariseSleepSessions } from "./sleepSessions.js";
+
+const session = (start, end, isNap = 0) => ({
+  start_at: `2026-03-0${start}Z`,
+  end_at: `2026-03-0${end}Z`,
+  is_nap: isNap,
+});
+
+describe("summariseSleepSessions", () => {
+  it("totals a split night and takes times from its longest part", () => {
+    const sessions = [
+      session("1T22:00:00.000", "2T01:00:00.000"),
+      session("2T01:30:00.000", "2T06:30:00.000"),
+    ];
+
+    assert.deepEqual(summariseSleepSessions(sessions, "UTC"), {
+      sleepStart: "01:30",
+      sleepEnd: "06:30",
+      sleepHours: 8,
+      napHours: null,
+    });
+  });
+
+  it("reports local times in the user's timezone", () => {
+    const sessions = [session("1T22:00:00.000", "2T06:00:00.000")];
+
+    const { sleepStart, sleepEnd } = summariseSleepSessions(sessions, "Europe/Berlin");
+
+    assert.equal(sleepStart, "23:00");
+    assert.equal(sleepEnd, "07:00");
+  });
+
+  it("prefers the night over a longer nap for bed and wake times", () => {
+    const sessions = [
+      session("2T00:00:00.000", "2T03:00:00.000"),
+      session("2T12:00:00.000", "2T16:00:00.000", 1),
+    ];
+
+    const { sleepStart, sleepEnd } = summariseSleepSessions(sessions, "UTC");
+
+    assert.equal(sleepStart, "00:00");
+    assert.equal(sleepEnd, "03:00");
+  });
+
+  it("reports naps separately from the night's sleep", () => {
+    const sessions = [
+      session("1T23:00:00.000", "2T06:00:00.000"),
+      session("2T13:00:00.000", "2T14:30:00.000", 1),
+    ];
+
+    const { sleepHours, napHours } = summariseSleepSessions(sessions, "UTC");
+
+    assert.equal(sleepHours, 7);
+    assert.equal(napHours, 1.5);
+  });
+
+  it("leaves the sleep fields empty when there were only naps", () => {
+    const sessions = [session("2T13:00:00.000", "2T14:30:00.000", 1)];
+
+    assert.deepEqual(summariseSleepSessions(sessions, "UTC"), {
+      sleepStart: null,
+      sleepEnd: null,
+      sleepHours: null,
+      napHours: 1.5,
+    });
+  });
+
+  it("returns nulls without sessions", () => {
+    assert.deepEqual(summariseSleepSessions([], "UTC"), {
+      sleepStart: null,
+      sleepEnd: null,
+      sleepHours: null,
+      napHours: null,
+    });
+  });
+});
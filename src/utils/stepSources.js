@@ -0,0 +1,114 @@
+/**
+ * Step Sources
+ *
+ * Steps can come from several sources (manual entry, phone health apps,
+ * wearables). Each source's daily total is stored as a row in step_readings, so
+ * adding a source only needs a STEP_SOURCES entry, not a schema change. The
+ * effective daily_logs.steps value is derived from a day's readings with the
+ * user's merge policy:
+ *   - "max": the highest reading (sources that count the same walking)
+ *   - "priority": the reading of the first source in the user's priority order
+ *   - "sum": all readings added up (sources that never count the same steps)
+ *
+ * Sources with a legacyColumn also keep that daily_logs column in sync for
+ * clients that still read steps_manual/steps_google_fit.
+ */
+
+import { v4 as uuidv4 } from "uuid";
+import db from "../db/index.js";
+
+/**
+ * Supported step sources keyed by the `source` value clients send.
+ * maxDailySteps caps a single reading; manual entry is capped to limit cheating.
+ */
+const STEP_SOURCES = {
+  manual: { label: "Manual entry", maxDailySteps: 50000, legacyColumn: "steps_manual" },
+  google_fit: { label: "Google Fit", legacyColumn: "steps_google_fit" },
+  apple_health: { label: "Apple Health" },
+  fitbit: { label: "Fitbit" },
+  garmin: { label: "Garmin" },
+};
+
+const MERGE_POLICIES = ["max", "priority", "sum"];
+
+const DEFAULT_MERGE_POLICY = "max";
+
+function isStepSource(source) {
+  return Object.hasOwn(STEP_SOURCES, source);
+}
+
+/**
+ * Returns the user's merge settings: { mergePolicy, priority }. priority lists
+ * every registered source — the user's chosen order first, then the rest in
+ * registry order.
+ */
+function getStepMergeSettings(userId) {
+  const config = db
+    .prepare("SELECT step_merge_policy, step_source_priority FROM habits_config WHERE user_id = ?")
+    .get(userId);
+
+  let chosen = [];
+  try {
+    chosen = JSON.parse(config?.step_source_priority ?? "[]").filter(isStepSource);
+  } catch {
+    // Malformed priority — fall back to registry order
+  }
+
+  return {
+    mergePolicy: config?.step_merge_policy ?? DEFAULT_MERGE_POLICY,
+    priority: [...chosen, ...Object.keys(STEP_SOURCES).filter((s) => !chosen.includes(s))],
+  };
+}
+
+/**
+ * Returns a day's readings as { [source]: steps }.
+ */
+function getStepReadings(userId, logDate) {
+  const rows = db
+    .prepare("SELECT source, steps FROM step_readings WHERE user_id = ? AND log_date = ?")
+    .all(userId, logDate);
+  return Object.fromEntries(rows.map((r) => [r.source, r.steps]));
+}
+
+/**
+ * Stores (or replaces) one source's daily total.
+ */
+function recordStepReading(userId, logDate, source, steps, now) {
+  db.prepare(
+    `INSERT INTO step_readings (id, user_id, log_date, source, steps, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(user_id, log_date, source) DO UPDATE SET
+       steps      = excluded.steps,
+       updated_at = excluded.updated_at`
+  ).run(uuidv4(), userId, logDate, source, steps, now, now);
+}
+
+/**
+ * Merges a day's readings into the effective step count using the given
+ * settings. Returns 0 when there are no readings.
+ */
+function mergeStepReadings(readings, { mergePolicy, priority }) {
+  const values = Object.values(readings);
+  if (values.length === 0) return 0;
+
+  switch (mergePolicy) {
+    case "sum":
+      return values.reduce((sum, v) => sum + v, 0);
+    case "priority": {
+      const source = priority.find((s) => readings[s] != null);
+      return source ? readings[source] : Math.max(...values);
+    }
+    default:
+      return Math.max(...values);
+  }
+}
+
+export {
+  STEP_SOURCES,
+  MERGE_POLICIES,
+  isStepSource,
+  getStepMergeSettings,
+  getStepReadings,
+  recordStepReading,
+  mergeStepReadings,
+};
@@ -0,0 +1,52 @@
+import { createHabitsConfig, createUser } from "../test/helpers.js";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { STEP_SOURCES, getStepMergeSettings, mergeStepReadings } from "./stepSources.js";
+
+const READINGS = { manual: 3000, google_fit: 5000, fitbit: 4000 };
+
+describe("mergeStepReadings", () => {
+  it("takes the highest reading by default", () => {
+    assert.equal(mergeStepReadings(READINGS, { mergePolicy: "max", priority: [] }), 5000);
+  });
+
+  it("adds readings up with the sum policy", () => {
+    assert.equal(mergeStepReadings(READINGS, { mergePolicy: "sum", priority: [] }), 12000);
+  });
+
+  it("takes the first source in priority order that has a reading", () => {
+    const priority = ["garmin", "fitbit", "google_fit"];
+
+    assert.equal(mergeStepReadings(READINGS, { mergePolicy: "priority", priority }), 4000);
+  });
+
+  it("returns 0 without readings", () => {
+    assert.equal(mergeStepReadings({}, { mergePolicy: "sum", priority: [] }), 0);
+  });
+});
+
+describe("getStepMergeSettings", () => {
+  it("defaults to max and registry order", () => {
+    const user = createUser();
+    createHabitsConfig(user.id);
+
+    assert.deepEqual(getStepMergeSettings(user.id), {
+      mergePolicy: "max",
+      priority: Object.keys(STEP_SOURCES),
+    });
+  });
+
+  it("puts the user's chosen sources first and drops unknown ones", () => {
+    const user = createUser();
+    createHabitsConfig(user.id, {
+      step_merge_policy: "priority",
+      step_source_priority: JSON.stringify(["garmin", "pedometer", "manual"]),
+    });
+
+    const { mergePolicy, priority } = getStepMergeSettings(user.id);
+
+    assert.equal(mergePolicy, "priority");
+    assert.deepEqual(priority.slice(0, 3), ["garmin", "manual", "google_fit"]);
+    assert.equal(priority.length, Object.keys(STEP_SOURCES).length);
+  });
+});
@@ -1,40 +1,23 @@
+import { v4 as uuidv4 } from "uuid";
 import db from "../db/index.js";
-import { getTodayForTimezone } from "./date.js";
+import { getTodayForTimezone, addDays } from "./date.js";
+import { getGoalsForDate } from "./goals.js";
+import { isSleepGoalMet } from "./sleep.js";
 
 /**
- * Adds N days to a YYYY-MM-DD date string and returns the result as YYYY-MM-DD.
- */
-function addDays(dateStr, days) {
-  const [y, m, d] = dateStr.split("-").map(Number);
-  const date = new Date(y, m - 1, d);
-  date.setDate(date.getDate() + days);
-  const yyyy = date.getFullYear();
-  const mm = String(date.getMonth() + 1).padStart(2, "0");
-  const dd = String(date.getDate()).padStart(2, "0");
-  return `${yyyy}-${mm}-${dd}`;
-}
-
-/**
- * Counts how many of the 5 habit categories were completed for a given user/date.
+ * Counts how many of the 5 habit categories a daily_logs row completes,
+ * judged against the given habits_config goals (defaults when null).
  *
  * Categories (5 total):
  *   1. Steps — met if steps >= daily_steps goal
  *   2. Hydration — met if hydration_glasses >= hydration goal
- *   3. Sleep — met if sleep_hours >= 7
+ *   3. Sleep — met if sleep_hours is within sleep_hours_min–sleep_hours_max
  *   4. Movement — met if movement_done = 1
  *   5. Food — met if any food checkbox is checked
  */
-export function countCompletedCategories(userId, dateStr) {
-  const log = db
-    .prepare("SELECT * FROM daily_logs WHERE user_id = ? AND log_date = ?")
-    .get(userId, dateStr);
-
+export function countCompletedCategoriesForLog(log, goals) {
   if (!log) return 0;
 
-  const goals = db
-    .prepare("SELECT daily_steps, hydration_glasses FROM habits_config WHERE user_id = ?")
-    .get(userId);
-
   let count = 0;
 
   // Steps
@@ -48,7 +31,7 @@ export function countCompletedCategories(userId, dateStr) {
     count++;
 
   // Sleep
-  if (log.sleep_hours != null && log.sleep_hours >= 7) count++;
+  if (isSleepGoalMet(log.sleep_hours, goals)) count++;
 
   // Movement
   if (log.movement_done === 1) count++;
@@ -64,21 +47,103 @@ export function countCompletedCategories(userId, dateStr) {
   return count;
 }
 
-const STREAK_THRESHOLD = 3;
+/**
+ * Counts how many of the 5 habit categories were completed for a given user/date,
+ * against the goals in effect on that date. See countCompletedCategoriesForLog.
+ */
+export function countCompletedCategories(userId, dateStr) {
+  const log = db
+    .prepare("SELECT * FROM daily_logs WHERE user_id = ? AND log_date = ?")
+    .get(userId, dateStr);
+
+  if (!log) return 0;
+
+  return countCompletedCategoriesForLog(log, getGoalsForDate(userId, dateStr));
+}
+
+export const STREAK_THRESHOLD = 3;
 const SHIELD_STREAK_INTERVAL = 7;
 const MAX_SHIELDS = 1;
 
 /**
- * Evaluates the user's streak for any unevaluated days since their last check.
- *
- * Called on dashboard/habits access. On each new day:
- * - Checks the previous day(s) that haven't been evaluated yet
+ * Records the streak state after a given day, so later edits to that day's
+ * log (backfills) can replay evaluation from the day before.
+ */
+function saveStreakDay(userId, dateStr, categoriesCompleted, state) {
+  db.prepare(
+    `INSERT INTO streak_days
+       (id, user_id, log_date, categories_completed, current_streak, longest_streak,
+        streak_shields, evaluated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(user_id, log_date) DO UPDATE SET
+       categories_completed = excluded.categories_completed,
+       current_streak       = excluded.current_streak,
+       longest_streak       = excluded.longest_streak,
+       streak_shields       = excluded.streak_shields,
+       evaluated_at         = excluded.evaluated_at`
+  ).run(
+    uuidv4(),
+    userId,
+    dateStr,
+    categoriesCompleted,
+    state.currentStreak,
+    state.longestStreak,
+    state.shields,
+    new Date().toISOString()
+  );
+}
+
+/**
+ * Evaluates each day from fromDate up to (but excluding) untilDate, starting
+ * from the given state, and persists the result to the user row and streak_days.
  * - If a day has >= 3/5 categories completed, streak increments
  * - If < 3 and a shield is available, shield is consumed (streak preserved, not incremented)
  * - If < 3 and no shield, streak resets to 0
  * - Updates longest_streak if current exceeds it
+ */
+function replayStreakDays(userId, state, fromDate, untilDate) {
+  let { currentStreak, longestStreak, shields } = state;
+
+  let evalDate = fromDate;
+  while (evalDate < untilDate) {
+    const completed = countCompletedCategories(userId, evalDate);
+
+    if (completed >= STREAK_THRESHOLD) {
+      currentStreak++;
+      // Award a shield for every 7-day streak completed (max 1 in reserve)
+      if (currentStreak > 0 && currentStreak % SHIELD_STREAK_INTERVAL === 0 && shields < MAX_SHIELDS) {
+        shields++;
+      }
+    } else if (shields > 0) {
+      shields--;
+      // Streak preserved but not incremented
+    } else {
+      currentStreak = 0;
+    }
+
+    longestStreak = Math.max(longestStreak, currentStreak);
+    saveStreakDay(userId, evalDate, completed, { currentStreak, longestStreak, shields });
+    evalDate = addDays(evalDate, 1);
+  }
+
+  db.prepare(
+    `UPDATE users SET current_streak = ?, longest_streak = ?, streak_shields = ?,
+     streak_last_evaluated_date = ?, streak_evaluated_at = ? WHERE id = ?`
+  ).run(currentStreak, longestStreak, shields, untilDate, new Date().toISOString(), userId);
+}
+
+/**
+ * Evaluates the user's streak for any unevaluated days since their last check.
+ *
+ * Called by the nightly streak job after each user's local midnight, and lazily
+ * on dashboard/habits access as a fallback. Evaluates every completed day from
+ * streak_last_evaluated_date (the date of the previous evaluation, which was
+ * still in progress at the time) through yesterday.
  *
- * Uses streak_last_evaluated_date to avoid re-processing.
+ * Uses streak_last_evaluated_date to avoid re-processing and stamps
+ * streak_evaluated_at with the time of the evaluation.
+ *
+ * Returns true if any evaluation happened, false if already up to date.
  */
 export function evaluateStreakIfNeeded(userId, timezone) {
   const today = getTodayForTimezone(timezone);
@@ -91,48 +156,80 @@ export function evaluateStreakIfNeeded(userId, timezone) {
     .get(userId);
 
   const lastEval = user.streak_last_evaluated_date;
+  const state = {
+    currentStreak: user.current_streak,
+    longestStreak: user.longest_streak,
+    shields: user.streak_shields,
+  };
 
   // First time: set to today without changing streak (no previous day to evaluate)
   if (!lastEval) {
+    saveStreakDay(userId, addDays(today, -1), null, state);
     db.prepare(
-      "UPDATE users SET streak_last_evaluated_date = ? WHERE id = ?"
-    ).run(today, userId);
-    return;
+      "UPDATE users SET streak_last_evaluated_date = ?, streak_evaluated_at = ? WHERE id = ?"
+    ).run(today, new Date().toISOString(), userId);
+    return true;
   }
 
   // Already evaluated for today or later
-  if (lastEval >= today) return;
-
-  const yesterday = addDays(today, -1);
+  if (lastEval >= today) return false;
 
-  let currentStreak = user.current_streak;
-  let longestStreak = user.longest_streak;
-  let shields = user.streak_shields;
+  // Make sure there is a baseline to replay from if the first day gets backfilled
+  db.prepare(
+    `INSERT OR IGNORE INTO streak_days
+       (id, user_id, log_date, categories_completed, current_streak, longest_streak,
+        streak_shields, evaluated_at)
+     VALUES (?, ?, ?, NULL, ?, ?, ?, ?)`
+  ).run(
+    uuidv4(),
+    userId,
+    addDays(lastEval, -1),
+    state.currentStreak,
+    state.longestStreak,
+    state.shields,
+    new Date().toISOString()
+  );
+
+  replayStreakDays(userId, state, lastEval, today);
+  return true;
+}
 
-  // Evaluate each day from lastEval+1 through yesterday (inclusive)
-  let evalDate = addDays(lastEval, 1);
-  while (evalDate <= yesterday) {
-    const completed = countCompletedCategories(userId, evalDate);
+/**
+ * Re-evaluates the user's streak from fromDate onward after that day's log
+ * changed (e.g. a backfill). Days that haven't been evaluated yet are left to
+ * the regular evaluation; otherwise evaluation is replayed from the streak_days
+ * snapshot of the day before fromDate. Days evaluated before streak_days
+ * existed have no snapshot and are not replayed.
+ *
+ * Returns true if a replay happened.
+ */
+export function reevaluateStreakFrom(userId, timezone, fromDate) {
+  const today = getTodayForTimezone(timezone);
 
-    if (completed >= STREAK_THRESHOLD) {
-      currentStreak++;
-      // Award a shield for every 7-day streak completed (max 1 in reserve)
-      if (currentStreak > 0 && currentStreak % SHIELD_STREAK_INTERVAL === 0 && shields < MAX_SHIELDS) {
-        shields++;
-      }
-    } else if (shields > 0) {
-      shields--;
-      // Streak preserved but not incremented
-    } else {
-      currentStreak = 0;
-    }
+  const user = db
+    .prepare("SELECT streak_last_evaluated_date FROM users WHERE id = ?")
+    .get(userId);
 
-    longestStreak = Math.max(longestStreak, currentStreak);
-    evalDate = addDays(evalDate, 1);
+  const lastEval = user.streak_last_evaluated_date;
+  if (!lastEval || fromDate >= lastEval) {
+    return evaluateStreakIfNeeded(userId, timezone);
   }
 
-  db.prepare(
-    `UPDATE users SET current_streak = ?, longest_streak = ?, streak_shields = ?,
-     streak_last_evaluated_date = ? WHERE id = ?`
-  ).run(currentStreak, longestStreak, shields, today, userId);
+  const baseline = db
+    .prepare("SELECT * FROM streak_days WHERE user_id = ? AND log_date = ?")
+    .get(userId, addDays(fromDate, -1));
+
+  if (!baseline) return evaluateStreakIfNeeded(userId, timezone);
+
+  replayStreakDays(
+    userId,
+    {
+      currentStreak: baseline.current_streak,
+      longestStreak: baseline.longest_streak,
+      shields: baseline.streak_shields,
+    },
+    fromDate,
+    today > lastEval ? today : lastEval
+  );
+  return true;
 }
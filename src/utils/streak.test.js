@@ -0,0 +1,109 @@
+import { createUser, daysAgo } from "../test/helpers.js";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { v4 as uuidv4 } from "uuid";
+import db from "../db/index.js";
+import { getTodayForTimezone } from "./date.js";
+import { evaluateStreakIfNeeded, reevaluateStreakFrom } from "./streak.js";
+
+const today = getTodayForTimezone("UTC");
+
+/**
+ * Writes (or overwrites) a daily log that completes 3 categories (movement, food, steps) or
+ * none of them.
+ */
+function logDay(userId, date, complete) {
+  const now = new Date().toISOString();
+  db.prepare(
+    `INSERT INTO daily_logs (id, user_id, log_date, steps, movement_done, food_breakfast, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(user_id, log_date) DO UPDATE SET
+       steps = excluded.steps,
+       movement_done = excluded.movement_done,
+       food_breakfast = excluded.food_breakfast`
+  ).run(uuidv4(), userId, date, complete ? 20000 : 0, complete ? 1 : 0, complete ? 1 : 0, now, now);
+}
+
+function getStreak(userId) {
+  return db
+    .prepare(
+      `SELECT current_streak, longest_streak, streak_shields, streak_last_evaluated_date
+       FROM users WHERE id = ?`
+    )
+    .get(userId);
+}
+
+describe("evaluateStreakIfNeeded", () => {
+  it("evaluates the day of the previous evaluation through yesterday", () => {
+    const user = createUser({ streak_last_evaluated_date: daysAgo(2) });
+    logDay(user.id, daysAgo(2), true);
+    logDay(user.id, daysAgo(1), true);
+
+    assert.equal(evaluateStreakIfNeeded(user.id, "UTC"), true);
+    assert.deepEqual(getStreak(user.id), {
+      current_streak: 2,
+      longest_streak: 2,
+      streak_shields: 0,
+      streak_last_evaluated_date: today,
+    });
+
+    assert.equal(evaluateStreakIfNeeded(user.id, "UTC"), false);
+  });
+
+  it("resets the streak after a missed day without a shield", () => {
+    const user = createUser({
+      streak_last_evaluated_date: daysAgo(1),
+      current_streak: 4,
+      longest_streak: 4,
+    });
+    logDay(user.id, daysAgo(1), false);
+
+    evaluateStreakIfNeeded(user.id, "UTC");
+    assert.equal(getStreak(user.id).current_streak, 0);
+    assert.equal(getStreak(user.id).longest_streak, 4);
+  });
+});
+
+describe("reevaluateStreakFrom", () => {
+  it("replays evaluation after an evaluated day is backfilled", () => {
+    const user = createUser({ streak_last_evaluated_date: daysAgo(3) });
+    logDay(user.id, daysAgo(3), true);
+    logDay(user.id, daysAgo(2), false);
+    logDay(user.id, daysAgo(1), true);
+
+    evaluateStreakIfNeeded(user.id, "UTC");
+    assert.equal(getStreak(user.id).current_streak, 1);
+    assert.equal(getStreak(user.id).longest_streak, 1);
+
+    logDay(user.id, daysAgo(2), true);
+    assert.equal(reevaluateStreakFrom(user.id, "UTC", daysAgo(2)), true);
+
+    assert.deepEqual(getStreak(user.id), {
+      current_streak: 3,
+      longest_streak: 3,
+      streak_shields: 0,
+      streak_last_evaluated_date: today,
+    });
+  });
+
+  it("lowers the streak again when a backfilled day is un-completed", () => {
+    const user = createUser({ streak_last_evaluated_date: daysAgo(2) });
+    logDay(user.id, daysAgo(2), true);
+    logDay(user.id, daysAgo(1), true);
+    evaluateStreakIfNeeded(user.id, "UTC");
+
+    logDay(user.id, daysAgo(2), false);
+    reevaluateStreakFrom(user.id, "UTC", daysAgo(2));
+
+    assert.equal(getStreak(user.id).current_streak, 1);
+    assert.equal(getStreak(user.id).longest_streak, 1);
+  });
+
+  it("leaves today's log to the regular evaluation", () => {
+    const user = createUser({ streak_last_evaluated_date: today, current_streak: 5 });
+    logDay(user.id, today, true);
+
+    assert.equal(reevaluateStreakFrom(user.id, "UTC", today), false);
+    assert.equal(getStreak(user.id).current_streak, 5);
+  });
+});
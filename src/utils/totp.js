@@ -0,0 +1,124 @@
+/**
+ * TOTP (RFC 6238)
+ *
+ * Time-based one-time passwords as used by authenticator apps: HMAC-SHA1,
+ * 6 digits, 30-second steps. Secrets are exchanged as base32 (RFC 4648), which
+ * is what otpauth:// URIs and manual-entry keys use.
+ */
+
+import { createHmac, randomBytes, timingSafeEqual } from "crypto";
+
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+const TOTP_ISSUER = "LifePush";
+
+// Accept codes from one step either side of now to allow for clock drift
+const TOTP_DRIFT_STEPS = 1;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(str) {
+  const clean = str.toUpperCase().replace(/[\s=-]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error(`Invalid base32 character: ${char}`);
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generates a new random secret (160 bits, base32-encoded).
+ */
+function generateTotpSecret() {
+  return base32Encode(randomBytes(20));
+}
+
+/**
+ * Returns the HOTP code (RFC 4226) for a secret and counter.
+ */
+function generateHotp(secret, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = createHmac("sha1", base32Decode(secret)).update(counterBuffer).digest();
+
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+}
+
+/**
+ * Returns the time step number for a moment in time.
+ */
+function getTotpStep(now = new Date()) {
+  return Math.floor(now.getTime() / 1000 / TOTP_STEP_SECONDS);
+}
+
+/**
+ * Checks a code against the secret, allowing TOTP_DRIFT_STEPS of clock drift.
+ *
+ * @param {number|null} [lastUsedStep] - Step of the last accepted code; codes
+ *   for that step or earlier are rejected so a code can't be replayed
+ * @returns {number|null} The matching time step, or null if the code is invalid
+ */
+function verifyTotp(secret, code, lastUsedStep = null, now = new Date()) {
+  const normalised = String(code).replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalised)) return null;
+
+  const currentStep = getTotpStep(now);
+  for (let step = currentStep - TOTP_DRIFT_STEPS; step <= currentStep + TOTP_DRIFT_STEPS; step++) {
+    if (lastUsedStep != null && step <= lastUsedStep) continue;
+    const expected = generateHotp(secret, step);
+    if (timingSafeEqual(Buffer.from(expected), Buffer.from(normalised))) return step;
+  }
+  return null;
+}
+
+/**
+ * Builds the otpauth:// URI that authenticator apps import (usually via QR code).
+ */
+function buildOtpauthUri(secret, accountName) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+export {
+  TOTP_DIGITS,
+  TOTP_STEP_SECONDS,
+  generateTotpSecret,
+  generateHotp,
+  getTotpStep,
+  verifyTotp,
+  buildOtpauthUri,
+};
@@ -0,0 +1,45 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { generateHotp, getTotpStep, verifyTotp } from "./totp.js";
+
+// RFC 6238 appendix B SHA-1 seed "12345678901234567890", base32 encoded
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+describe("generateHotp", () => {
+  it("matches the RFC 6238 test vectors (last 6 digits)", () => {
+    assert.equal(generateHotp(RFC_SECRET, getTotpStep(new Date(59 * 1000))), "287082");
+    assert.equal(generateHotp(RFC_SECRET, getTotpStep(new Date(1111111109 * 1000))), "081804");
+    assert.equal(generateHotp(RFC_SECRET, getTotpStep(new Date(1234567890 * 1000))), "005924");
+  });
+});
+
+describe("verifyTotp", () => {
+  const now = new Date("2026-01-01T00:00:00Z");
+  const step = getTotpStep(now);
+
+  it("accepts the current code and returns its step", () => {
+    assert.equal(verifyTotp(RFC_SECRET, generateHotp(RFC_SECRET, step), null, now), step);
+  });
+
+  it("accepts codes one step either side of now", () => {
+    assert.equal(verifyTotp(RFC_SECRET, generateHotp(RFC_SECRET, step - 1), null, now), step - 1);
+    assert.equal(verifyTotp(RFC_SECRET, generateHotp(RFC_SECRET, step + 1), null, now), step + 1);
+    assert.equal(verifyTotp(RFC_SECRET, generateHotp(RFC_SECRET, step - 2), null, now), null);
+  });
+
+  it("rejects a replayed code and codes older than the last used one", () => {
+    const code = generateHotp(RFC_SECRET, step);
+
+    assert.equal(verifyTotp(RFC_SECRET, code, step, now), null);
+    assert.equal(verifyTotp(RFC_SECRET, generateHotp(RFC_SECRET, step - 1), step, now), null);
+    assert.equal(
+      verifyTotp(RFC_SECRET, generateHotp(RFC_SECRET, step + 1), step, now),
+      step + 1
+    );
+  });
+
+  it("rejects malformed codes", () => {
+    assert.equal(verifyTotp(RFC_SECRET, "12345", null, now), null);
+    assert.equal(verifyTotp(RFC_SECRET, "abcdef", null, now), null);
+  });
+});
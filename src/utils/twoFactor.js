@@ -0,0 +1,212 @@
+/**
+ * Two-Factor Authentication
+ *
+ * Optional TOTP second factor (see totp.js):
+ *   1. Setup stores a new secret in users.totp_pending_secret.
+ *   2. Confirming it with a valid code moves it to users.totp_secret (2FA is
+ *      enabled while totp_secret is set) and issues RECOVERY_CODE_COUNT
+ *      one-time recovery codes, stored hashed in totp_recovery_codes.
+ *
+ * With 2FA enabled, a correct password at login only yields a short-lived
+ * login challenge (login_challenges). The session is created once a TOTP or
+ * recovery code is presented with the challenge token.
+ */
+
+import { randomBytes } from "crypto";
+import { v4 as uuidv4 } from "uuid";
+import db from "../db/index.js";
+import { generateTotpSecret, verifyTotp } from "./totp.js";
+import { hashToken } from "./sessions.js";
+
+const RECOVERY_CODE_COUNT = 10;
+const LOGIN_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const LOGIN_CHALLENGE_MAX_ATTEMPTS = 5;
+
+/**
+ * Recovery codes are compared case-insensitively, ignoring spaces and dashes.
+ */
+function normaliseRecoveryCode(code) {
+  return String(code).toLowerCase().replace(/[\s-]/g, "");
+}
+
+/**
+ * Returns a recovery code such as "3f9a1c-07be42".
+ */
+function generateRecoveryCode() {
+  const hex = randomBytes(6).toString("hex");
+  return `${hex.slice(0, 6)}-${hex.slice(6)}`;
+}
+
+/**
+ * Replaces the user's recovery codes with a fresh set. Must run inside a
+ * transaction.
+ *
+ * @returns {string[]} The new codes (only ever shown to the user once)
+ */
+function replaceRecoveryCodes(userId, now) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+
+  db.prepare("DELETE FROM totp_recovery_codes WHERE user_id = ?").run(userId);
+  const insert = db.prepare(
+    `INSERT INTO totp_recovery_codes (id, user_id, code_hash, created_at)
+     VALUES (?, ?, ?, ?)`
+  );
+  for (const code of codes) {
+    insert.run(uuidv4(), userId, hashToken(normaliseRecoveryCode(code)), now);
+  }
+
+  return codes;
+}
+
+/**
+ * Returns { enabled, enabledAt, recoveryCodesRemaining } for a user row.
+ */
+function getTwoFactorStatus(user) {
+  const { remaining } = db
+    .prepare(
+      "SELECT COUNT(*) AS remaining FROM totp_recovery_codes WHERE user_id = ? AND used_at IS NULL"
+    )
+    .get(user.id);
+
+  return {
+    enabled: Boolean(user.totp_secret),
+    enabledAt: user.totp_enabled_at ?? null,
+    recoveryCodesRemaining: user.totp_secret ? remaining : 0,
+  };
+}
+
+/**
+ * Starts (or restarts) enrolment with a new pending secret.
+ *
+ * @returns {string} base32 secret
+ */
+function startTwoFactorSetup(userId) {
+  const secret = generateTotpSecret();
+  db.prepare("UPDATE users SET totp_pending_secret = ? WHERE id = ?").run(secret, userId);
+  return secret;
+}
+
+/**
+ * Enables 2FA if the code is valid for the user's pending secret.
+ *
+ * @returns {string[]|null} Recovery codes, or null if the code is invalid
+ */
+function confirmTwoFactorSetup(user, code, now = new Date()) {
+  const step = verifyTotp(user.totp_pending_secret, code, null, now);
+  if (step === null) return null;
+
+  return db.transaction(() => {
+    db.prepare(
+      `UPDATE users
+       SET totp_secret = totp_pending_secret, totp_pending_secret = NULL,
+           totp_enabled_at = ?, totp_last_used_step = ?
+       WHERE id = ?`
+    ).run(now.toISOString(), step, user.id);
+    return replaceRecoveryCodes(user.id, now.toISOString());
+  })();
+}
+
+/**
+ * Turns 2FA off and discards the secret and recovery codes.
+ */
+function disableTwoFactor(userId) {
+  db.transaction(() => {
+    db.prepare(
+      `UPDATE users
+       SET totp_secret = NULL, totp_pending_secret = NULL,
+           totp_enabled_at = NULL, totp_last_used_step = NULL
+       WHERE id = ?`
+    ).run(userId);
+    db.prepare("DELETE FROM totp_recovery_codes WHERE user_id = ?").run(userId);
+  })();
+}
+
+/**
+ * Verifies a second factor: either a TOTP code or an unused recovery code.
+ * Accepted TOTP codes can't be reused and recovery codes are used up.
+ *
+ * @param {{ code?: string, recoveryCode?: string }} factor
+ * @returns {"totp"|"recovery_code"|null} Which factor was accepted, or null
+ */
+function verifySecondFactor(user, { code, recoveryCode }, now = new Date()) {
+  if (!user.totp_secret) return null;
+
+  if (code) {
+    const step = verifyTotp(user.totp_secret, code, user.totp_last_used_step, now);
+    if (step === null) return null;
+    db.prepare("UPDATE users SET totp_last_used_step = ? WHERE id = ?").run(step, user.id);
+    return "totp";
+  }
+
+  if (recoveryCode) {
+    const result = db
+      .prepare(
+        `UPDATE totp_recovery_codes SET used_at = ?
+         WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`
+      )
+      .run(now.toISOString(), user.id, hashToken(normaliseRecoveryCode(recoveryCode)));
+    return result.changes > 0 ? "recovery_code" : null;
+  }
+
+  return null;
+}
+
+/**
+ * Creates a login challenge for a user who has passed the password check.
+ *
+ * @returns {{ challengeToken: string, expiresAt: string }}
+ */
+function createLoginChallenge(userId, now = new Date()) {
+  const challengeToken = randomBytes(32).toString("base64url");
+  const expiresAt = new Date(now.getTime() + LOGIN_CHALLENGE_TTL_MS).toISOString();
+
+  db.prepare("DELETE FROM login_challenges WHERE expires_at <= ?").run(now.toISOString());
+  db.prepare(
+    `INSERT INTO login_challenges (id, user_id, token_hash, expires_at, created_at)
+     VALUES (?, ?, ?, ?, ?)`
+  ).run(uuidv4(), userId, hashToken(challengeToken), expiresAt, now.toISOString());
+
+  return { challengeToken, expiresAt };
+}
+
+/**
+ * Returns the unexpired login challenge for a token, or undefined.
+ */
+function getLoginChallenge(challengeToken, now = new Date()) {
+  return db
+    .prepare("SELECT * FROM login_challenges WHERE token_hash = ? AND expires_at > ?")
+    .get(hashToken(challengeToken), now.toISOString());
+}
+
+/**
+ * Counts a wrong code against the challenge, discarding the challenge after
+ * LOGIN_CHALLENGE_MAX_ATTEMPTS.
+ *
+ * @returns {number} Attempts left on the challenge
+ */
+function recordLoginChallengeFailure(challenge) {
+  const attempts = challenge.attempts + 1;
+  if (attempts >= LOGIN_CHALLENGE_MAX_ATTEMPTS) {
+    deleteLoginChallenge(challenge.id);
+    return 0;
+  }
+  db.prepare("UPDATE login_challenges SET attempts = ? WHERE id = ?").run(attempts, challenge.id);
+  return LOGIN_CHALLENGE_MAX_ATTEMPTS - attempts;
+}
+
+function deleteLoginChallenge(challengeId) {
+  db.prepare("DELETE FROM login_challenges WHERE id = ?").run(challengeId);
+}
+
+export {
+  RECOVERY_CODE_COUNT,
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  confirmTwoFactorSetup,
+  disableTwoFactor,
+  verifySecondFactor,
+  createLoginChallenge,
+  getLoginChallenge,
+  recordLoginChallengeFailure,
+  deleteLoginChallenge,
+};
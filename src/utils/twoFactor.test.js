@@ -0,0 +1,87 @@
+import { createUser } from "../test/helpers.js";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import db from "../db/index.js";
+import { generateHotp, getTotpStep } from "./totp.js";
+import {
+  confirmTwoFactorSetup,
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  verifySecondFactor,
+} from "./twoFactor.js";
+
+const getUser = (id) => db.prepare("SELECT * FROM users WHERE id = ?").get(id);
+
+/**
+ * Creates a user with 2FA enabled (confirmed at `now`).
+ *
+ * @returns {{ user: object, secret: string, recoveryCodes: string[] }}
+ */
+function createUserWithTwoFactor(now) {
+  const { id } = createUser();
+  const secret = startTwoFactorSetup(id);
+  const recoveryCodes = confirmTwoFactorSetup(
+    getUser(id),
+    generateHotp(secret, getTotpStep(now)),
+    now
+  );
+  return { user: getUser(id), secret, recoveryCodes };
+}
+
+describe("two-factor setup", () => {
+  it("only enables 2FA with a valid code", () => {
+    const { id } = createUser();
+    startTwoFactorSetup(id);
+
+    assert.equal(confirmTwoFactorSetup(getUser(id), "000000"), null);
+    assert.equal(getTwoFactorStatus(getUser(id)).enabled, false);
+  });
+
+  it("issues ten recovery codes", () => {
+    const { user, recoveryCodes } = createUserWithTwoFactor(new Date());
+
+    assert.equal(recoveryCodes.length, 10);
+    assert.deepEqual(getTwoFactorStatus(user), {
+      enabled: true,
+      enabledAt: user.totp_enabled_at,
+      recoveryCodesRemaining: 10,
+    });
+  });
+});
+
+describe("verifySecondFactor", () => {
+  it("does not accept the code used to confirm setup again", () => {
+    const now = new Date();
+    const { user, secret } = createUserWithTwoFactor(now);
+
+    const code = generateHotp(secret, getTotpStep(now));
+    assert.equal(verifySecondFactor(user, { code }, now), null);
+  });
+
+  it("accepts a TOTP code once", () => {
+    const setupAt = new Date("2026-01-01T00:00:00Z");
+    const { user, secret } = createUserWithTwoFactor(setupAt);
+
+    const now = new Date(setupAt.getTime() + 5 * 60 * 1000);
+    const code = generateHotp(secret, getTotpStep(now));
+
+    assert.equal(verifySecondFactor(user, { code }, now), "totp");
+    assert.equal(verifySecondFactor(getUser(user.id), { code }, now), null);
+  });
+
+  it("uses up recovery codes, ignoring case and separators", () => {
+    const { user, recoveryCodes } = createUserWithTwoFactor(new Date());
+    const [code] = recoveryCodes;
+    const retyped = ` ${code.toUpperCase().replace("-", " ")} `;
+
+    assert.equal(verifySecondFactor(user, { recoveryCode: retyped }), "recovery_code");
+    assert.equal(verifySecondFactor(user, { recoveryCode: code }), null);
+    assert.equal(getTwoFactorStatus(user).recoveryCodesRemaining, 9);
+  });
+
+  it("rejects unknown recovery codes", () => {
+    const { user } = createUserWithTwoFactor(new Date());
+
+    assert.equal(verifySecondFactor(user, { recoveryCode: "000000-000000" }), null);
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { inflateRawSync } from "zlib";
+import { createZip } from "./zip.js";
+
+/**
+ * Reads the entries back through the central directory, the way unzip tools do.
+ */
+function readZip(archive) {
+  const end = archive.length - 22;
+  assert.equal(archive.readUInt32LE(end), 0x06054b50);
+  const count = archive.readUInt16LE(end + 10);
+  let pos = archive.readUInt32LE(end + 16);
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    assert.equal(archive.readUInt32LE(pos), 0x02014b50);
+    const compressedSize = archive.readUInt32LE(pos + 20);
+    const size = archive.readUInt32LE(pos + 24);
+    const nameLength = archive.readUInt16LE(pos + 28);
+    const offset = archive.readUInt32LE(pos + 42);
+    const name = archive.toString("utf8", pos + 46, pos + 46 + nameLength);
+
+    assert.equal(archive.readUInt32LE(offset), 0x04034b50);
+    const dataStart = offset + 30 + archive.readUInt16LE(offset + 26);
+    const content = inflateRawSync(archive.subarray(dataStart, dataStart + compressedSize));
+    assert.equal(content.length, size);
+
+    entries.push({ name, content: content.toString("utf8") });
+    pos += 46 + nameLength;
+  }
+  return entries;
+}
+
+describe("createZip", () => {
+  it("writes entries that can be read back through the central directory", () => {
+    const files = [
+      { name: "manifest.json", content: '{"ok":true}' },
+      { name: "daily_logs.csv", content: "log_date,steps\r\n2026-03-01,9000\r\n" },
+      { name: "übersicht.txt", content: Buffer.from("Grüße") },
+    ];
+
+    const entries = readZip(createZip(files));
+
+    assert.deepEqual(entries, [
+      { name: "manifest.json", content: '{"ok":true}' },
+      { name: "daily_logs.csv", content: "log_date,steps\r\n2026-03-01,9000\r\n" },
+      { name: "übersicht.txt", content: "Grüße" },
+    ]);
+  });
+
+  it("writes an empty archive as just the end record", () => {
+    const archive = createZip([]);
+
+    assert.equal(archive.length, 22);
+    assert.deepEqual(readZip(archive), []);
+  });
+});